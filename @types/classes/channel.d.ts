@@ -22,7 +22,8 @@ import {
     Like as PlatformLike,
     MessageAwaiter,
     Platform,
-    PrepareMessageOptions
+    PrepareMessageOptions,
+    SendOptions
 } from "./platform";
 
 import { User } from "./user";
@@ -266,7 +267,7 @@ export declare class Channel extends ClassTemplate {
     /**
      * Sends a message into the current channel.
      */
-    send (message: Message): Promise<void>;
+    send (message: Message, options?: SendOptions): Promise<void>;
 
     /**
      * Returns the channel's stream-related data.
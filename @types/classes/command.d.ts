@@ -1,11 +1,12 @@
-import { GenericFlagsObject, SimpleGenericData, TypeExtract } from "../globals";
+import { GenericFlagsObject, SimpleGenericData, TypeExtract, XOR } from "../globals";
 import { ClassTemplate } from "./template";
 import { Channel } from "./channel";
-import { Platform } from "./platform";
+import { Like as PlatformLike, Platform } from "./platform";
 import { Permissions as UserPermissions, User } from "./user";
 import { Language } from "language-iso-codes";
 import { CustomDate as Date } from "../objects/date";
 import { DeepFrozen } from "../singletons/utils";
+import { Quota, QuotaDefinition } from "../singletons/quota-manager";
 
 import { PoolConnection } from "mariadb";
 
@@ -36,15 +37,65 @@ declare type DiscordEmbedDefinition = {
 
 export declare namespace Parameter {
     type Type = "string" | "number" | "boolean" | "date" | "object" | "regex" | "language";
-    type ParsedType = string | number | boolean | Date | SimpleGenericData | RegExp | Language;
+    type ParsedType = string | number | boolean | Date | SimpleGenericData | RegExp | Language | ParsedType[];
     type Descriptor = {
         type: Type;
-        name: string
+        name: string;
+        /** Value used when the parameter is not provided. */
+        default?: ParsedType | ParsedType[];
+        /** If true, the command fails when the parameter is not provided. */
+        required?: boolean;
+        /** List of allowed values. */
+        enum?: ParsedType[];
+        /** Minimum value, only applies to the `number` type. */
+        min?: number;
+        /** Maximum value, only applies to the `number` type. */
+        max?: number;
+        /** Minimum length, only applies to the `string` type. */
+        minLength?: number;
+        /** Maximum length, only applies to the `string` type. */
+        maxLength?: number;
+        /** Pattern the value must match, only applies to the `string` type. */
+        pattern?: string | RegExp;
+        /** If true, the parameter can be repeated, and all of its values are collected in an array. */
+        list?: boolean;
+        /** Name of a mutually exclusive group - only one parameter of the group can be used at a time. */
+        exclusive?: string;
+        /** Custom error message, used instead of the default one when the parameter fails to parse or validate. */
+        error?: string;
     };
 }
+export declare type ResultAttachment = {
+    /** Remote URL of the attached file. Either this or `data` must be provided. */
+    url?: string;
+    /** Raw content of the attached file. */
+    data?: Buffer | string;
+    name?: string;
+    type?: string;
+};
+export declare type PartialReply = {
+    message: string;
+    bancheck?: boolean;
+};
 export declare type Result = {
     reply: string | null;
+    /** Additional reply messages, sent after `reply`. Each is checked for banphrases and unpings separately. */
+    replies?: string[];
+    partialReplies?: PartialReply[];
+    /** Files attached to the reply, if the platform supports them. */
+    attachments?: ResultAttachment[];
+    /** Platform-agnostic rich embeds attached to the reply, if the platform supports them. */
+    embeds?: SimpleGenericData[];
     success?: boolean;
+    suggestions?: Suggestion[];
+    /** If the execution was rejected because of an exhausted quota, this describes the quota. */
+    quota?: {
+        name: Quota["name"];
+        scope: Quota["scope"];
+        limit: number;
+        used: number;
+        resetsAt: number;
+    };
     cooldown?: CooldownDescriptor;
     reason?: string;
     meta?: never;
@@ -64,6 +115,9 @@ export declare type Result = {
      * @typedef {Object} CommandResult
      * @property {boolean} success If true, result contains reply; if false, result contains error
      * @property {string} [reply] Command result as a string to reply. If not provided, no message should be sent
+     * @property {string[]} [replies] Additional messages to reply with, sent after `reply`
+     * @property {Object[]} [attachments] Files attached to the reply
+     * @property {Object[]} [embeds] Rich embeds attached to the reply
      * @property {Object} [cooldown] Dynamic cooldown settings
      * @property {string} [reason] Symbolic description of why command execution failed - used internally
      * @property {Object} [meta] Any other information passed back from the command execution
@@ -117,10 +171,12 @@ export declare type Like = string | Command;
 
 declare type ContextConstructorData = {
     invocation: string;
+    subcommand?: string | null;
     user: User;
     channel: Channel | null;
     platform: Platform;
-    transaction: PoolConnection
+    transaction: PoolConnection;
+    signal?: AbortSignal;
 };
 declare type ConstructorData = {
     Name: string;
@@ -129,6 +185,16 @@ declare type ConstructorData = {
     Cooldown: number | null;
     Flags: (keyof FlagsObject)[] | Partial<FlagsObject> | null;
     Params: Parameter.Descriptor[];
+    Timeout?: number | null;
+    Quota?: QuotaDefinition | QuotaDefinition[] | null;
+    /** Permission level required to use the command, or a list of acceptable ones. */
+    Permissions?: UserPermissions.Level | UserPermissions.Level[] | null;
+    /**
+     * Where the command's user targets are - argument positions, param names or `{ mentions: true }` for all
+     * arguments that mention a user. Defaults to the first argument.
+     */
+    Targets?: TargetDefinition | TargetDefinition[] | null;
+    Subcommands?: SubcommandDefinition[] | null;
     Whitelist_Response: string | null;
     Author: string | null;
     Code: (this: Command, context: Context, ...args: string[]) => (Result | Promise<Result>);
@@ -136,12 +202,42 @@ declare type ConstructorData = {
     Static_Data: (() => Record<string, any>) | null;
 };
 
+declare type TargetDefinition = number | string | Target;
+declare type Target = XOR<XOR<{ index: number }, { param: string }>, { mentions: true }>;
+
+declare type SubcommandDefinition = {
+    name: string;
+    aliases?: string[];
+    description?: string | null;
+    params?: Parameter.Descriptor[];
+    /** Flags in kebab-case, as an array of enabled flags, or an object that can also disable the command's flags. */
+    flags?: string[] | Record<string, boolean>;
+    /** If not provided, the subcommand shares the command's cooldown. */
+    cooldown?: number;
+    /** If not provided, the subcommand requires the same permissions as the command. */
+    permissions?: UserPermissions.Level | UserPermissions.Level[];
+    code: (this: Command, context: Context, ...args: string[]) => (Result | Promise<Result>);
+};
+export declare type Subcommand = Readonly<{
+    name: string;
+    aliases: string[];
+    description: string | null;
+    params: Parameter.Descriptor[];
+    /** The command's flags, combined with the subcommand's own ones. */
+    flags: Readonly<FlagsObject>;
+    cooldown: number | null;
+    permissions: Readonly<UserPermissions.Level[]>;
+    code: SubcommandDefinition["code"];
+}>;
+
 declare type AppendData = {
     platform: Platform;
     tee?: Readonly<string[]>;
     pipe?: boolean;
     skipBanphrases?: boolean;
     skipPending?: boolean;
+    /** The caller checks and sets the command's cooldowns itself - used in pipelines. */
+    skipCooldown?: boolean;
     skipMention?: boolean;
     partialExecute?: boolean;
     alias?: boolean;
@@ -165,8 +261,39 @@ declare type ExecutionOptions = {
     internalExecution?: boolean;
     skipGlobalBan?: boolean;
     skipMention?: boolean;
+    suggestCommands?: boolean;
+    dryRun?: boolean;
+    /** Message checked against banphrases in a dry run, in place of the unknown reply of the command. */
+    dryRunReply?: string;
     platform?: Platform;
 };
+declare type DryRunGate = {
+    name: "channel-mode" | "command" | "cooldown" | "pending" | "parameters" | "filter" | "permissions" | "quota" | "banphrase" | "unping" | "mention";
+    passed: boolean;
+    /** Rejection reason the gate would produce, if it did not pass. */
+    reason: string | null;
+    detail: SimpleGenericData;
+};
+declare type DryRunResult = {
+    success: boolean;
+    reason: string | null;
+    reply: null;
+    dryRun: true;
+    command: Command["Name"] | null;
+    gates: DryRunGate[];
+};
+declare type Suggestion = {
+    name: Command["Name"];
+    invocation: string;
+    score: number;
+};
+declare type SuggestionOptions = {
+    user?: User | null;
+    channel?: Channel | null;
+    platform?: Platform | null;
+    limit?: number;
+    threshold?: number;
+};
 declare type Cooldown = number | null;
 declare type CooldownObject = {
     length: Cooldown,
@@ -179,6 +306,152 @@ declare type CommandFailure = {
     success: false;
     reply?: string;
 };
+export declare type MiddlewareStage = "before-filter" | "after-filter" | "before-execute" | "after-execute" | "before-reply";
+export declare type MiddlewareState = {
+    stage: MiddlewareStage;
+    command: Command;
+    subcommand: Subcommand | null;
+    invocation: string;
+    /** Command arguments, can be replaced up until the `before-execute` stage */
+    args: string[];
+    user: User;
+    channel: Channel | null;
+    platform: Platform | null;
+    params: Record<string, Parameter.ParsedType>;
+    options: ExecutionOptions;
+    /** Available from the `before-execute` stage onwards */
+    context: Context | null;
+    /** Filter result, can be replaced in the `after-filter` stage */
+    filterData: SimpleGenericData | null;
+    /** Command result, can be replaced from the `after-execute` stage onwards */
+    execution: Result | null;
+};
+/**
+ * If the handler returns an object, the execution is short-circuited and the object is returned instead.
+ * Once the command has been executed, its cooldown is applied regardless.
+ */
+export declare type MiddlewareHandler = (state: MiddlewareState) => Result | void | Promise<Result | void>;
+declare type FailedReloadDescriptor = {
+    identifier: string;
+    reason: "no-path" | "no-definition" | "constructor-error" | "invalid-definition" | "name-collision";
+    errors?: string[];
+};
+declare type ReloadResult = {
+    /** False if any of the commands failed to load - the ones that did load are swapped in regardless. */
+    success: boolean;
+    reason?: "no-definitions" | "all-failed" | "partial-failure";
+    failed?: FailedReloadDescriptor[];
+    diff?: {
+        added: Command["Name"][];
+        removed: Command["Name"][];
+        changed: Command["Name"][];
+        failed: string[];
+    };
+};
+declare type HelpFormat = "plain" | "markdown" | "json";
+declare type PromptOptions = {
+    /**
+     * Returns `true` for valid answers. For invalid ones, returns `false`,
+     * or a string that is sent to the user instead of the default message.
+     */
+    validate?: (answer: string) => boolean | string | Promise<boolean | string>;
+    /** How long to wait for each answer, in milliseconds. Defaults to 30 seconds. */
+    timeout?: number;
+    /** How many times the user can answer again after an invalid answer. Defaults to 0. */
+    retries?: number;
+    /** Answers that end the conversation. Defaults to "cancel", "stop" and "abort". */
+    cancelWords?: string[];
+};
+export declare type PromptResult = {
+    success: true;
+    reason: null;
+    value: string;
+} | {
+    success: false;
+    reason: "timeout" | "cancelled" | "invalid" | "aborted";
+    value: null;
+};
+export declare type ConversationQuestion = PromptOptions & {
+    /** Identifies the answer in the conversation result. */
+    name: string;
+    question: string;
+};
+export declare type ConversationResult = {
+    success: boolean;
+    reason: PromptResult["reason"];
+    /** Name of the question that ended the conversation, if any. */
+    failedQuestion: string | null;
+    /** All answers given until the conversation ended. */
+    answers: Record<string, string>;
+};
+declare type HelpData = {
+    name: Command["Name"];
+    aliases: Command["Aliases"];
+    description: Command["Description"];
+    usage: string;
+    params: Parameter.Descriptor[];
+    flags: string[];
+    subcommands: { name: string, description: string | null, usage: string }[];
+    cooldown: Command["Cooldown"];
+    detailURL: string | null;
+    dynamicDescription: string[] | null;
+};
+declare type PipelineStep = {
+    identifier: string;
+    args?: string[];
+};
+declare type PipelineStepTrace = {
+    identifier: string;
+    command: Command["Name"] | null;
+    args: string[];
+    success: boolean;
+    reason: string | null;
+    reply: string | null;
+    executionTime: number;
+};
+declare type BatchOptions = {
+    /** Command instance or identifier */
+    command: Command | string;
+    args?: string[];
+    /** Executing user */
+    user: User;
+    /** Explicit list of channels. If not provided, all channels are used. */
+    channels?: Channel[];
+    /** Only channels of this platform are used. */
+    platform?: PlatformLike;
+    /** Only channels passing this predicate are used. */
+    filter?: (channel: Channel) => boolean;
+    /** Maximum amount of simultaneous executions. Defaults to 1. */
+    concurrency?: number;
+    /** Minimum delay between executions on the same platform, in milliseconds. Defaults to 1000. */
+    platformDelay?: number;
+    /** If true, successful replies are sent to their channels. Defaults to true. */
+    send?: boolean;
+    /** Additional options passed to each `checkAndExecute` call. The pending status is always skipped. */
+    executionOptions?: Partial<ExecutionOptions>;
+};
+export declare type BatchChannelResult = {
+    channel: Channel["ID"];
+    platform: Platform["ID"];
+    success: boolean;
+    /** Rejection or failure reason, if any. */
+    reason: string | null;
+    reply: string | null;
+    /** Message of the error thrown during the execution, if any. */
+    error: string | null;
+};
+export declare type BatchResult = {
+    command: Command["Name"];
+    total: number;
+    succeeded: number;
+    failed: number;
+    /** In order of completion. */
+    results: BatchChannelResult[];
+};
+declare type PipelineResult = Result & {
+    success: boolean;
+    trace: PipelineStepTrace[];
+};
 declare type ParsedParametersData = {
     parameters: Record<string, Parameter.ParsedType>;
     args: string[];
@@ -200,6 +473,7 @@ declare type ParameterParseResult = ParameterParseFailure | ParameterParseSucces
 export declare class Context {
     #command: Command;
     #invocation: string;
+    #subcommand: string | null;
     #user: User;
     #channel: Channel;
     #platform: Platform;
@@ -209,6 +483,7 @@ export declare class Context {
     #params: Record<string, Parameter.ParsedType>;
     #userFlags: FlagsObject;
     #meta: Map<string, any>;
+    #signal: AbortSignal;
 
     constructor (command: Command, data: ContextConstructorData);
 
@@ -240,8 +515,34 @@ export declare class Context {
      */
     sendIntermediateMessage (string: string): Promise<void>;
 
+    /**
+     * Sends a question to the user, and waits for their answer in the same channel (or in private messages).
+     * If the answer does not pass validation, the user is asked again, up to the amount of `retries`.
+     */
+    prompt (question: string, options?: PromptOptions): Promise<PromptResult>;
+
+    /**
+     * Asks the user a yes/no question.
+     * @returns True only if the user has confirmed - declining, timing out or cancelling results in false.
+     */
+    confirm (question: string, options?: Omit<PromptOptions, "validate">): Promise<boolean>;
+
+    /**
+     * Asks the user multiple questions in sequence. The conversation ends on the first failed question.
+     * @param questions
+     * @param options Default options for all questions
+     */
+    converse (questions: ConversationQuestion[], options?: PromptOptions): Promise<ConversationResult>;
+
+    /**
+     * Makes the context's signal also abort whenever the provided signal does.
+     * Used when an existing context is passed to `checkAndExecute`, so that the execution timeout applies to it.
+     */
+    linkSignal (signal: AbortSignal): void;
+
     get tee (): string[]
     get invocation (): string;
+    get subcommand (): string | null;
     get user (): User;
     get channel (): Channel;
     get platform (): Platform;
@@ -250,6 +551,12 @@ export declare class Context {
     get append (): AppendData;
     get params (): Record<string, Parameter.ParsedType>;
     get userFlags (): FlagsObject;
+
+    /**
+     * Signal that is aborted when the command execution times out.
+     * Should be passed to long-running operations (e.g. `sb.Got` requests) so that they can be cancelled.
+     */
+    get signal (): AbortSignal;
 }
 
 /**
@@ -266,6 +573,51 @@ export declare class Command extends ClassTemplate {
     static get (identifier: Like): Command | null;
     static validate (): void;
 
+    /**
+     * Reloads the whole command registry from the package manager, or from the provided definitions.
+     * All commands are created and validated first, and only then swapped in at once.
+     * Commands that fail to load keep their previous instances.
+     */
+    static reloadData (definitions?: SimpleGenericData[]): Promise<ReloadResult>;
+
+    /**
+     * Reloads the provided commands from the package manager.
+     * The new command instances are created and validated first, and only then swapped in.
+     * Commands that fail to load keep their previous instances.
+     */
+    static reloadSpecific (...list: string[]): Promise<ReloadResult>;
+
+    /**
+     * Checks a created command instance for definition problems - those found during construction, as well as
+     * invalid name, code, static data and parameter definitions.
+     * @returns List of found problems, empty if the command is valid
+     */
+    static getDefinitionIssues (command: Command): string[];
+    static #applyReload (
+        candidates: { identifier: string, definition: ConstructorData }[],
+        failed: FailedReloadDescriptor[],
+        options: { replaceAll: boolean }
+    ): Promise<ReloadResult>;
+
+    /**
+     * List of parameter types supported by {@link Command.parseParameter}.
+     */
+    static readonly parameterTypes: Parameter.Type[];
+
+    /**
+     * Allowed types of each known command result property, used by {@link Command.normalizeResult}.
+     */
+    static readonly resultSchema: Record<string, string[]>;
+
+    /**
+     * Validates a command result against {@link Command.resultSchema} and normalizes it.
+     * Mistyped properties are removed and reported as issues instead of throwing, unknown ones are passed through.
+     */
+    static normalizeResult (execution: unknown): { result: Result | null | undefined, issues: string[] };
+    static #getResultValueType (value: unknown): string;
+    static #invalidResultCommands: WeakSet<Command>;
+    static #permissionRejectionLogs: Map<string, number>;
+
     /**
      * Extracts all boolean values from a command execution result.
      * @param execution
@@ -281,6 +633,13 @@ export declare class Command extends ClassTemplate {
     static createFakeContext (commandData: Command, contextData?: ContextConstructorData, extraData?: SimpleGenericData): Context;
     static parseParameter (value: string, type: Parameter.Type, explicit?: boolean): Parameter.ParsedType;
 
+    /**
+     * Checks a parsed parameter value against the constraints of its definition - enum, numeric range, string length
+     * and pattern.
+     * @returns Error message if the value does not pass, `null` otherwise
+     */
+    static validateParameterValue (value: Parameter.ParsedType, definition: Parameter.Descriptor): string | null;
+
     /**
      * For an input params definition and command arguments, parses out the relevant parameters along with their
      * values converted properly from string.
@@ -292,6 +651,16 @@ export declare class Command extends ClassTemplate {
         argsArray: string[]
     ): ParsedParametersData | CommandFailure;
 
+    /**
+     * Finds commands with names or aliases similar to the provided identifier, sorted by similarity.
+     * Commands that are hidden, whitelisted or blacklisted for the given user/channel/platform are never suggested.
+     * @param identifier
+     * @param options
+     * @param options.limit Maximum amount of suggestions, defaults to 3
+     * @param options.threshold Minimum similarity score (0 to 1), defaults to the `COMMAND_SUGGESTION_THRESHOLD` config
+     */
+    static getSuggestions (identifier: string, options?: SuggestionOptions): Suggestion[];
+
     /**
      * Checks if a command exists, and then executes it if needed.
      * @param identifier
@@ -303,6 +672,9 @@ export declare class Command extends ClassTemplate {
      * @param options.skipGlobalBan
      * @param options.platform
      * @param options.skipMention If true, no mention will be added to the command string, regardless of other options.
+     * @param options.suggestCommands If true and no command is found, similar commands are returned in `suggestions`.
+     * @param options.dryRun If true, the command is not executed - instead, a report of which gates would pass is returned.
+     * @param options.dryRunReply Message checked against banphrases in a dry run. Defaults to the invocation itself.
      */
     static checkAndExecute (
         identifier: string,
@@ -310,7 +682,74 @@ export declare class Command extends ClassTemplate {
         channelData: Channel | null,
         userData: User,
         options: ExecutionOptions
-    ): Result;
+    ): Result | DryRunResult;
+
+    /**
+     * Evaluates every gate of {@link Command.checkAndExecute} without any side effects.
+     */
+    static #simulateExecution (
+        identifier: string,
+        argumentArray: string[],
+        channelData: Channel | null,
+        userData: User,
+        options: ExecutionOptions
+    ): Promise<DryRunResult>;
+
+    /**
+     * Collects the usage quotas of a command - both from its definition and from Quota filters.
+     */
+    static #getApplicableQuotas (
+        command: Command,
+        identifier: string,
+        channelData: Channel | null,
+        userData: User,
+        subcommand?: Subcommand | null
+    ): Quota[];
+    static #createQuotaRejection (quotaResult: { quota: Quota, used: number, resetsAt: number }, language: string | null): Result;
+
+    /**
+     * Executes a sequence of commands, where the reply of each step is appended to the arguments of the next one.
+     * Pending status is set once for the whole pipeline; banphrases and mentions are only applied to the last step.
+     * Execution stops at the first failed step.
+     * @param steps
+     * @param channelData
+     * @param userData
+     * @param options Execution options, passed to each step's `checkAndExecute` call
+     */
+    static executePipeline (
+        steps: PipelineStep[],
+        channelData: Channel | null,
+        userData: User,
+        options: ExecutionOptions
+    ): Promise<PipelineResult>;
+
+    /**
+     * Executes the same command in multiple channels, and reports the result for each of them.
+     * Executions run in parallel up to the provided concurrency, but the ones on the same platform are always
+     * at least `platformDelay` milliseconds apart, so that the platform's rate limits are not hit.
+     */
+    static executeBatch (options: BatchOptions): Promise<BatchResult>;
+
+    /**
+     * Registers a middleware handler for one of the stages of `checkAndExecute`.
+     * - `before-filter`: after parameters are parsed, before filters are checked
+     * - `after-filter`: after filters are checked, `state.filterData` contains the result
+     * - `before-execute`: right before the command's code runs, `state.context` is available
+     * - `after-execute`: after the command's code has finished, `state.execution` contains its result
+     * - `before-reply`: after banphrases, unpings and mentions are applied, right before the result is returned
+     * If a handler throws, the pending status is released and the transaction rolled back before the error propagates.
+     * Handlers are executed in the order of registration.
+     * @returns Function that unregisters the handler when invoked
+     */
+    static registerMiddleware (stage: MiddlewareStage, handler: MiddlewareHandler): () => boolean;
+
+    /**
+     * Removes a previously registered middleware handler.
+     * @returns True if the handler was found and removed
+     */
+    static unregisterMiddleware (stage: MiddlewareStage, handler: MiddlewareHandler): boolean;
+    static #runMiddleware (stage: MiddlewareStage, state: MiddlewareState, cleanup: () => Promise<void>): Promise<Result | null>;
+    static #releaseTransaction (transaction: PoolConnection | null): Promise<void>;
 
     /**
      * Handles the setting (or skipping) cooldowns for given combination of data.
@@ -318,13 +757,32 @@ export declare class Command extends ClassTemplate {
      * @param userData
      * @param commandData
      * @param cooldownData
+     * @param subcommand Executed subcommand, if any - its flags and cooldown are used instead of the command's ones
+     * @remarks Breaking change: this method used to be synchronous. Cooldowns can now be stored in Redis, so it returns
+     * a promise, which callers must await - otherwise, the cooldown is only set later, and errors are not handled.
      */
     static handleCooldown (
         channelData: Channel | null,
         userData: User,
         commandData: Command,
-        cooldownData: CooldownDescriptor
-    ): void;
+        cooldownData: CooldownDescriptor,
+        subcommand?: Subcommand | null
+    ): Promise<void>;
+
+    /**
+     * Determines whether the context's user has at least one of the required permission levels.
+     * Administrators always pass, and levels that have not been registered are never satisfied.
+     */
+    static #checkPermissions (levels: Readonly<UserPermissions.Level[]>, context: Context): Promise<{ success: boolean }>;
+    /**
+     * Permission rejections are logged at most once per minute for each combination of command and user.
+     */
+    static #shouldLogPermissionRejection (command: Command, userData: User): boolean;
+
+    /**
+     * Subcommands with their own cooldown use a separate cooldown, all others share the command's one.
+     */
+    static #getCooldownKey (command: Command, subcommand: Subcommand | null): string;
     static get prefix (): string;
     static set prefix (value: string);
     static get prefixRegex (): RegExp;
@@ -345,6 +803,29 @@ export declare class Command extends ClassTemplate {
         existingParameters: Record<string, SimpleGenericData>
     ): ParameterParseResult;
 
+    /**
+     * Applies the definition-wide rules to fully parsed parameters - mutually exclusive groups, required
+     * parameters and default values.
+     * @param paramsDefinition
+     * @param existingParameters
+     */
+    static #finalizeParameters (
+        paramsDefinition: Parameter.Descriptor[],
+        existingParameters: Record<string, SimpleGenericData>
+    ): { success: true, parameters: Record<string, Parameter.ParsedType> } | CommandFailure;
+
+    /**
+     * Executes the command's code. If the command has a timeout, the execution is rejected with
+     * `CommandTimeoutError` once it runs out, and the provided controller is aborted.
+     */
+    static #executeWithTimeout (
+        command: Command,
+        context: Context,
+        args: string[],
+        abortController: AbortController,
+        subcommand?: Subcommand | null
+    ): Promise<Result>;
+
     static readonly #privateMessageChannelID: unique symbol;
 
     /**
@@ -371,6 +852,23 @@ export declare class Command extends ClassTemplate {
      */
     private static ignoreParametersDelimiter: string;
 
+    /**
+     * Stages of `checkAndExecute` that middleware handlers can be registered into, in order of execution.
+     */
+    static readonly middlewareStages: MiddlewareStage[];
+
+    static readonly #middleware: Map<MiddlewareStage, MiddlewareHandler[]>;
+
+    /**
+     * List of formats supported by {@link Command#getHelp}.
+     */
+    static readonly helpFormats: HelpFormat[];
+
+    /**
+     * Short labels of command flags, as shown in the command's help text.
+     */
+    static readonly flagBadges: Partial<Record<keyof FlagsObject, string>>;
+
     /**
      * Unique command name.
      */
@@ -404,6 +902,33 @@ export declare class Command extends ClassTemplate {
      */
     readonly Params: Readonly<Parameter.Descriptor[]>;
 
+    /**
+     * Maximum execution time of the command, in milliseconds.
+     * If `null`, the `COMMAND_EXECUTION_TIMEOUT` config value is used instead.
+     */
+    readonly Timeout: number | null;
+
+    /**
+     * Usage quotas of the command, e.g. 10 uses per user per day. Quota filters can add more quotas on top of these.
+     */
+    readonly Quota: Quota[];
+
+    /**
+     * Permission levels that allow using the command - the user must have at least one of them.
+     * If empty, the command can be used by anyone. Administrators can always use the command.
+     */
+    readonly Permissions: Readonly<UserPermissions.Level[]>;
+
+    /**
+     * Where the command's user targets are - Opt-out and Block filters are checked against all of them.
+     */
+    readonly Targets: Readonly<Target[]>;
+
+    /**
+     * Subcommands of the command, routed to by the first argument - each with its own params, flags, cooldown and code.
+     */
+    readonly Subcommands: Subcommand[];
+
     /**
      * If not null, this is the response for a whitelisted command when invoked outside of the whitelist.
      */
@@ -437,6 +962,11 @@ export declare class Command extends ClassTemplate {
      */
     #Author: string | null;
 
+    /**
+     * Problems found in the command's definition while it was being constructed.
+     */
+    #definitionErrors: string[];
+
     constructor (data: ConstructorData);
 
     /**
@@ -455,4 +985,41 @@ export declare class Command extends ClassTemplate {
      * @param options.useCodePath If true, returns a path for the command's code description
      */
     getDetailURL (options?: { useCodePath?: boolean }): string;
+
+    get Author (): string | null;
+    get definitionErrors (): string[];
+
+    /**
+     * Determines the command's execution timeout - either from its definition, or the configured default.
+     * @returns Timeout in milliseconds, or `null` if the execution is not limited
+     */
+    getTimeout (): number | null;
+
+    /**
+     * Creates the usage line of the command, based on its Params definition.
+     * Required parameters are wrapped in angle brackets, optional ones in square brackets.
+     * @example "$foo <user:string> [count:number=5]"
+     */
+    getUsage (subcommandName?: string | null): string;
+
+    /**
+     * Creates the help text of the command from its definition - usage, parameters, flag badges and cooldown.
+     * @param options
+     * @param options.format Defaults to "plain". The "json" format returns an object instead of a string.
+     * @param options.subcommand If provided, the help text of this subcommand is created instead.
+     */
+    getHelp (options?: { format?: Exclude<HelpFormat, "json">, subcommand?: string }): Promise<string>;
+    getHelp (options: { format: "json", subcommand?: string }): Promise<HelpData>;
+
+    /**
+     * Finds a subcommand of this command by its name or one of its aliases, case-insensitively.
+     */
+    getSubcommand (identifier: string | null): Subcommand | null;
+    /**
+     * Determines the users targeted by an invocation of this command, based on its `Targets` definition.
+     * @returns Unique user identifiers, in the order of the definition
+     */
+    getUserTargets (args: string[], params?: Record<string, unknown>): string[];
+    #parseTargets (definition: TargetDefinition | TargetDefinition[]): { targets?: Target[], error: string | null };
+    #parseSubcommand (definition: SubcommandDefinition): { subcommand?: Subcommand, error: string | null };
 }
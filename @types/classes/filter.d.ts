@@ -2,33 +2,158 @@ import { ClassTemplate } from "./template";
 import { Channel } from "./channel";
 import { Command } from "./command";
 import { Platform } from "./platform";
-import { Row } from "../singletons/query";
 import { User } from "./user";
 import { XOR } from "../globals";
+import { Quota, QuotaDefinition } from "../singletons/quota-manager";
+import { Cron } from "./cron";
+import { CustomDate } from "../objects/date";
+import * as EventEmitter from "events";
+import { PoolConnection } from "mariadb";
 
 declare type ConstructorData = {
 	ID: number;
 	User_Alias: User["ID"] | null;
+	User_Group?: string | null;
 	Channel: Channel["ID"] | null;
 	Command: Command["Name"] | null;
 	Platform: Platform["ID"] | null;
 	Invocation: string | null;
+	Subcommand?: string | null;
 	Type: Type;
 	Data: Data | string | null;
 	Response: Response | null;
 	Reason: string | null;
 	Blocked_User: User["ID"] | null;
 	Active: boolean;
+	Starts?: CustomDate | Date | number | null;
+	Expires?: CustomDate | Date | number | null;
 	Issued_By: User["ID"] | null;
 };
-declare type CreateData = Partial<Omit<ConstructorData, "ID" | "Data" | "Active" | "Response">>;
+declare type CreateData = Partial<Omit<ConstructorData, "ID" | "Data">> & {
+	/**
+	 * Duration string (e.g. "1h30m") or milliseconds, after which the filter expires - counted from `Starts`,
+	 * or from now. Mutually exclusive with `Expires`.
+	 */
+	Duration?: string | number;
+};
+declare type PlatformReference = { Name: Platform["Name"], Host: Platform["Host"] | null };
+/** Filter values, with users, channels and platforms referenced by their names. */
+export declare type ExportEntry = {
+	Type: Type;
+	Command: Command["Name"] | null;
+	Invocation: string | null;
+	Subcommand: string | null;
+	Platform: PlatformReference | null;
+	Channel: { Name: Channel["Name"], Platform: PlatformReference } | null;
+	User_Alias: User["Name"] | null;
+	User_Group: string | null;
+	Blocked_User: User["Name"] | null;
+	Data: Data | null;
+	Response: Response;
+	Reason: string | null;
+	Active: boolean;
+	/** ISO date string. */
+	Starts: string | null;
+	/** ISO date string. */
+	Expires: string | null;
+	Issued_By: User["Name"] | null;
+};
+export declare type ExportDocument = {
+	version: number;
+	/** ISO date of the export. */
+	exported: string;
+	filters: ExportEntry[];
+	/** IDs of filters that could not be exported, as their references no longer exist. */
+	omitted: Filter["ID"][];
+};
+declare type ExportSelector = {
+	channel?: Channel | Channel["ID"];
+	platform?: Platform | Platform["ID"];
+	/** Filters targeting this user. */
+	user?: User | User["ID"];
+	command?: Command["Name"];
+	type?: Type;
+	includeInactive?: boolean;
+};
+declare type ImportOptions = {
+	/** If true, only reports what would be changed. */
+	dryRun?: boolean;
+	/** How to handle conflicts with existing filters, defaults to "skip". */
+	conflict?: "skip" | "update" | "error";
+	/** Author of the changes, also used for entries whose author cannot be resolved. */
+	issuedBy?: User | User["ID"] | null;
+};
+export declare type ImportResult = {
+	/** If false, nothing was changed. */
+	success: boolean;
+	dryRun: boolean;
+	/** One item for each document entry. */
+	items: {
+		index: number;
+		action: "create" | "update" | "skip" | "error";
+		/** The created filter's ID (not available in dry runs), or the conflicting filter's ID. */
+		filter: Filter["ID"] | null;
+		error: string | null;
+	}[];
+	conflicts: { index: number, filter: Filter["ID"] }[];
+};
 declare type ContextOptions = {
 	skipUserCheck?: boolean;
+	/** If true, filters of all commands are returned, instead of only the ones applying to `command`. */
+	anyCommand?: boolean;
 	user?: User | null;
 	channel?: Channel | null;
 	command?: Command | null;
 	platform?: Platform | null;
 	invocation?: string | null;
+	subcommand?: string | null;
+};
+declare type ExecuteOptions = ContextOptions & {
+	/** Users targeted by the invocation - Opt-out and Block filters are checked against all of them. */
+	targetUsers?: string[];
+	/** @deprecated Single targeted user, only used if `targetUsers` is not provided. */
+	targetUser?: string | null;
+	args?: string[];
+	/** Parsed command parameters, matched by Arguments filters that target a parameter. */
+	params?: Record<string, unknown>;
+	/** Overrides the command's flags, e.g. with the flags of an executed subcommand. */
+	flags?: Command["Flags"];
+};
+/** Determines whether a user is a member of the group. */
+export declare type UserGroupResolver = (userData: User) => boolean | Promise<boolean>;
+declare type ExplainOptions = ExecuteOptions & {
+	/** Base cooldown to apply Cooldown filters to, defaults to the command's one. */
+	cooldown?: number | null;
+};
+export declare type ExplanationGroup = {
+	/** Ordered by priority, highest first. */
+	filters: { filter: Filter, priority: number }[];
+	/**
+	 * The filter that takes effect - for Cooldown, the one with the highest priority,
+	 * for other types the one that `Filter.execute` would pick.
+	 * Types where all filters are used (Flags, Quota, Unping, Unmention, Reminder-prevention) have no winner.
+	 */
+	winner: Filter | null;
+};
+export declare type Explanation = {
+	/** The result of `Filter.execute` for the same options. */
+	decision: {
+		success: boolean;
+		reason: string | null;
+		filter: Filter["ID"] | null;
+		reply: string | null;
+	};
+	groups: Partial<Record<Type, ExplanationGroup>>;
+	cooldown: {
+		base: number | null;
+		result: number | null;
+		filter: Filter["ID"] | null;
+	};
+	flags: {
+		result: FlagObject;
+		/** In their merge order - the last one has the highest priority. */
+		filters: Filter["ID"][];
+	};
 };
 declare type UnpingContextOptions = ContextOptions & {
 	string: string
@@ -40,61 +165,258 @@ declare type ExecuteFailure = {
 	success: false;
 	reason: string;
 	filter: Filter;
+	/** For opt-outs and blocks, the targeted user that triggered the filter. */
+	targetUser?: User;
 	reply: string | null;
 };
 declare type ExecuteResult = ExecuteSuccess | ExecuteFailure;
-declare type ArgumentDescriptor = {
-	index?: number;
-	range?: [number, number];
-	regex?: RegExp;
-	string?: string;
+declare type ArgumentTarget = XOR<
+	XOR<{ index: number }, { range: [number, number] | `${number}..${number | ""}` }>,
+	XOR<{ param: string }, { full: true }>
+>;
+declare type ArgumentMatcher = XOR<{ regex: RegExp | [string, string?] | string }, { string: string }>;
+declare type ArgumentDescriptor = ArgumentTarget & ArgumentMatcher & {
+	/** Matches case-insensitively. */
+	ignoreCase?: boolean;
+	/** Matches if the descriptor would not match otherwise - including when there is no value. */
+	negate?: boolean;
 };
 
 export declare type ArgumentsData = {
 	args: ArgumentDescriptor[];
 };
 export declare type CooldownData = XOR<{ multiplier: number }, { override: number }>;
-export declare type Data = CooldownData | ArgumentsData;
+export declare type QuotaData = QuotaDefinition;
+declare type Weekday = "sun" | "mon" | "tue" | "wed" | "thu" | "fri" | "sat";
+export declare type ScheduleWindow = {
+	/** Days the window starts on, defaults to every day. Numbers are in the same format as `Date#getDay`. */
+	days?: (Weekday | 0 | 1 | 2 | 3 | 4 | 5 | 6)[];
+	/** Start time in "HH:MM" format. */
+	start: string;
+	/** End time in "HH:MM" format - if it is before the start, the window continues over midnight. */
+	end: string;
+};
+export declare type ScheduleMode = "allow" | "deny" | "cooldown";
+export declare type ScheduleData = {
+	/** IANA timezone the windows are evaluated in, defaults to "UTC". */
+	timezone?: string;
+	windows: ScheduleWindow[];
+} & XOR<
+	{ mode?: "allow" | "deny" },
+	CooldownData & { respect?: boolean }
+>;
+export declare type Data = CooldownData | ArgumentsData | QuotaData | ScheduleData;
 export declare type Like = number | Filter;
+export declare type HistoryAction = "Create" | "Activate" | "Deactivate" | "Update";
+declare type HistoryChange = {
+	Action: HistoryAction;
+	/** The changed property, `null` for filter creation. */
+	Property: string | null;
+	Old_Value: unknown;
+	/** For filter creation, all of the filter's initial values. */
+	New_Value: unknown;
+};
+export declare type HistoryEntry = HistoryChange & {
+	ID: number;
+	Filter: Filter["ID"];
+	Issued_By: User["ID"] | null;
+	Timestamp: CustomDate;
+};
+declare type ChangeOptions = {
+	/** Who made the change - `null` for automatic changes. */
+	issuedBy?: User | User["ID"] | null;
+};
+declare type EditableData = {
+	Data?: Data | null;
+	Response?: Response;
+	Reason?: string | null;
+};
 export declare type Response = "None" | "Auto" | "Reason";
 export declare type FlagObject = object;
 export declare type Type = "Blacklist" | "Whitelist"
 	| "Opt-out" | "Block" | "Unping" | "Unmention" | "Cooldown" | "Flags"
-	| "Offline-only" | "Online-only" | "Arguments" | "Reminder-prevention";
+	| "Offline-only" | "Online-only" | "Arguments" | "Reminder-prevention" | "Quota" | "Schedule";
 
 export declare class Filter extends ClassTemplate {
+	/** Emits `expire` with the filter instance, whenever a filter is deactivated due to its expiry. */
+	static readonly events: EventEmitter;
+	static expirationCron: Cron | null;
+
+	static initialize (): Promise<typeof Filter>;
+	/**
+	 * Deactivates all active filters that have expired, persists the change, and emits the `expire` event for each.
+	 * @returns The deactivated filters
+	 */
+	static deactivateExpired (): Promise<Filter[]>;
 	static get (identifier: Like): Filter | null;
-	static getLocals (type: Type, options: ContextOptions): Filter[];
-	static execute (options: ContextOptions): Promise<ExecuteResult>;
+	static getLocals (type: Type | null, options: ContextOptions): Filter[];
+	static execute (options: ExecuteOptions): Promise<ExecuteResult>;
+	/**
+	 * Explains which filters apply to the provided combination of parameters, and which of them take effect.
+	 * Filters are grouped by their type, and ordered by priority (highest first) within each group.
+	 */
+	static explain (options: ExplainOptions): Promise<Explanation>;
+	static readonly #additiveTypes: Type[];
+	static #userGroupResolvers: Map<string, UserGroupResolver>;
+	static #userGroupMembers: Map<string, Set<User["ID"]>>;
+	static #userGroupCache: Map<User["ID"], { groups: Set<string>, expires: number }>;
+
+	/**
+	 * Registers a user group, which filters can target via their `User_Group` property.
+	 * Groups without a resolver can still be used, with members taken from the membership table.
+	 * @param name
+	 * @param resolver Determines whether a user is a member of the group - or, as a shorthand,
+	 * the name of a user data property that is truthy for its members
+	 */
+	static registerUserGroup (name: string, resolver: UserGroupResolver | { dataProperty: string }): void;
+	/**
+	 * Resolves and caches the groups of the provided user, so that synchronous filter lookups can use them.
+	 */
+	static loadUserGroups (userData: User | null): Promise<Set<string>>;
+	/**
+	 * Synchronously fetches the groups of the provided user - from the membership table,
+	 * and from the cached results of group resolvers.
+	 */
+	static getUserGroups (userData: User | null): Set<string>;
+	/**
+	 * Removes expired user group cache entries - runs along with the expiration cron.
+	 */
+	static pruneUserGroupCache (): void;
 	static create (options: CreateData): Promise<Filter>;
+	/**
+	 * Exports filters into a portable document - user, channel and platform IDs are replaced by their names.
+	 * Filters referring to users, channels or platforms that no longer exist are omitted.
+	 */
+	static export (selector?: ExportSelector): Promise<ExportDocument>;
+	/**
+	 * Imports filters from a document created by `Filter.export`. Each entry is validated the same way as in
+	 * `Filter.create`, and all changes are made in one transaction - if any entry is invalid, or conflicts with
+	 * an existing filter while `conflict` is "error", nothing is changed.
+	 */
+	static import (document: ExportDocument, options?: ImportOptions): Promise<ImportResult>;
+	static #prepareCreation (options: CreateData): { data: object, filter: Filter };
+	static #resolveImportEntry (entry: ExportEntry): Promise<CreateData>;
+	static #applyImport (items: object[], issuedBy: User["ID"] | null): Promise<void>;
+	static #getIdentityKey (values: object): string;
 	static getMentionStatus (options: ContextOptions): boolean;
 	static applyUnping (options: UnpingContextOptions): Promise<string>;
+	/**
+	 * Returns the cooldown modifier with the highest priority - a Cooldown filter, or a cooldown Schedule filter
+	 * that is currently within one of its windows.
+	 */
 	static getCooldownModifiers (options: ContextOptions): Filter | null;
 	static getFlags (options: ContextOptions): FlagObject;
+	static getQuotas (options: ContextOptions): Quota[];
 	static getReminderPreventions (options: ContextOptions): Filter["User_Alias"][];
 	static getReason (options: ContextOptions): string | null;
+	/** Fetches the change history of one filter, oldest first. */
+	static getHistory (filter: Like): Promise<HistoryEntry[]>;
+	/**
+	 * Fetches the change history of all filters that target one user, oldest first.
+	 * If `options.issued` is set, fetches the changes made by the user instead.
+	 */
+	static getUserHistory (user: User | User["ID"], options?: { issued?: boolean }): Promise<HistoryEntry[]>;
+	static #parseSchedule (data: ScheduleData | null): { schedule?: object, error: string | null };
+	static #parseScheduleTime (time: string): number | null;
+	static #getScheduleFormatter (timezone: string): Intl.DateTimeFormat;
+	/** Minutes since the start of the week (Sunday 00:00) in the provided timezone. */
+	static #getMinuteOfWeek (timezone: string, timestamp: number): number;
+	static #resolveTargetUsers (options: Pick<ExecuteOptions, "targetUsers" | "targetUser">): Promise<User[]>;
+	static #historyTablePresent: boolean | null;
+	static #isHistoryTablePresent (): Promise<boolean>;
+	static #recordHistory (
+		filter: Filter,
+		entries: HistoryChange[],
+		options: ChangeOptions & { transaction?: PoolConnection }
+	): Promise<void>;
+	static #getChanges (filter: Filter, values: object): HistoryChange[];
+	static #parseHistoryEntry (record: object): HistoryEntry;
+	/**
+	 * Legacy items with both index and range, or both string and regex, keep their old precedence and produce warnings.
+	 */
+	static #parseArgumentItem (definition: ArgumentDescriptor): { item?: object, error: string | null, warnings?: string[] };
+	static #matchArgumentItem (item: object, args: string[], params: Record<string, unknown>): boolean;
+
+
+	/**
+	 * Lookup index of all filters, keyed by type, then by the command/channel/platform combination, then by user.
+	 * Maintained by `loadData`, `create`, `reloadSpecific` and `saveProperty`, and rebuilt whenever `Filter.data`
+	 * is replaced or modified elsewhere.
+	 */
+	static #index: Map<Type, Map<string, Map<User["ID"] | null, Filter[]>>>;
+	static #getIndexCandidates (type: Type | null, options: ContextOptions): Filter[];
+	static #ensureIndex (): void;
+	static #rebuildIndex (): void;
+	static #addToIndex (filter: Filter, sequence?: number): void;
+	static #removeFromIndex (filter: Filter): void;
 
 	private filterData: Data;
 	readonly ID: number;
 	readonly User_Alias: User["ID"] | null;
+	/**
+	 * Name of the user group the filter targets, mutually exclusive with `User_Alias`.
+	 * Only applicable to Blacklist, Whitelist, Cooldown, Flags and Quota filters.
+	 */
+	readonly User_Group: string | null;
 	readonly Channel: Channel["ID"] | null;
 	readonly Command: Command["Name"] | null;
 	readonly Platform: Platform["Name"] | null;
 	readonly Invocation: string | null;
+	readonly Subcommand: string | null;
 	readonly Type: Type;
 	readonly Data: Data;
 	readonly Response: Response;
 	readonly Reason: string | null;
 	readonly Blocked_User: User["ID"] | null;
 	readonly Active: boolean;
+	/** If set, the filter is not enforced until this date. */
+	readonly Starts: CustomDate | null;
+	/** If set, the filter is no longer enforced from this date on, and is deactivated automatically. */
+	readonly Expires: CustomDate | null;
 	readonly Issued_By: User["ID"] | null;
 
 	constructor (data: ConstructorData);
 
-	applyData (data: Data): boolean | number;
+	applyData (data: string[] | { args: string[], params?: Record<string, unknown> } | number): boolean | number;
 	createFilterData (data: Data): void;
-	toggle (): ReturnType<Row["save"]>;
-	setReason (reason: Filter["Reason"]): Promise<void>;
+	toggle (options?: ChangeOptions): Promise<boolean>;
+	/**
+	 * Activates or deactivates the filter, and records the change in the filter history.
+	 * @returns False if the filter already had the provided status
+	 */
+	setActive (active: boolean, options?: ChangeOptions): Promise<boolean>;
+	/**
+	 * Edits the filter's Data, Response or Reason, and records each changed property in the filter history.
+	 * @returns Names of the properties that were actually changed
+	 */
+	update (changes: EditableData, options?: ChangeOptions): Promise<(keyof EditableData)[]>;
+	#saveChanges (values: Partial<EditableData & { Active: boolean }>, entries: HistoryChange[], options: ChangeOptions): Promise<void>;
+	setReason (reason: Filter["Reason"], options?: ChangeOptions): Promise<void>;
+	/**
+	 * Determines whether the filter is enforced at the provided time - it must be active, already started,
+	 * and not expired yet.
+	 */
+	isEnforced (now?: number): boolean;
+	/**
+	 * Determines whether the filter applies to the provided user - either directly, via their group,
+	 * or because the filter applies to everyone.
+	 */
+	appliesToUser (userData: User | null): boolean;
+	/**
+	 * For Schedule filters, determines whether the provided time falls within one of the schedule's windows,
+	 * evaluated in the schedule's timezone.
+	 */
+	isWithinSchedule (now?: number): boolean;
+	/**
+	 * For Schedule filters, determines whether the filter prevents the command from being used at the provided time.
+	 * "deny" schedules block within their windows, "allow" schedules outside of them, cooldown schedules never.
+	 */
+	isScheduleBlocking (now?: number): boolean;
 
 	get priority (): number;
+	get quota (): Quota | null;
+	/** Problems found while parsing the filter's Data. If there are any, the Data is not applied at all. */
+	get dataErrors (): string[];
+	/** For valid Schedule filters, determines how the schedule is applied - otherwise `null`. */
+	get scheduleMode (): ScheduleMode | null;
 }
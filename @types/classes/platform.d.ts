@@ -1,6 +1,7 @@
-import { Emote, Message } from "../globals";
+import { Emote, Message, SimpleGenericData } from "../globals";
 import { ClassTemplate } from "./template";
 import { Channel } from "./channel";
+import { ResultAttachment } from "./command";
 import { User } from "./user";
 
 import { CytubePlatform } from "./platforms/cytube-platform";
@@ -23,7 +24,11 @@ declare type ConstructorOptions = {
 	Defaults: Record<string, any>;
 	Data: Record<string, any>;
 };
-declare type UserMessageAwaiterMap = Map<User, MessageAwaiter["Resolution"]>;
+declare type UserMessageAwaiterMap = Map<User["ID"], MessageAwaiter["Wrapper"]>;
+export declare type SendOptions = {
+	attachments?: ResultAttachment[];
+	embeds?: SimpleGenericData[];
+};
 declare type PrepareMessageOptions = {
 	extraLength?: number;
 	removeEmbeds?: boolean;
@@ -36,13 +41,17 @@ export declare interface Log {
 export declare interface MessageAwaiter {
 	Wrapper: {
 		timeout: number,
-		promise: MessageAwaiter["Resolution"]
+		promise: Promise<MessageAwaiter["Resolution"] | null>,
+		signal: AbortSignal | null,
+		abortListener: () => void
 	};
 	Resolution: {
 		message: Message;
 	};
 	Options: {
 		timeout?: number;
+		/** Cancels the awaiter once aborted. */
+		signal?: AbortSignal;
 	};
 }
 export declare type Like = number | string | Platform;
@@ -62,7 +71,8 @@ export declare class Platform extends ClassTemplate {
 	static get (identifier: Like, host?: string): Platform | null;
 
 	readonly controller: Controller;
-	readonly userMessagePromises: Map<Channel, UserMessageAwaiterMap>;
+	/** Message awaiters per channel ID - private messages use the `null` key. */
+	readonly userMessagePromises: Map<Channel["ID"] | null, UserMessageAwaiterMap>;
 	readonly ID: number;
 	readonly Name: string;
 	readonly Host: string | null;
@@ -77,9 +87,27 @@ export declare class Platform extends ClassTemplate {
 	constructor (data: ConstructorOptions);
 
 	isUserChannelOwner (channelData: Channel, userData: User): Promise<boolean | null>;
-	send (message: string, channel: string): Promise<void>;
-	pm (message: string, user: string, channelData?: Channel): Promise<void>;
-	waitForUserMessage (channelData: Channel, userData: User, options: MessageAwaiter["Options"]): Promise<MessageAwaiter["Resolution"]>;
+	/**
+	 * Attachments and embeds are only sent if the platform's controller supports them.
+	 */
+	send (message: string, channel: string, options?: SendOptions): Promise<void>;
+	pm (message: string, user: string, channelData?: Channel, options?: SendOptions): Promise<void>;
+	/**
+	 * Resolves with the user's next message in the channel (or in private messages, if `channelData` is `null`).
+	 * Resolves with `null` if the user does not post a message in time, or if the awaiter is cancelled.
+	 */
+	waitForUserMessage (channelData: Channel | null, userData: User, options?: MessageAwaiter["Options"]): Promise<MessageAwaiter["Resolution"] | null>;
+	/**
+	 * Resolves the user's message awaiter, if there is one.
+	 * Platform controllers should call this for every incoming message, before handling it as a command.
+	 */
+	resolveUserMessage (channelData: Channel | null, userData: User, message: string): boolean;
+	/**
+	 * Cancels the user's message awaiter, if there is one - its promise resolves with `null`.
+	 * If `options.signal` is provided, only an awaiter created with that signal is cancelled.
+	 */
+	cancelUserMessage (channelData: Channel | null, userData: User, options?: { signal?: AbortSignal }): boolean;
+	#removeUserMessageAwaiter (channelData: Channel | null, userData: User): MessageAwaiter["Wrapper"] | null;
 	fetchChannelUserList (channelData: Channel): Promise<string[]>;
 	fetchGlobalEmotes (): Promise<Emote[]>;
 	invalidateGlobalEmotesCache (): Promise<void>;
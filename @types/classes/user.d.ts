@@ -5,16 +5,25 @@ import {
     GenericCacheMap,
     SpecificCacheOptions
 } from "./template";
+import { Channel } from "./channel";
+import { Platform } from "./platform";
 
 export declare namespace Permissions {
     export type Descriptor = {
         regular: 0b0000_0001;
         ambassador: 0b0000_0010;
         channelOwner: 0b0000_0100;
-        administrator: 0b0000_1000;
+        administrator: 0b1000_0000;
+        /** Custom permission levels registered via `User.registerPermission`. */
+        [custom: string]: number;
     };
     export type Level = keyof Descriptor;
     export type Value = Descriptor[keyof Descriptor];
+    export type Resolver = (context: {
+        user: User,
+        channel: Channel | null,
+        platform: Platform | null
+    }) => boolean | Promise<boolean>;
 }
 
 export declare type Like = string | number | User;
@@ -28,6 +37,8 @@ export declare class User extends ClassTemplate {
     static bots: Map<string, User>;
     static data: Map<string, User>;
     static readonly permissions: Permissions.Descriptor;
+    static readonly permissionResolvers: Map<string, Permissions.Resolver>;
+    static #permissionResolvers: Map<string, Permissions.Resolver>;
     static readonly dataCache: GenericCacheMap<User>;
     static readonly mapExpirationInterval: ReturnType<typeof setInterval>;
     static readonly pendingNewUsers: Set<User>;
@@ -39,6 +50,12 @@ export declare class User extends ClassTemplate {
     static getMultiple (identifier: Like[]): Promise<User[]>;
     static getByProperty (property: string, identifier: any): User;
     static destroy (): void;
+    /**
+     * Registers a custom permission level, which can then be required by commands in their definition.
+     * The level is assigned the lowest bit not used by any other level.
+     * @returns The bit assigned to the permission level
+     */
+    static registerPermission (name: string, resolver: Permissions.Resolver): number;
     static normalizeUsername (username: string): string;
     static createCacheKey (options: { name?: string, Name?: string }): string;
     static createFromCache (options: { name?: string, Name?: string }): Promise<User>;
@@ -20,9 +20,11 @@ import { User } from "./classes/user";
 import { CacheSingleton } from "./singletons/cache";
 import { CooldownManagerSingleton } from "./singletons/cooldown-manager";
 import { LocalRequestSingleton } from "./singletons/local-request";
+import { LocalizationSingleton } from "./singletons/localization";
 import { LoggerSingleton } from "./singletons/logger";
 import { PastebinSingleton } from "./singletons/pastebin";
 import { QuerySingleton } from "./singletons/query";
+import { QuotaManagerSingleton } from "./singletons/quota-manager";
 import { SandboxSingleton } from "./singletons/sandbox";
 import { UtilsSingleton } from "./singletons/utils";
 import { VLCSingleton } from "./singletons/vlc-connector";
@@ -48,9 +50,11 @@ export declare type GlobalSbObject = {
     Cache: InstanceType<typeof CacheSingleton>,
     CooldownManager: InstanceType<typeof CooldownManagerSingleton>,
     LocalRequest: InstanceType<typeof LocalRequestSingleton>,
+    Localization: InstanceType<typeof LocalizationSingleton>,
     Logger: InstanceType<typeof LoggerSingleton>,
     Pastebin: InstanceType<typeof PastebinSingleton>,
     Query: InstanceType<typeof QuerySingleton>,
+    QuotaManager: InstanceType<typeof QuotaManagerSingleton>,
     Sandbox: InstanceType<typeof SandboxSingleton>,
     Utils: InstanceType<typeof UtilsSingleton>,
     VideoLANConnector: InstanceType<typeof VLCSingleton>
@@ -76,9 +80,11 @@ declare type ModuleFilePath = "classes/afk"
     | "singletons/cache"
     | "singletons/cooldown-manager"
     | "singletons/local-request"
+    | "singletons/localization"
     | "singletons/logger"
     | "singletons/pastebin"
     | "singletons/query"
+    | "singletons/quota-manager"
     | "singletons/runtime"
     | "singletons/sandbox"
     | "singletons/system-log"
@@ -1,6 +1,14 @@
 import { JSONifiable, SimpleGenericData } from "../globals";
 
 export namespace errors {
+	class CommandTimeoutError extends CustomError {
+		constructor (obj?: {
+			message?: string;
+			command: string | null;
+			timeout: number | null;
+			args?: JSONifiable;
+		});
+	}
 	class GenericRequestError extends CustomError {
 		constructor (obj?: {
 			message: string;
@@ -2,6 +2,7 @@ import { SingletonTemplate as Template } from "./template";
 import { SimpleGenericData } from "../globals";
 
 export declare type Identifier = number | string | null;
+export declare type ChannelIdentifier = Identifier | symbol;
 export declare type CooldownOptions = unknown;
 export declare type UnsetOptions = unknown;
 
@@ -15,17 +16,17 @@ declare abstract class Inhibitor {
 }
 
 export declare class Cooldown implements Inhibitor {
-    #channel: Identifier;
+    #channel: ChannelIdentifier;
     #user: Identifier;
     #command: Identifier;
     #expires: number;
 
-    constructor (data: { channel?: Identifier, user?: Identifier, command?: Identifier, expires: number });
+    constructor (data: { channel?: ChannelIdentifier, user?: Identifier, command?: Identifier, expires: number });
 
-    check (channel: Identifier, user: Identifier, command: Identifier): boolean;
+    check (channel: ChannelIdentifier, user: Identifier, command: Identifier): boolean;
     revoke (): void;
 
-    get channel (): Identifier;
+    get channel (): ChannelIdentifier;
     get command (): Identifier;
     get user (): Identifier;
     get expires (): number;
@@ -54,15 +55,27 @@ export declare class CooldownManagerSingleton implements Template {
 
     constructor ();
 
-    set (channel: Identifier, user: Identifier, command: Identifier, cooldown: number, options?: CooldownOptions): void;
-    check (channel: Identifier, user: Identifier, command: Identifier, skipPending: boolean): boolean;
-    unset (channel: Identifier, user: Identifier, command: Identifier, options: UnsetOptions): void;
-    setPending (user: Identifier, description?: string): void;
-    fetchPending (user: Identifier): Pending;
-    unsetPending (user: Identifier): void;
+    /**
+     * Uses Redis via `sb.Cache` if it is active, and the in-memory `data` otherwise.
+     * Breaking change: all of these methods used to be synchronous, and now return promises.
+     */
+    set (channel: ChannelIdentifier, user: Identifier, command: Identifier, cooldown: number, options?: CooldownOptions): Promise<void>;
+    check (channel: ChannelIdentifier, user: Identifier, command: Identifier, skipPending: boolean): Promise<boolean>;
+    unset (channel: ChannelIdentifier, user: Identifier, command: Identifier, options?: UnsetOptions): Promise<void>;
+    /** @returns False if the user already has a pending status - it is then kept */
+    setPending (user: Identifier, description?: string): Promise<boolean>;
+    fetchPending (user: Identifier): Promise<Pending | null>;
+    unsetPending (user: Identifier): Promise<void>;
+    /** Removes expired in-memory cooldowns - Redis keys expire on their own. */
     prune (): void;
     destroy (): void;
 
+    #checkMemory (channel: ChannelIdentifier, user: Identifier, command: Identifier, skipPending: boolean): boolean;
+    #fetchMemoryPending (user: Identifier): Pending | null;
+    #getCooldownKey (channel: ChannelIdentifier, user: Identifier, command: Identifier): string;
+    #getPendingKey (user: Identifier): string;
+    get #usesRedis (): boolean;
+
     get Cooldown (): typeof Cooldown;
     get Pending (): typeof Pending;
 
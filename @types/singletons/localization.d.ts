@@ -0,0 +1,53 @@
+import { SingletonTemplate as Template } from "./template";
+import { Channel } from "../classes/channel";
+import { User } from "../classes/user";
+import { CustomDate } from "../objects/date";
+
+export declare type Messages = Record<string, string>;
+export declare type Params = Record<string, unknown>;
+export declare type LanguageOptions = {
+    user?: User | null;
+    channel?: Channel | null;
+};
+export declare type TranslateOptions = LanguageOptions & {
+    params?: Params;
+};
+
+export declare class LocalizationSingleton implements Template {
+    static module: LocalizationSingleton;
+    static singleton (): LocalizationSingleton;
+
+    #catalogs: Map<string, Map<string, string>>;
+
+    constructor ();
+
+    /**
+     * Registers messages for a given language. Existing messages with the same keys are overwritten.
+     */
+    register (language: string, messages: Messages): void;
+
+    /**
+     * Determines whether a message exists in the given language, not counting the default language fallback.
+     */
+    has (key: string, language: string): boolean;
+
+    /**
+     * Fetches a message in the given language, with its `{name}` placeholders interpolated.
+     * Falls back to the default language, and to the key itself if the message does not exist at all.
+     */
+    get (key: string, language?: string | null, params?: Params): string;
+
+    /**
+     * Determines the language to reply in, based on the `language` data property.
+     * The user's preference takes precedence over the channel's one.
+     */
+    getLanguage (options?: LanguageOptions): Promise<string>;
+    translate (key: string, options?: TranslateOptions): Promise<string>;
+    timeDelta (target: CustomDate | Date | number, language?: string | null): string;
+    normalizeLanguage (value: unknown): string | null;
+    destroy (): void;
+
+    get defaultLanguage (): string;
+    get languages (): string[];
+    get modulePath (): "localization";
+}
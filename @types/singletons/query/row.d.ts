@@ -1,6 +1,6 @@
 import { ColumnDefinition, QuerySingleton as Query, TableDefinition } from "./index";
 import { CustomDate as Date } from "../../objects/date";
-import { TypeCastResult, UpsertResult } from "mariadb";
+import { PoolConnection, TypeCastResult, UpsertResult } from "mariadb";
 import { SimpleGenericData } from "../../globals";
 
 declare const unsetSymbol: symbol;
@@ -12,6 +12,7 @@ declare type CompoundPrimaryKey = {
 declare type SaveOptions = {
     ignore?: boolean;
     skipLoad?: boolean;
+    transaction?: PoolConnection;
 };
 declare type ColumnValue = TypeCastResult | typeof unsetSymbol;
 declare type ValueObject = Record<ColumnDefinition["name"], ColumnValue>;
@@ -0,0 +1,70 @@
+import { SingletonTemplate as Template } from "./template";
+import { Channel } from "../classes/channel";
+import { Command } from "../classes/command";
+import { Platform } from "../classes/platform";
+import { User } from "../classes/user";
+
+export declare type Scope = "user" | "channel" | "platform" | "global";
+export declare type WindowName = "minute" | "hour" | "day" | "week";
+export declare type QuotaDefinition = {
+    /** Amount of uses allowed within one window. */
+    limit: number;
+    /** Named window, or window length in milliseconds. */
+    window: WindowName | number;
+    /** Who the uses are counted for. Defaults to "user". */
+    scope?: Scope;
+    /** Identifies the usage counter, must be unique within a command. */
+    name?: string;
+};
+export declare type Quota = {
+    name: string;
+    limit: number;
+    scope: Scope;
+    /** Window length in milliseconds. */
+    window: number;
+    windowName: WindowName | null;
+};
+export declare type QuotaTargets = {
+    user?: User | null;
+    channel?: Channel | null;
+    platform?: Platform | null;
+};
+export declare type QuotaCheckResult = {
+    success: true;
+    /** When the quotas were consumed - only present in the result of `consume`. */
+    timestamp?: number;
+} | {
+    success: false;
+    quota: Quota;
+    used: number;
+    /** Timestamp of when the exhausted quota resets. */
+    resetsAt: number;
+};
+
+export declare class QuotaManagerSingleton implements Template {
+    static module: QuotaManagerSingleton;
+    static singleton (): QuotaManagerSingleton;
+    static readonly scopes: Scope[];
+    static readonly windows: WindowName[];
+
+    data: Map<string, { count: number, expires: number }>;
+
+    constructor ();
+
+    parseDefinition (definition: QuotaDefinition, defaultName?: string): { quota: Quota | null, error: string | null };
+    getWindow (quota: Quota, now?: number): { start: number, end: number };
+    check (command: Command["Name"], quotas: Quota[], targets: QuotaTargets): Promise<QuotaCheckResult>;
+    consume (command: Command["Name"], quotas: Quota[], targets: QuotaTargets): Promise<QuotaCheckResult>;
+    refund (command: Command["Name"], quotas: Quota[], targets: QuotaTargets, timestamp?: number): Promise<void>;
+    reset (command: Command["Name"], quota: Quota, targets: QuotaTargets): Promise<void>;
+    prune (): void;
+    destroy (): void;
+
+    #getKey (command: Command["Name"], quota: Quota, targets: QuotaTargets, now: number): string;
+    #getCount (key: string): Promise<number>;
+    #increment (key: string, expires: number): Promise<number>;
+    #decrement (key: string): Promise<void>;
+
+    get pruneCron (): unknown;
+    get modulePath (): "quota-manager";
+}
@@ -95,10 +95,17 @@ module.exports = class AwayFromKeyboard extends require("./template.js") {
 		const status = sb.Utils.randArray(responses[data.Status] ?? responses[AwayFromKeyboard.defaultStatus]);
 		if (!data.Silent) {
 			const userMention = await channelData.Platform.createUserMention(userData);
-			const message = `${userMention} ${status}: ${data.Text} (${sb.Utils.timeDelta(data.Started)})`;
+			const language = await sb.Localization.getLanguage({ user: userData, channel: channelData });
+			const params = {
+				status,
+				text: data.Text,
+				delta: sb.Localization.timeDelta(data.Started, language)
+			};
+
+			const message = sb.Localization.get("afk.return", language, { ...params, mention: userMention });
 
 			if (channelData.Mirror) {
-				const mirroredMessage = `${userData.Name} ${status}: ${data.Text} (${sb.Utils.timeDelta(data.Started)})`;
+				const mirroredMessage = sb.Localization.get("afk.return", language, { ...params, mention: userData.Name });
 				await channelData.mirror(mirroredMessage, null, { commandUsed: false });
 			}
 
@@ -242,18 +242,24 @@ module.exports = (function () {
 						case "Refuse": {
 							let string;
 							if (e.code === "ETIMEDOUT") {
-								string = `Cannot reply - banphrase API timed out.`;
+								string = await sb.Localization.translate("banphrase.api-timeout", { channel: channelData });
 							}
 							else if (e.code === "HTTPError") {
 								const match = e.message.match(/Response code (\d+)/);
 								const statusString = (match)
-									? `(status code ${match[1]})`
+									? await sb.Localization.translate("banphrase.api-status", {
+										channel: channelData,
+										params: { code: match[1] }
+									})
 									: "";
 
-								string = `Cannot reply - banphrase API is currently down. ${statusString}`;
+								string = await sb.Localization.translate("banphrase.api-down", {
+									channel: channelData,
+									params: { status: statusString }
+								});
 							}
 							else {
-								string = `Cannot reply - banphrase API encountered an unexpected error.`;
+								string = await sb.Localization.translate("banphrase.api-error", { channel: channelData });
 							}
 
 							return {
@@ -264,7 +270,10 @@ module.exports = (function () {
 
 						case "Whisper": {
 							return {
-								string: `Banphrase failed, your command result: ${message}.`,
+								string: await sb.Localization.translate("banphrase.whisper", {
+									channel: channelData,
+									params: { message }
+								}),
 								passed: true,
 								privateMessage: true,
 								warn: true
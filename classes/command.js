@@ -1,8 +1,22 @@
 const pathModule = require("path");
 
+const conversationDefaults = {
+	timeout: 30_000,
+	retries: 0,
+	cancelWords: ["cancel", "stop", "abort"],
+	confirmWords: ["yes", "y"],
+	declineWords: ["no", "n"]
+};
+
+// Arguments that mention a user, e.g. "@supinic"
+const mentionRegex = /^@\w/;
+
+const PERMISSION_REJECTION_LOG_INTERVAL = 60_000;
+
 class Context {
 	#command;
 	#invocation;
+	#subcommand = null;
 	#user;
 	#channel;
 	#platform;
@@ -12,10 +26,12 @@ class Context {
 	#params = {};
 	#meta = new Map();
 	#userFlags = {};
+	#signal = null;
 
 	constructor (command, data = {}) {
 		this.#command = command;
 		this.#invocation = data.invocation ?? null;
+		this.#subcommand = data.subcommand ?? null;
 		this.#user = data.user ?? null;
 		this.#channel = data.channel ?? null;
 		this.#platform = data.platform ?? null;
@@ -23,11 +39,13 @@ class Context {
 		this.#privateMessage = data.privateMessage ?? false;
 		this.#append = data.append ?? this.#append;
 		this.#params = data.params ?? this.#params;
+		this.#signal = data.signal ?? new AbortController().signal;
 
 		this.#append.tee ??= [];
 
 		this.#userFlags = sb.Filter.getFlags({
 			command,
+			subcommand: this.#subcommand,
 			invocation: this.#invocation,
 			platform: this.#platform,
 			channel: this.#channel,
@@ -35,6 +53,15 @@ class Context {
 		});
 	}
 
+	/**
+	 * Makes the context's signal also abort whenever the provided signal does.
+	 * Used when an existing context is passed to `checkAndExecute`, so that the execution timeout applies to it.
+	 * @param {AbortSignal} signal
+	 */
+	linkSignal (signal) {
+		this.#signal = AbortSignal.any([this.#signal, signal]);
+	}
+
 	getMeta (name) { return this.#meta.get(name); }
 	setMeta (name, value) { this.#meta.set(name, value); }
 
@@ -59,6 +86,139 @@ class Context {
 		}
 	}
 
+	/**
+	 * Sends a question to the user, and waits for their answer in the same channel (or in private messages).
+	 * If the answer does not pass validation, the user is asked again, up to the amount of `retries`.
+	 * @param {string} question
+	 * @param {Object} [options]
+	 * @param {function(string): (boolean|string|Promise<boolean|string>)} [options.validate] Returns `true` for valid
+	 * answers. For invalid ones, returns `false`, or a string that is sent to the user instead of the default message.
+	 * @param {number} [options.timeout] How long to wait for each answer, in milliseconds. Default: 30 seconds
+	 * @param {number} [options.retries] How many times the user can answer again after an invalid answer. Default: 0
+	 * @param {string[]} [options.cancelWords] Answers that end the conversation. Default: "cancel", "stop", "abort"
+	 * @returns {Promise<PromptResult>}
+	 */
+	async prompt (question, options = {}) {
+		if (!this.#platform || !this.#user) {
+			throw new sb.Error({
+				message: "Cannot prompt without a platform and a user",
+				args: {
+					command: this.#command?.Name ?? null
+				}
+			});
+		}
+
+		const timeout = options.timeout ?? conversationDefaults.timeout;
+		const retries = options.retries ?? conversationDefaults.retries;
+		const cancelWords = (options.cancelWords ?? conversationDefaults.cancelWords).map(i => i.toLowerCase());
+
+		let message = question;
+		for (let attempt = 0; attempt <= retries; attempt++) {
+			await this.sendIntermediateMessage(message);
+
+			const resolution = await this.#platform.waitForUserMessage(this.#channel, this.#user, {
+				timeout,
+				signal: this.#signal
+			});
+
+			if (!resolution) {
+				return {
+					success: false,
+					reason: (this.#signal.aborted) ? "aborted" : "timeout",
+					value: null
+				};
+			}
+
+			const answer = String(resolution.message).trim();
+			if (cancelWords.includes(answer.toLowerCase())) {
+				return {
+					success: false,
+					reason: "cancelled",
+					value: null
+				};
+			}
+
+			const validation = (typeof options.validate === "function")
+				? await options.validate(answer)
+				: true;
+
+			if (validation === true) {
+				return {
+					success: true,
+					reason: null,
+					value: answer
+				};
+			}
+
+			message = (typeof validation === "string")
+				? validation
+				: await sb.Localization.translate("conversation.invalid", this);
+		}
+
+		return {
+			success: false,
+			reason: "invalid",
+			value: null
+		};
+	}
+
+	/**
+	 * Asks the user a yes/no question.
+	 * @param {string} question
+	 * @param {Object} [options] Same as in {@link Context#prompt}, except for `validate`
+	 * @returns {Promise<boolean>} True only if the user has confirmed - declining, timing out or cancelling results in false
+	 */
+	async confirm (question, options = {}) {
+		const { confirmWords, declineWords } = conversationDefaults;
+		const suffix = await sb.Localization.translate("conversation.confirm.suffix", this);
+		const invalidMessage = await sb.Localization.translate("conversation.confirm.invalid", this);
+
+		const result = await this.prompt(`${question} ${suffix}`, {
+			...options,
+			validate: (answer) => {
+				const lower = answer.toLowerCase();
+				return (confirmWords.includes(lower) || declineWords.includes(lower)) || invalidMessage;
+			}
+		});
+
+		return (result.success && confirmWords.includes(result.value.toLowerCase()));
+	}
+
+	/**
+	 * Asks the user multiple questions in sequence. The conversation ends on the first failed question.
+	 * @param {ConversationQuestion[]} questions
+	 * @param {Object} [options] Default options for all questions, same as in {@link Context#prompt}
+	 * @returns {Promise<ConversationResult>}
+	 */
+	async converse (questions, options = {}) {
+		const answers = {};
+		for (const item of questions) {
+			const { name, question, ...questionOptions } = item;
+			const result = await this.prompt(question, {
+				...options,
+				...questionOptions
+			});
+
+			if (!result.success) {
+				return {
+					success: false,
+					reason: result.reason,
+					failedQuestion: name,
+					answers
+				};
+			}
+
+			answers[name] = result.value;
+		}
+
+		return {
+			success: true,
+			reason: null,
+			failedQuestion: null,
+			answers
+		};
+	}
+
 	async getUserPermissions (options = {}) {
 		const userData = options.user ?? this.#user;
 		const channelData = options.channel ?? this.#channel;
@@ -83,6 +243,18 @@ class Context {
 			}
 		}
 
+		for (const [name, resolver] of sb.User.permissionResolvers) {
+			const hasPermission = await resolver({
+				user: userData,
+				channel: channelData ?? null,
+				platform: platformData ?? null
+			});
+
+			if (hasPermission === true) {
+				flag |= sb.User.permissions[name];
+			}
+		}
+
 		return {
 			flag,
 			/**
@@ -116,6 +288,7 @@ class Context {
 
 	get tee () { return this.#append.tee; }
 	get invocation () { return this.#invocation; }
+	get subcommand () { return this.#subcommand; }
 	get user () { return this.#user; }
 	get channel () { return this.#channel; }
 	get platform () { return this.#platform; }
@@ -124,6 +297,7 @@ class Context {
 	get append () { return this.#append; }
 	get params () { return this.#params; }
 	get userFlags () { return this.#userFlags; }
+	get signal () { return this.#signal; }
 }
 
 class Command extends require("./template.js") {
@@ -133,21 +307,85 @@ class Command extends require("./template.js") {
 	Cooldown;
 	Flags = {};
 	Params = [];
+	Timeout = null;
+	Quota = [];
+	Permissions = [];
+	Targets = [{ index: 0 }];
+	Subcommands = [];
 	Whitelist_Response = null;
 	Code;
 	Dynamic_Description;
 
 	#Author;
+	#definitionErrors = [];
 
 	data = {};
 	staticData = {};
 
 	static #privateMessageChannelID = Symbol("private-message-channel");
 
+	/** @type {WeakSet<Command>} Commands whose invalid results have already been reported */
+	static #invalidResultCommands = new WeakSet();
+
+	/** @type {Map<string, number>} Last time a permission rejection was logged, per command and user */
+	static #permissionRejectionLogs = new Map();
+
 	static privilegedCommandCharacters = ["$"];
 
 	static ignoreParametersDelimiter = "--";
 
+	static helpFormats = ["plain", "markdown", "json"];
+
+	static parameterTypes = ["string", "number", "boolean", "date", "object", "regex", "language"];
+
+	static middlewareStages = ["before-filter", "after-filter", "before-execute", "after-execute", "before-reply"];
+
+	/** @type {Map<MiddlewareStage, MiddlewareHandler[]>} */
+	static #middleware = new Map(Command.middlewareStages.map(stage => [stage, []]));
+
+	static flagBadges = {
+		developer: "developer",
+		system: "system",
+		rollback: "rollback",
+		optOut: "opt-out",
+		skipBanphrase: "skip-banphrase",
+		block: "block",
+		ownerOverride: "owner-override",
+		readOnly: "read-only",
+		whitelist: "whitelist",
+		pipe: "pipe",
+		mention: "mention",
+		nonNullable: "non-nullable",
+		externalInput: "external-input"
+	};
+
+	/**
+	 * Allowed types of each known command result property.
+	 * Types are checked with `typeof`, except for "null" and "array" - so "object" also matches class instances,
+	 * such as the embed objects of platform libraries.
+	 * @type {Object<string, string[]>}
+	 */
+	static resultSchema = {
+		reply: ["string", "null"],
+		success: ["boolean"],
+		reason: ["string"],
+		cooldown: ["number", "object", "array", "null"],
+		meta: ["object"],
+		discord: ["object"],
+		partialReplies: ["array"],
+		replies: ["array"],
+		attachments: ["array"],
+		embeds: ["array"],
+		partialExecute: ["boolean"],
+		hasExternalInput: ["boolean"],
+		isChannelAlias: ["boolean"],
+		skipExternalPrefix: ["boolean"],
+		forceExternalPrefix: ["boolean"],
+		replyWithPrivateMessage: ["boolean"],
+		removeEmbeds: ["boolean"],
+		keepWhitespace: ["boolean"]
+	};
+
 	constructor (data) {
 		super();
 
@@ -155,6 +393,7 @@ class Command extends require("./template.js") {
 		if (typeof this.Name !== "string" || this.Name.length === 0) {
 			console.error(`Command ID ${this.ID} has an unusable name`, data.Name);
 			this.Name = ""; // just a precaution so that the command never gets found out
+			this.#definitionErrors.push("Name is not usable");
 		}
 
 		if (data.Aliases === null) {
@@ -166,6 +405,7 @@ class Command extends require("./template.js") {
 			}
 			catch (e) {
 				this.Aliases = [];
+				this.#definitionErrors.push("Aliases are not valid JSON");
 				console.warn(`Command has invalid JSON aliases definition`, {
 					command: this,
 					error: e,
@@ -178,6 +418,7 @@ class Command extends require("./template.js") {
 		}
 		else {
 			this.Aliases = [];
+			this.#definitionErrors.push("Aliases have an invalid type");
 			console.warn(`Command has invalid aliases type`, { data });
 		}
 
@@ -208,6 +449,7 @@ class Command extends require("./template.js") {
 				}
 				catch (e) {
 					this.Params = null;
+					this.#definitionErrors.push("Params are not valid JSON");
 					console.warn(`Command has invalid JSON params definition`, {
 						commandName: this.Name,
 						error: e
@@ -220,6 +462,87 @@ class Command extends require("./template.js") {
 
 		Object.freeze(this.Flags);
 
+		this.Timeout = data.Timeout ?? null;
+
+		if (data.Quota && !sb.QuotaManager) {
+			this.#definitionErrors.push("Quota is defined, but sb.QuotaManager is not available");
+			console.warn(`Command has a quota definition, but sb.QuotaManager is not available - quotas are ignored`, {
+				commandName: this.Name
+			});
+		}
+		else if (data.Quota) {
+			const definitions = (Array.isArray(data.Quota)) ? data.Quota : [data.Quota];
+			for (const definition of definitions) {
+				const { quota, error } = sb.QuotaManager.parseDefinition(definition);
+				if (error) {
+					this.#definitionErrors.push(`Quota definition is not valid: ${error}`);
+					console.warn(`Command has an invalid quota definition`, {
+						commandName: this.Name,
+						error
+					});
+
+					continue;
+				}
+
+				this.Quota.push(quota);
+			}
+		}
+
+		if (data.Permissions) {
+			const levels = (Array.isArray(data.Permissions)) ? data.Permissions : [data.Permissions];
+			if (levels.every(i => typeof i === "string" && i.length > 0)) {
+				this.Permissions = levels;
+			}
+			else {
+				this.#definitionErrors.push("Permissions must be a permission level or an array of them");
+				console.warn(`Command has an invalid permissions definition`, {
+					commandName: this.Name,
+					permissions: data.Permissions
+				});
+			}
+		}
+
+		Object.freeze(this.Permissions);
+
+		if (typeof data.Targets !== "undefined" && data.Targets !== null) {
+			const { targets, error } = this.#parseTargets(data.Targets);
+			if (error) {
+				this.#definitionErrors.push(`Targets definition is not valid: ${error}`);
+				console.warn(`Command has an invalid targets definition`, {
+					commandName: this.Name,
+					error
+				});
+			}
+			else {
+				this.Targets = targets;
+			}
+		}
+
+		Object.freeze(this.Targets);
+
+		if (Array.isArray(data.Subcommands)) {
+			for (const definition of data.Subcommands) {
+				const { subcommand, error } = this.#parseSubcommand(definition);
+				if (error) {
+					this.#definitionErrors.push(`Subcommand definition is not valid: ${error}`);
+					console.warn(`Command has an invalid subcommand definition`, {
+						commandName: this.Name,
+						error
+					});
+
+					continue;
+				}
+
+				this.Subcommands.push(subcommand);
+			}
+		}
+		else if (data.Subcommands) {
+			this.#definitionErrors.push("Subcommands have an invalid type");
+			console.warn(`Command has invalid subcommands definition type`, {
+				commandName: this.Name
+			});
+		}
+
 		this.Whitelist_Response = data.Whitelist_Response;
 
 		this.#Author = data.Author;
@@ -233,9 +556,10 @@ class Command extends require("./template.js") {
 			}
 			catch (e) {
 				console.error(`Command ${this.ID} has invalid code definition!`, e);
-				this.Code = async () => ({
+				this.#definitionErrors.push("Code definition is not valid");
+				this.Code = async (context) => ({
 					success: false,
-					reply: "Command has invalid code definition! Please make sure to let @supinic know about this!"
+					reply: await sb.Localization.translate("command.invalid-code", context)
 				});
 			}
 		}
@@ -259,18 +583,20 @@ class Command extends require("./template.js") {
 				}
 				catch (e) {
 					console.warn(`Command has invalid static data definition!`, { commandName: this.Name, error: e });
-					this.Code = () => ({
+					this.#definitionErrors.push("Static data definition is not valid");
+					this.Code = async (context) => ({
 						success: false,
-						reply: "Command has invalid code definition! Please make sure to let @supinic know about this!"
+						reply: await sb.Localization.translate("command.invalid-code", context)
 					});
 				}
 			}
 
 			if (typeof staticDataFn !== "function") {
 				console.warn(`Command ${this.ID} static data is not a function!`);
-				this.Code = async () => ({
+				this.#definitionErrors.push("Static data is not a function");
+				this.Code = async (context) => ({
 					success: false,
-					reply: "Command's static data is not a function!"
+					reply: await sb.Localization.translate("command.invalid-static-data", context)
 				});
 			}
 
@@ -278,9 +604,10 @@ class Command extends require("./template.js") {
 
 			if (!staticData || staticData?.constructor?.name !== "Object") {
 				console.warn(`Command ${this.ID} has invalid static data type!`);
-				this.Code = async () => ({
+				this.#definitionErrors.push("Static data has an invalid type");
+				this.Code = async (context) => ({
 					success: false,
-					reply: "Command has invalid static data type!"
+					reply: await sb.Localization.translate("command.invalid-static-data-type", context)
 				});
 			}
 			else {
@@ -338,11 +665,337 @@ class Command extends require("./template.js") {
 		}
 	}
 
+	/**
+	 * Creates the usage line of the command, based on its Params definition.
+	 * Required parameters are wrapped in angle brackets, optional ones in square brackets.
+	 * @param {string|null} [subcommandName] If provided, the usage line of this subcommand is created instead
+	 * @returns {string}
+	 */
+	getUsage (subcommandName = null) {
+		const prefix = Command.prefix ?? "";
+		const subcommand = this.getSubcommand(subcommandName);
+		const name = (subcommand) ? `${this.Name} ${subcommand.name}` : this.Name;
+		const params = ((subcommand) ? subcommand.params : (this.Params ?? [])).map(param => {
+			let body = `${param.name}:${param.type}`;
+			if (typeof param.default !== "undefined") {
+				body += `=${Command.#formatParameterValue(param.default)}`;
+			}
+			if (param.list) {
+				body += "...";
+			}
+
+			return (param.required) ? `<${body}>` : `[${body}]`;
+		});
+
+		return [`${prefix}${name}`, ...params].join(" ");
+	}
+
+	/**
+	 * Creates the help text of the command from its definition.
+	 * @param {Object} [options]
+	 * @param {"plain"|"markdown"|"json"} [options.format] Defaults to "plain"
+	 * @param {string} [options.subcommand] If provided, the help text of this subcommand is created instead
+	 * @returns {Promise<string|CommandHelpData>} Object for the "json" format, string otherwise
+	 */
+	async getHelp (options = {}) {
+		const format = options.format ?? "plain";
+		if (!Command.helpFormats.includes(format)) {
+			throw new sb.Error({
+				message: "Invalid help format provided",
+				args: { format, allowed: Command.helpFormats }
+			});
+		}
+
+		const subcommand = this.getSubcommand(options.subcommand ?? null);
+		if (options.subcommand && !subcommand) {
+			throw new sb.Error({
+				message: "Subcommand does not exist",
+				args: { command: this.Name, subcommand: options.subcommand }
+			});
+		}
+
+		const target = {
+			name: (subcommand) ? `${this.Name} ${subcommand.name}` : this.Name,
+			aliases: (subcommand) ? subcommand.aliases : this.Aliases,
+			description: (subcommand) ? subcommand.description : this.Description,
+			params: (subcommand) ? subcommand.params : (this.Params ?? []),
+			flags: (subcommand) ? subcommand.flags : this.Flags,
+			cooldown: (subcommand) ? (subcommand.cooldown ?? this.Cooldown) : this.Cooldown
+		};
+
+		// Subcommands are only listed in the help of the command itself
+		const subcommands = [];
+		if (!subcommand) {
+			for (const item of this.Subcommands) {
+				subcommands.push({
+					name: item.name,
+					description: item.description,
+					usage: this.getUsage(item.name)
+				});
+			}
+		}
+
+		const flags = Object.keys(target.flags)
+			.filter(flag => target.flags[flag] && Command.flagBadges[flag])
+			.map(flag => Command.flagBadges[flag]);
+
+		const params = target.params.map(param => {
+			const notes = [param.type];
+			if (param.required) {
+				notes.push("required");
+			}
+			if (typeof param.default !== "undefined") {
+				notes.push(`default: ${Command.#formatParameterValue(param.default)}`);
+			}
+			if (Array.isArray(param.enum)) {
+				notes.push(`one of: ${param.enum.join(", ")}`);
+			}
+			if (typeof param.min === "number" || typeof param.max === "number") {
+				notes.push(`range: ${param.min ?? "-∞"} to ${param.max ?? "∞"}`);
+			}
+			if (param.list) {
+				notes.push("repeatable");
+			}
+			if (param.exclusive) {
+				notes.push(`exclusive group: ${param.exclusive}`);
+			}
+
+			return { name: param.name, notes };
+		});
+
+		const cooldown = (typeof target.cooldown === "number")
+			? sb.Utils.formatTime(target.cooldown / 1000)
+			: "none";
+
+		const usage = this.getUsage(subcommand?.name ?? null);
+		const detailURL = this.getDetailURL();
+
+		if (format === "json") {
+			return {
+				name: target.name,
+				aliases: [...target.aliases],
+				description: target.description ?? null,
+				usage,
+				params: target.params.map(param => ({ ...param })),
+				flags,
+				subcommands,
+				cooldown: target.cooldown ?? null,
+				detailURL: (detailURL === "N/A") ? null : detailURL,
+				dynamicDescription: (subcommand) ? null : await this.getDynamicDescription()
+			};
+		}
+		else if (format === "markdown") {
+			const lines = [
+				`### ${target.name}`,
+				target.description ?? "(no description)",
+				"",
+				`**Usage:** \`${usage}\``
+			];
+
+			if (target.aliases.length > 0) {
+				lines.push(`**Aliases:** ${target.aliases.map(i => `\`${i}\``).join(", ")}`);
+			}
+			if (params.length > 0) {
+				lines.push("**Parameters:**", ...params.map(i => `- \`${i.name}\` (${i.notes.join(", ")})`));
+			}
+			if (subcommands.length > 0) {
+				lines.push("**Subcommands:**", ...subcommands.map(i => `- \`${i.usage}\`${(i.description) ? ` - ${i.description}` : ""}`));
+			}
+			if (flags.length > 0) {
+				lines.push(`**Flags:** ${flags.map(i => `\`${i}\``).join(" ")}`);
+			}
+
+			lines.push(`**Cooldown:** ${cooldown}`);
+			if (detailURL !== "N/A") {
+				lines.push(`**More info:** ${detailURL}`);
+			}
+
+			return lines.join("\n");
+		}
+		else {
+			const aliases = (target.aliases.length > 0) ? ` (aliases: ${target.aliases.join(", ")})` : "";
+			const lines = [
+				`${target.name}${aliases}: ${target.description ?? "(no description)"}`,
+				`Usage: ${usage}`
+			];
+
+			if (params.length > 0) {
+				lines.push("Parameters:", ...params.map(i => `  ${i.name} (${i.notes.join(", ")})`));
+			}
+			if (subcommands.length > 0) {
+				lines.push("Subcommands:", ...subcommands.map(i => `  ${i.usage}${(i.description) ? ` - ${i.description}` : ""}`));
+			}
+			if (flags.length > 0) {
+				lines.push(`Flags: ${flags.map(i => `[${i}]`).join(" ")}`);
+			}
+
+			lines.push(`Cooldown: ${cooldown}`);
+			if (detailURL !== "N/A") {
+				lines.push(`More info: ${detailURL}`);
+			}
+
+			return lines.join("\n");
+		}
+	}
+
+	/**
+	 * Finds a subcommand of this command by its name or one of its aliases, case-insensitively.
+	 * @param {string|null} identifier
+	 * @returns {CommandSubcommand|null}
+	 */
+	getSubcommand (identifier) {
+		if (typeof identifier !== "string" || this.Subcommands.length === 0) {
+			return null;
+		}
+
+		const lower = identifier.toLowerCase();
+		return this.Subcommands.find(i => i.name === lower || i.aliases.includes(lower)) ?? null;
+	}
+
+	/**
+	 * Determines the users targeted by an invocation of this command, based on its `Targets` definition.
+	 * Opt-out and Block filters are checked against all of them.
+	 * @param {string[]} args
+	 * @param {Object} [params]
+	 * @returns {string[]} Unique user identifiers, in the order of the definition
+	 */
+	getUserTargets (args, params = {}) {
+		const values = [];
+		for (const target of this.Targets) {
+			if (typeof target.index === "number") {
+				values.push(args[target.index]);
+			}
+			else if (typeof target.param === "string") {
+				const value = params[target.param];
+				values.push(...((Array.isArray(value)) ? value : [value]));
+			}
+			else if (target.mentions) {
+				values.push(...args.filter(i => mentionRegex.test(i)));
+			}
+		}
+
+		const result = new Map();
+		for (const value of values) {
+			if (typeof value === "string" && value.length > 0 && !result.has(value.toLowerCase())) {
+				result.set(value.toLowerCase(), value);
+			}
+		}
+
+		return [...result.values()];
+	}
+
+	#parseTargets (definition) {
+		const list = (Array.isArray(definition)) ? definition : [definition];
+		const paramNames = (this.Params ?? []).map(i => i.name);
+		const targets = [];
+
+		for (const item of list) {
+			if (sb.Utils.isValidInteger(item)) {
+				targets.push({ index: item });
+			}
+			else if (typeof item === "string") {
+				if (!paramNames.includes(item)) {
+					return { error: `Param "${item}" is not defined` };
+				}
+
+				targets.push({ param: item });
+			}
+			else if (item && item.constructor === Object && Object.keys(item).length === 1) {
+				if (sb.Utils.isValidInteger(item.index)) {
+					targets.push({ index: item.index });
+				}
+				else if (typeof item.param === "string" && paramNames.includes(item.param)) {
+					targets.push({ param: item.param });
+				}
+				else if (item.mentions === true) {
+					targets.push({ mentions: true });
+				}
+				else {
+					return { error: "Target must have a valid index, a defined param, or mentions: true" };
+				}
+			}
+			else {
+				return { error: "Target must be an argument index, a param name or an object" };
+			}
+		}
+
+		return { targets: targets.map(i => Object.freeze(i)), error: null };
+	}
+
+	#parseSubcommand (definition) {
+		if (!definition || definition.constructor !== Object) {
+			return { error: "Subcommand must be an object" };
+		}
+
+		const { name, aliases = [], code } = definition;
+		if (typeof name !== "string" || !/^\S+$/.test(name)) {
+			return { error: "Subcommand name must be a string without whitespace" };
+		}
+		else if (!Array.isArray(aliases) || aliases.some(i => typeof i !== "string")) {
+			return { error: `Subcommand "${name}" aliases must be an array of strings` };
+		}
+		else if (typeof code !== "function") {
+			return { error: `Subcommand "${name}" must have a code function` };
+		}
+
+		const identifiers = [name, ...aliases].map(i => i.toLowerCase());
+		const taken = identifiers.find(i => this.getSubcommand(i));
+		if (taken) {
+			return { error: `Subcommand identifier "${taken}" is already used` };
+		}
+
+		const flags = { ...this.Flags };
+		if (Array.isArray(definition.flags)) {
+			for (const flag of definition.flags) {
+				flags[sb.Utils.convertCase(flag, "kebab", "camel")] = true;
+			}
+		}
+		else if (definition.flags?.constructor === Object) {
+			for (const [flag, value] of Object.entries(definition.flags)) {
+				flags[sb.Utils.convertCase(flag, "kebab", "camel")] = Boolean(value);
+			}
+		}
+
+		let permissions = this.Permissions;
+		if (typeof definition.permissions !== "undefined") {
+			const levels = (Array.isArray(definition.permissions)) ? definition.permissions : [definition.permissions];
+			if (!levels.every(i => typeof i === "string" && i.length > 0)) {
+				return { error: `Subcommand "${name}" permissions must be a permission level or an array of them` };
+			}
+
+			permissions = Object.freeze(levels);
+		}
+
+		const [mainName, ...mainAliases] = identifiers;
+		return {
+			error: null,
+			subcommand: Object.freeze({
+				name: mainName,
+				aliases: mainAliases,
+				description: definition.description ?? null,
+				params: definition.params ?? [],
+				flags: Object.freeze(flags),
+				cooldown: (typeof definition.cooldown === "number") ? definition.cooldown : null,
+				permissions,
+				code
+			})
+		};
+	}
+
+	/**
+	 * Determines the command's execution timeout - either from its definition, or the configured default.
+	 * @returns {number|null} Timeout in milliseconds, or `null` if the execution is not limited
+	 */
+	getTimeout () {
+		return this.Timeout ?? sb.Config.get("COMMAND_EXECUTION_TIMEOUT", false) ?? null;
+	}
+
 	getCacheKey () {
 		return `sb-command-${this.Name}`;
 	}
 
 	get Author () { return this.#Author; }
+	get definitionErrors () { return this.#definitionErrors; }
 
 	static async loadData () {
 		const { definitions } = await require("supibot-package-manager/commands");
@@ -353,6 +1006,57 @@ class Command extends require("./template.js") {
 		await this.validate();
 	}
 
+	/**
+	 * Reloads the whole command registry from the package manager.
+	 * All commands are created and validated first, and only then swapped in at once. Commands that fail to load
+	 * keep their previous instances.
+	 * @param {Object[]} [definitions] If provided, these definitions are used instead of the package manager ones
+	 * @returns {Promise<CommandReloadResult>}
+	 */
+	static async reloadData (definitions) {
+		if (!Array.isArray(definitions)) {
+			try {
+				const path = require.resolve("supibot-package-manager/commands");
+				const dirPath = pathModule.parse(path).dir;
+				for (const filePath of Object.keys(require.cache)) {
+					if (filePath.startsWith(dirPath)) {
+						delete require.cache[filePath];
+					}
+				}
+
+				({ definitions } = await require("supibot-package-manager/commands"));
+			}
+			catch (e) {
+				console.warn("Command definitions could not be loaded", e);
+				return {
+					success: false,
+					reason: "no-definitions",
+					failed: [],
+					diff: {
+						added: [],
+						removed: [],
+						changed: [],
+						failed: []
+					}
+				};
+			}
+		}
+
+		const candidates = definitions.map(definition => ({
+			identifier: definition.Name,
+			definition
+		}));
+
+		return await Command.#applyReload(candidates, [], { replaceAll: true });
+	}
+
+	/**
+	 * Reloads the provided commands from the package manager.
+	 * The new command instances are created and validated first, and only then swapped in. Commands that fail to
+	 * load keep their previous instances.
+	 * @param {...string} list
+	 * @returns {Promise<CommandReloadResult>}
+	 */
 	static async reloadSpecific (...list) {
 		if (list.length === 0) {
 			return {
@@ -361,22 +1065,10 @@ class Command extends require("./template.js") {
 		}
 
 		const failed = [];
+		const candidates = [];
 		for (const commandName of list) {
 			const originalCommand = Command.get(commandName);
 			const identifier = originalCommand?.Name ?? originalCommand?.name ?? commandName;
-			if (originalCommand) {
-				const commandIndex = Command.data.indexOf(originalCommand);
-				if (commandIndex !== -1) {
-					Command.data.splice(commandIndex, 1);
-				}
-
-				const definitionIndex = Command.definitions.findIndex(i => i.Name === identifier);
-				if (commandIndex !== -1) {
-					Command.definitions.splice(definitionIndex, 1);
-				}
-
-				originalCommand.destroy();
-			}
 
 			// Try-catch is mandatory because `require.resolve` throws when the path doesn't exist or is not a module.
 			// This might occur when a command name is mistaken. While throwing here is correct, the loading
@@ -411,48 +1103,269 @@ class Command extends require("./template.js") {
 			try {
 				definition = require(`supibot-package-manager/commands/${identifier}`);
 			}
-			catch {
+			catch (e) {
 				failed.push({
 					identifier,
-					reason: "no-definition"
+					reason: "no-definition",
+					errors: [e.message]
 				});
 
 				continue;
 			}
 
-			const reloadedCommand = new Command(definition);
-
-			Command.data.push(reloadedCommand);
-			Command.definitions.push(definition);
+			candidates.push({ identifier, definition });
 		}
 
-		await this.validate();
-
-		return {
-			success: true,
-			failed
-		};
+		return await Command.#applyReload(candidates, failed, { replaceAll: false });
 	}
 
-	static async validate () {
-		if (Command.data.length === 0) {
-			console.warn("No commands initialized - bot will not respond to any command queries");
+	/**
+	 * Checks a created command instance for definition problems.
+	 * @param {Command} command
+	 * @returns {string[]} List of found problems, empty if the command is valid
+	 */
+	static getDefinitionIssues (command) {
+		const issues = [...command.definitionErrors];
+		if (typeof command.Name !== "string" || command.Name.length === 0) {
+			issues.push("Name must be a non-empty string");
 		}
-
-		if (!sb.Config) {
-			console.warn("sb.Config module missing - cannot fetch command prefix");
+		if (typeof command.Code !== "function") {
+			issues.push("Code must be a function");
 		}
-		else if (Command.prefix === null) {
-			console.warn("Command prefix is configured as `null` - bot will not respond to any command queries");
+		if (!command.staticData || command.staticData.constructor !== Object) {
+			issues.push("Static data must be an object");
 		}
 
-		const names = Command.data.flatMap(i => [i.Name, ...(i.Aliases ?? [])]);
-		const duplicates = names.filter((i, ind, arr) => arr.indexOf(i) !== ind);
-		for (const dupe of duplicates) {
-			const affected = Command.data.filter(i => i.Aliases.includes(dupe));
-			for (const command of affected) {
-				const index = command.Aliases.indexOf(dupe);
-				command.Aliases.splice(index, 1);
+		if (!Array.isArray(command.Params)) {
+			issues.push("Params must be an array");
+		}
+		else {
+			const names = new Set();
+			for (const param of command.Params) {
+				if (typeof param?.name !== "string" || param.name.length === 0) {
+					issues.push("Every parameter must have a non-empty name");
+					continue;
+				}
+				else if (!Command.parameterTypes.includes(param.type)) {
+					issues.push(`Parameter "${param.name}" has an invalid type "${param.type}"`);
+				}
+
+				if (names.has(param.name)) {
+					issues.push(`Parameter "${param.name}" is defined multiple times`);
+				}
+
+				names.add(param.name);
+			}
+		}
+
+		return issues;
+	}
+
+	/**
+	 * Creates and validates commands from the provided definitions, and swaps them into `Command.data` at once.
+	 * @param {{ identifier: string, definition: Object }[]} candidates
+	 * @param {Object[]} failed Failures that occurred before the commands were created
+	 * @param {Object} options
+	 * @param {boolean} options.replaceAll If true, commands not present in candidates are removed from the registry
+	 * @returns {Promise<CommandReloadResult>}
+	 */
+	static async #applyReload (candidates, failed, options) {
+		const created = [];
+		for (const { identifier, definition } of candidates) {
+			let command;
+			try {
+				command = new Command(definition);
+			}
+			catch (e) {
+				failed.push({
+					identifier,
+					reason: "constructor-error",
+					errors: [e.message]
+				});
+
+				continue;
+			}
+
+			const issues = Command.getDefinitionIssues(command);
+			if (issues.length !== 0) {
+				failed.push({
+					identifier,
+					reason: "invalid-definition",
+					errors: issues
+				});
+
+				command.destroy();
+				continue;
+			}
+
+			created.push({ identifier, command, definition });
+		}
+
+		const previousData = Command.data;
+		const definitionMap = new Map(Command.definitions.map(i => [i.Name, i]));
+
+		/** @type {Map<string, Command>} */
+		const resultMap = new Map();
+		if (!options.replaceAll) {
+			for (const command of previousData) {
+				resultMap.set(command.Name, command);
+			}
+		}
+		else {
+			// When replacing all, commands that failed to load keep their previous instance
+			for (const { identifier } of failed) {
+				const previous = previousData.find(i => i.Name === identifier);
+				if (previous) {
+					resultMap.set(previous.Name, previous);
+				}
+			}
+		}
+
+		// Newly created commands must not collide with each other - the later one of the two fails to load
+		const createdNames = new Set();
+		for (const item of created) {
+			const names = [item.command.Name, ...item.command.Aliases];
+			const collisions = names.filter(i => createdNames.has(i));
+			if (collisions.length !== 0) {
+				failed.push({
+					identifier: item.identifier,
+					reason: "name-collision",
+					errors: collisions.map(i => `Name "${i}" is already used by another reloaded command`)
+				});
+
+				item.command.destroy();
+				item.failed = true;
+				continue;
+			}
+
+			for (const name of names) {
+				createdNames.add(name);
+			}
+
+			const previous = Command.get(item.identifier);
+			if (previous && previous.Name !== item.command.Name) {
+				resultMap.delete(previous.Name);
+			}
+
+			resultMap.set(item.command.Name, item.command);
+		}
+
+		// When replacing all, the previous instances of commands that collided with each other are kept,
+		// unless another reloaded command has taken their place
+		if (options.replaceAll) {
+			for (const item of created.filter(i => i.failed)) {
+				const previous = previousData.find(i => i.Name === item.identifier);
+				if (previous && !resultMap.has(previous.Name)) {
+					resultMap.set(previous.Name, previous);
+				}
+			}
+		}
+
+		// Names and aliases of the newly created commands must not collide with any other command.
+		// Colliding commands are treated as failed, and their previous instances are kept.
+		for (const item of created) {
+			if (item.failed) {
+				continue;
+			}
+
+			const others = [...resultMap.values()].filter(i => i !== item.command);
+			const otherNames = new Set(others.flatMap(i => [i.Name, ...i.Aliases]));
+			const collisions = [item.command.Name, ...item.command.Aliases].filter(i => otherNames.has(i));
+			if (collisions.length === 0) {
+				continue;
+			}
+
+			failed.push({
+				identifier: item.identifier,
+				reason: "name-collision",
+				errors: collisions.map(i => `Name "${i}" is already used by another command`)
+			});
+
+			resultMap.delete(item.command.Name);
+			const previous = previousData.find(i => i.Name === item.identifier || i.Name === item.command.Name);
+			if (previous) {
+				resultMap.set(previous.Name, previous);
+			}
+
+			item.command.destroy();
+			item.failed = true;
+		}
+
+		const succeeded = created.filter(i => !i.failed);
+		for (const item of succeeded) {
+			definitionMap.set(item.command.Name, item.definition);
+		}
+
+		const nextData = [...resultMap.values()];
+		const diff = {
+			added: [],
+			removed: [],
+			changed: [],
+			failed: failed.map(i => i.identifier)
+		};
+
+		for (const item of succeeded) {
+			const previous = previousData.find(i => i.Name === item.command.Name);
+			if (previous) {
+				diff.changed.push(item.command.Name);
+			}
+			else {
+				diff.added.push(item.command.Name);
+			}
+		}
+
+		const obsolete = previousData.filter(i => !nextData.includes(i));
+		for (const command of obsolete) {
+			if (!nextData.some(i => i.Name === command.Name)) {
+				diff.removed.push(command.Name);
+			}
+		}
+
+		// Swap both lists at once, only then destroy the replaced commands
+		Command.data = nextData;
+		Command.definitions = nextData.map(i => definitionMap.get(i.Name)).filter(Boolean);
+
+		for (const command of obsolete) {
+			command.destroy();
+		}
+
+		await this.validate();
+
+		if (failed.length === 0) {
+			return {
+				success: true,
+				failed,
+				diff
+			};
+		}
+
+		return {
+			success: false,
+			reason: (succeeded.length === 0) ? "all-failed" : "partial-failure",
+			failed,
+			diff
+		};
+	}
+
+	static async validate () {
+		if (Command.data.length === 0) {
+			console.warn("No commands initialized - bot will not respond to any command queries");
+		}
+
+		if (!sb.Config) {
+			console.warn("sb.Config module missing - cannot fetch command prefix");
+		}
+		else if (Command.prefix === null) {
+			console.warn("Command prefix is configured as `null` - bot will not respond to any command queries");
+		}
+
+		const names = Command.data.flatMap(i => [i.Name, ...(i.Aliases ?? [])]);
+		const duplicates = names.filter((i, ind, arr) => arr.indexOf(i) !== ind);
+		for (const dupe of duplicates) {
+			const affected = Command.data.filter(i => i.Aliases.includes(dupe));
+			for (const command of affected) {
+				const index = command.Aliases.indexOf(dupe);
+				command.Aliases.splice(index, 1);
 				console.warn(`Removed duplicate command name "${dupe}" from command ${command.Name}'s aliases`);
 			}
 		}
@@ -494,6 +1407,82 @@ class Command extends require("./template.js") {
 		}
 	}
 
+	/**
+	 * Finds commands with names or aliases similar to the provided identifier.
+	 * Commands that are hidden, whitelisted or blacklisted for the given user/channel/platform are never suggested.
+	 * @param {string} identifier
+	 * @param {Object} [options]
+	 * @param {sb.User} [options.user]
+	 * @param {sb.Channel|null} [options.channel]
+	 * @param {sb.Platform|null} [options.platform]
+	 * @param {number} [options.limit] Maximum amount of suggestions, defaults to 3
+	 * @param {number} [options.threshold] Minimum similarity score (0 to 1), defaults to the config value
+	 * @returns {CommandSuggestion[]}
+	 */
+	static getSuggestions (identifier, options = {}) {
+		const limit = options.limit ?? 3;
+		const threshold = options.threshold ?? sb.Config.get("COMMAND_SUGGESTION_THRESHOLD", false) ?? 0.8;
+		const filterOptions = {
+			user: options.user ?? null,
+			channel: options.channel ?? null,
+			platform: options.platform ?? null
+		};
+
+		// Whitelists and blacklists of all commands are fetched at once, instead of looking them up for each command
+		const whitelisted = new Set();
+		const blacklisted = new Set();
+		const filters = sb.Filter.getLocals(null, { ...filterOptions, anyCommand: true });
+		for (const filter of filters) {
+			if (filter.Type === "Whitelist") {
+				whitelisted.add(filter.Command);
+			}
+			else if (filter.Type === "Blacklist") {
+				blacklisted.add(filter.Command);
+			}
+		}
+
+		const eligibleCommands = Command.data.filter(command => {
+			if (command.Flags.developer || command.Flags.system) {
+				return false;
+			}
+			else if (command.Flags.whitelist && !whitelisted.has(command.Name) && !whitelisted.has(null)) {
+				return false;
+			}
+
+			return (!blacklisted.has(command.Name) && !blacklisted.has(null));
+		});
+
+		const invocations = eligibleCommands.flatMap(command => [command.Name, ...command.Aliases]);
+		if (invocations.length === 0) {
+			return [];
+		}
+
+		const scores = sb.Utils.selectClosestString(identifier, invocations, {
+			ignoreCase: true,
+			fullResult: true
+		});
+
+		const result = [];
+		for (const { original, score } of scores) {
+			if (score < threshold || result.length >= limit) {
+				break;
+			}
+
+			const command = Command.get(original);
+			if (result.some(i => i.name === command.Name)) {
+				continue;
+			}
+
+			result.push({
+				name: command.Name,
+				invocation: original,
+				score
+			});
+		}
+
+		return result;
+	}
+
 	static async checkAndExecute (identifier, argumentArray, channelData, userData, options = {}) {
 		if (!identifier) {
 			return { success: false, reason: "no-identifier" };
@@ -505,6 +1494,10 @@ class Command extends require("./template.js") {
 			});
 		}
 
+		if (options.dryRun) {
+			return await Command.#simulateExecution(identifier, [...argumentArray], channelData, userData, options);
+		}
+
 		if (channelData?.Mode === "Inactive" || channelData?.Mode === "Read") {
 			return { success: false, reason: `channel-${channelData.Mode.toLowerCase()}` };
 		}
@@ -523,22 +1516,55 @@ class Command extends require("./template.js") {
 
 		const command = Command.get(identifier);
 		if (!command) {
+			if (options.suggestCommands && typeof identifier === "string") {
+				const suggestions = Command.getSuggestions(identifier, {
+					user: userData,
+					channel: channelData ?? null,
+					platform: channelData?.Platform ?? options.platform ?? null
+				});
+
+				return { success: false, reason: "no-command", suggestions };
+			}
+
 			return { success: false, reason: "no-command" };
 		}
 
+		/** @type {RegExp} */
+		const whitespaceRegex = sb.Config.get("WHITESPACE_REGEX");
+		let args = argumentArray
+			.map(i => i.replace(whitespaceRegex, ""))
+			.filter(Boolean);
+
+		// If the first argument is a subcommand, it is routed to - its own params, flags, cooldown and code are used.
+		const subcommand = command.getSubcommand(args[0] ?? null);
+		if (subcommand) {
+			args = args.slice(1);
+		}
+
+		const flags = subcommand?.flags ?? command.Flags;
+		const paramsDefinition = subcommand?.params ?? command.Params;
+		const loggedInvocation = (subcommand) ? `${identifier} ${subcommand.name}` : identifier;
+
 		// Check for cooldowns, return if it did not pass yet.
 		// If skipPending flag is set, do not check for pending status.
+		// If skipCooldown flag is set, the caller checks and sets the cooldowns instead - used in pipelines.
 		const channelID = (channelData?.ID ?? Command.#privateMessageChannelID);
-		const cooldownCheck = sb.CooldownManager.check(
-			channelID,
-			userData.ID,
-			command.Name,
-			Boolean(options.skipPending)
-		);
+		let cooldownCheck;
+		if (options.skipCooldown) {
+			cooldownCheck = (options.skipPending || !await sb.CooldownManager.fetchPending(userData.ID));
+		}
+		else {
+			cooldownCheck = await sb.CooldownManager.check(
+				channelID,
+				userData.ID,
+				Command.#getCooldownKey(command, subcommand),
+				Boolean(options.skipPending)
+			);
+		}
 
 		if (!cooldownCheck) {
 			if (!options.skipPending) {
-				const pending = sb.CooldownManager.fetchPending(userData.ID);
+				const pending = await sb.CooldownManager.fetchPending(userData.ID);
 				if (pending) {
 					return {
 						reply: (options.privateMessage) ? pending.description : null,
@@ -557,14 +1583,32 @@ class Command extends require("./template.js") {
 
 		if (!options.skipPending && isAdmin !== true) {
 			const sourceName = channelData?.Name ?? `${options.platform.Name} PMs`;
-			sb.CooldownManager.setPending(
+			const pendingSet = await sb.CooldownManager.setPending(
 				userData.ID,
 				`You have a pending command: "${identifier}" used in "${sourceName}" at ${new sb.Date().sqlDateTime()}`
 			);
+
+			// Another execution of the same user might have taken the pending status since it was checked
+			if (!pendingSet) {
+				const pending = await sb.CooldownManager.fetchPending(userData.ID);
+				return {
+					reply: (options.privateMessage) ? (pending?.description ?? null) : null,
+					reason: "pending"
+				};
+			}
 		}
 
+		// With the skipPending flag, the pending status belongs to the caller (e.g. a running pipeline),
+		// so it must not be released here
+		const releasePending = async () => {
+			if (!options.skipPending) {
+				await sb.CooldownManager.unsetPending(userData.ID);
+			}
+		};
+
 		const appendOptions = { ...options };
 		const isPrivateMessage = (!channelData);
+		const abortController = new AbortController();
 
 		const contextOptions = {
 			platform: options.platform,
@@ -572,28 +1616,24 @@ class Command extends require("./template.js") {
 			user: userData,
 			channel: channelData,
 			command,
+			subcommand: subcommand?.name ?? null,
 			transaction: null,
 			privateMessage: isPrivateMessage,
 			append: appendOptions,
-			params: {}
+			params: {},
+			signal: abortController.signal
 		};
 
-		/** @type {RegExp} */
-		const whitespaceRegex = sb.Config.get("WHITESPACE_REGEX");
-		let args = argumentArray
-			.map(i => i.replace(whitespaceRegex, ""))
-			.filter(Boolean);
-
 		// If the command is rollback-able, set up a transaction.
 		// The command must use the connection in transaction - that's why it is passed to context
-		if (command.Flags.rollback) {
+		if (flags.rollback) {
 			contextOptions.transaction = await sb.Query.getTransaction();
 		}
 
-		if (command.Params.length > 0) {
-			const result = Command.parseParametersFromArguments(command.Params, args);
+		if (paramsDefinition.length > 0) {
+			const result = Command.parseParametersFromArguments(paramsDefinition, args);
 			if (result.success === false) {
-				sb.CooldownManager.unsetPending(userData.ID);
+				await releasePending();
 				return result;
 			}
 
@@ -601,17 +1641,66 @@ class Command extends require("./template.js") {
 			contextOptions.params = result.parameters;
 		}
 
+		// If a middleware handler throws, the pending status and the transaction must not be left behind
+		let activeTransaction = contextOptions.transaction;
+		let transactionFinished = false;
+		const releaseExecution = async () => {
+			await releasePending();
+			if (!transactionFinished) {
+				await Command.#releaseTransaction(activeTransaction);
+			}
+		};
+
+		/** @type {MiddlewareState} */
+		const middlewareState = {
+			stage: null,
+			command,
+			subcommand,
+			invocation: identifier,
+			args,
+			user: userData,
+			channel: channelData ?? null,
+			platform: options.platform ?? null,
+			params: contextOptions.params,
+			options,
+			context: null,
+			filterData: null,
+			execution: null
+		};
+
+		const beforeFilterResult = await Command.#runMiddleware("before-filter", middlewareState, releaseExecution);
+		if (beforeFilterResult) {
+			await releasePending();
+			await Command.#releaseTransaction(contextOptions.transaction);
+			return beforeFilterResult;
+		}
+
+		args = middlewareState.args;
+
 		/** @type {ExecuteResult} */
-		const filterData = await sb.Filter.execute({
+		let filterData = await sb.Filter.execute({
 			user: userData,
 			command,
+			flags,
+			subcommand: subcommand?.name ?? null,
 			invocation: identifier,
 			channel: channelData ?? null,
 			platform: channelData?.Platform ?? null,
-			targetUser: args[0] ?? null,
-			args: args ?? []
+			targetUsers: command.getUserTargets(args ?? [], contextOptions.params),
+			args: args ?? [],
+			params: contextOptions.params
 		});
 
+		middlewareState.filterData = filterData;
+		const afterFilterResult = await Command.#runMiddleware("after-filter", middlewareState, releaseExecution);
+		if (afterFilterResult) {
+			await releasePending();
+			await Command.#releaseTransaction(contextOptions.transaction);
+			return afterFilterResult;
+		}
+
+		filterData = middlewareState.filterData;
+
 		const isFilterGlobalBan = Boolean(
 			!filterData.success
 			&& filterData.reason === "blacklist"
@@ -624,13 +1713,14 @@ class Command extends require("./template.js") {
 		);
 
 		if (!filterData.success && (!options.skipGlobalBan || !isFilterGlobalBan)) {
-			sb.CooldownManager.unsetPending(userData.ID);
+			await releasePending();
 
-			let length = command.Cooldown;
+			let length = subcommand?.cooldown ?? command.Cooldown;
 			const cooldownFilter = sb.Filter.getCooldownModifiers({
 				platform: channelData?.Platform ?? null,
 				channel: channelData,
 				command,
+				subcommand: subcommand?.name ?? null,
 				invocation: identifier,
 				user: userData
 			});
@@ -639,7 +1729,9 @@ class Command extends require("./template.js") {
 				length = cooldownFilter.applyData(length);
 			}
 
-			sb.CooldownManager.set(channelID, userData.ID, command.Name, length);
+			if (!options.skipCooldown) {
+				await sb.CooldownManager.set(channelID, userData.ID, Command.#getCooldownKey(command, subcommand), length);
+			}
 
 			await sb.Runtime.incrementRejectedCommands();
 
@@ -653,12 +1745,92 @@ class Command extends require("./template.js") {
 
 		let execution;
 		const context = options.context ?? new Context(command, contextOptions);
+		if (options.context) {
+			context.linkSignal(abortController.signal);
+		}
+
+		activeTransaction = context.transaction;
+
+		const requiredPermissions = subcommand?.permissions ?? command.Permissions;
+		if (requiredPermissions.length > 0) {
+			const permissionResult = await Command.#checkPermissions(requiredPermissions, context);
+			if (!permissionResult.success) {
+				await releasePending();
+				await Command.#releaseTransaction(context.transaction);
+				await sb.Runtime.incrementRejectedCommands();
+
+				// Repeated attempts of the same user are only logged once in a while, so that they can't flood the logs
+				if (Command.#shouldLogPermissionRejection(command, userData)) {
+					await sb.Logger.log(
+						"Command.Permissions",
+						`Command ${loggedInvocation} requires one of: ${requiredPermissions.join(", ")}`,
+						channelData,
+						userData
+					);
+				}
+
+				return {
+					success: false,
+					reason: "permissions",
+					reply: await sb.Localization.translate("command.permissions", context),
+					permissions: requiredPermissions
+				};
+			}
+		}
+
+		middlewareState.context = context;
+		const beforeExecuteResult = await Command.#runMiddleware("before-execute", middlewareState, releaseExecution);
+		if (beforeExecuteResult) {
+			await releasePending();
+			await Command.#releaseTransaction(context.transaction);
+			return beforeExecuteResult;
+		}
+
+		args = middlewareState.args;
+
+		// Administrators are not limited by quotas, same as with the pending status.
+		const quotas = (isAdmin === true)
+			? []
+			: Command.#getApplicableQuotas(command, identifier, channelData, userData, subcommand);
+
+		const quotaTargets = {
+			user: userData,
+			channel: channelData ?? null,
+			platform: channelData?.Platform ?? options.platform ?? null
+		};
+
+		let quotaTimestamp = null;
+		if (quotas.length > 0) {
+			const quotaResult = await sb.QuotaManager.consume(command.Name, quotas, quotaTargets);
+			quotaTimestamp = quotaResult.timestamp ?? null;
+
+			if (!quotaResult.success) {
+				await releasePending();
+				await Command.#releaseTransaction(context.transaction);
+				await sb.Runtime.incrementRejectedCommands();
+
+				const language = await sb.Localization.getLanguage({ user: userData, channel: channelData });
+				return Command.#createQuotaRejection(quotaResult, language);
+			}
+		}
 
 		try {
 			const start = process.hrtime.bigint();
-			execution = await command.Code(context, ...args);
+			execution = await Command.#executeWithTimeout(command, context, args, abortController, subcommand);
 			const end = process.hrtime.bigint();
 
+			const { result: normalized, issues } = Command.normalizeResult(execution);
+			if (issues.length !== 0 && !Command.#invalidResultCommands.has(command)) {
+				// Reported once per command instance, so that a frequently used command does not flood the logs
+				Command.#invalidResultCommands.add(command);
+				console.warn("Command returned an invalid result", {
+					command: command.Name,
+					issues
+				});
+			}
+
+			execution = normalized;
+
 			let result = null;
 			if (execution?.reply) {
 				result = execution.reply.trim().slice(0, 300);
@@ -680,26 +1852,44 @@ class Command extends require("./template.js") {
 				Executed: new sb.Date(),
 				Channel: channelData?.ID ?? null,
 				Success: true,
-				Invocation: identifier,
+				Invocation: loggedInvocation,
 				Arguments: JSON.stringify(argumentArray.filter(Boolean)),
 				Result: result,
 				Execution_Time: sb.Utils.round(Number(end - start) / 1.0e6, 3)
 			});
 		}
 		catch (e) {
+			// A failed execution should not use up the user's quota
+			if (quotaTimestamp !== null) {
+				await sb.QuotaManager.refund(command.Name, quotas, quotaTargets, quotaTimestamp);
+			}
+
 			let origin = "Internal";
 			let errorContext;
 			const loggingContext = {
 				user: userData.ID,
 				command: command.Name,
-				invocation: identifier,
+				invocation: loggedInvocation,
 				channel: channelData?.ID ?? null,
 				platform: options.platform.ID,
 				params: context.params ?? {},
 				isPrivateMessage
 			};
 
-			if (e instanceof sb.errors.GenericRequestError) {
+			if (e instanceof sb.errors.CommandTimeoutError) {
+				errorContext = {
+					type: "Command timeout",
+					reason: "timeout",
+					timeout: e.args.timeout
+				};
+
+				if (flags.rollback && context.transaction) {
+					await context.transaction.rollback();
+					await context.transaction.end();
+					transactionFinished = true;
+				}
+			}
+			else if (e instanceof sb.errors.GenericRequestError) {
 				origin = "External";
 				const { hostname, statusCode, statusMessage } = e.args;
 				errorContext = {
@@ -722,182 +1912,1084 @@ class Command extends require("./template.js") {
 				};
 			}
 
-			const errorID = await sb.Logger.logError("Command", e, {
-				origin,
-				context: {
+			const errorID = await sb.Logger.logError("Command", e, {
+				origin,
+				context: {
+					identifier,
+					error: errorContext,
+					command: loggingContext
+				},
+				arguments: args
+			});
+
+			const language = await sb.Localization.getLanguage({ user: userData, channel: channelData });
+			if (e instanceof sb.errors.CommandTimeoutError) {
+				execution = {
+					success: false,
+					reason: "timeout",
+					reply: sb.Localization.get("command.timeout", language, {
+						seconds: sb.Utils.round(errorContext.timeout / 1000, 1),
+						errorID
+					})
+				};
+			}
+			else if (e instanceof sb.errors.GenericRequestError) {
+				const { hostname, message } = errorContext;
+				execution = {
+					success: false,
+					reason: "generic-request-error",
+					reply: sb.Localization.get("command.request-error", language, {
+						hostname,
+						message: message ?? sb.Localization.get("command.no-message", language),
+						errorID
+					})
+				};
+			}
+			else if (e instanceof sb.Got.RequestError) {
+				execution = {
+					success: false,
+					reason: "got-error",
+					reply: sb.Localization.get("command.network-error", language, {
+						message: errorContext.message ?? sb.Localization.get("command.no-message", language),
+						errorID
+					})
+				};
+			}
+			else {
+				const prettify = (await channelData?.getDataProperty("showFullCommandErrorMessage"))
+					? sb.Config.get("COMMAND_ERROR_DEVELOPER")
+					: sb.Config.get("COMMAND_ERROR_GENERIC");
+
+				execution = {
+					success: false,
+					reason: "error",
+					reply: prettify(errorID, e)
+				};
+			}
+
+			// Error results must have the same shape as the results of successful executions
+			({ result: execution } = Command.normalizeResult(execution));
+		}
+
+		// unset pending cooldown, before anything else - even read-only commands should unset it (despite not
+		// having any cooldown themselves)
+		await releasePending();
+
+		// a message awaiter left over by the command's conversation must not swallow the user's next message -
+		// awaiters created by other executions (e.g. a conversation still in progress) are left alone
+		options.platform?.cancelUserMessage(channelData, userData, { signal: context.signal });
+
+		middlewareState.execution = execution;
+		const afterExecuteResult = await Command.#runMiddleware("after-execute", middlewareState, releaseExecution);
+		if (afterExecuteResult) {
+			if (!transactionFinished) {
+				await Command.#releaseTransaction(context.transaction);
+			}
+
+			// The command has been executed, so its cooldown applies even if its result is replaced
+			if (!flags.readOnly && !options.skipCooldown) {
+				await Command.handleCooldown(channelData, userData, command, middlewareState.execution?.cooldown, subcommand);
+			}
+
+			return afterExecuteResult;
+		}
+
+		execution = middlewareState.execution;
+
+		// Read-only commands never reply with anything - banphrases, mentions and cooldowns are not checked
+		if (flags.readOnly) {
+			return {
+				success: execution?.success ?? true
+			};
+		}
+
+		if (!options.skipCooldown) {
+			await Command.handleCooldown(channelData, userData, command, execution?.cooldown, subcommand);
+		}
+
+		if (!execution) {
+			return execution;
+		}
+
+		const replies = execution.replies ?? [];
+		if (typeof execution.reply !== "string" && replies.length !== 0) {
+			execution.reply = replies.shift();
+		}
+
+		if (typeof execution.reply !== "string" && !execution.partialReplies) {
+			return execution;
+		}
+
+		if (Array.isArray(execution.partialReplies)) {
+			const partResult = [];
+			for (const { message, bancheck } of execution.partialReplies) {
+				if (bancheck === true) {
+					const { string } = await sb.Banphrase.execute(
+						message,
+						channelData
+					);
+
+					partResult.push(string);
+				}
+				else {
+					partResult.push(message);
+				}
+			}
+
+			execution.reply = partResult.join(" ");
+		}
+
+		execution.reply = String(execution.reply).trim();
+
+		if (execution.reply.length === 0) {
+			execution.reply = await sb.Localization.translate("command.empty-message", {
+				user: userData,
+				channel: channelData
+			});
+		}
+
+		const metaSkip = Boolean(!execution.partialReplies && (options.skipBanphrases || execution?.meta?.skipBanphrases));
+		if (!flags.skipBanphrase && !metaSkip) {
+			let messageSlice = execution.reply.slice(0, 2000);
+			if (!execution.meta?.skipWhitespaceCheck) {
+				messageSlice = messageSlice.replace(whitespaceRegex, "");
+			}
+
+			const { passed, privateMessage, string } = await sb.Banphrase.execute(messageSlice, channelData);
+			execution.reply = string;
+
+			let repliesPassed = true;
+			for (let i = 0; i < replies.length; i++) {
+				let replySlice = replies[i].trim().slice(0, 2000);
+				if (!execution.meta?.skipWhitespaceCheck) {
+					replySlice = replySlice.replace(whitespaceRegex, "");
+				}
+
+				const replyResult = await sb.Banphrase.execute(replySlice, channelData);
+				replies[i] = replyResult.string;
+				repliesPassed &&= replyResult.passed;
+			}
+
+			if (
+				(typeof execution.replyWithPrivateMessage !== "boolean")
+				&& (typeof privateMessage === "boolean")
+			) {
+				execution.replyWithPrivateMessage = privateMessage;
+			}
+
+			if (flags.rollback && !transactionFinished) {
+				if (passed && repliesPassed) {
+					await context.transaction.commit();
+				}
+				else {
+					await context.transaction.rollback();
+				}
+
+				await context.transaction.end();
+				transactionFinished = true;
+			}
+		}
+		else if (flags.rollback && !transactionFinished) {
+			await context.transaction.commit();
+			await context.transaction.end();
+			transactionFinished = true;
+		}
+
+		// Apply all unpings to the result, if it is still a string (aka the response should be sent)
+		if (typeof execution.reply === "string") {
+			execution.reply = await sb.Filter.applyUnping({
+				command,
+				channel: channelData ?? null,
+				platform: channelData?.Platform ?? null,
+				string: execution.reply,
+				executor: userData
+			});
+		}
+
+		for (let i = 0; i < replies.length; i++) {
+			if (typeof replies[i] !== "string") {
+				continue;
+			}
+
+			replies[i] = await sb.Filter.applyUnping({
+				command,
+				channel: channelData ?? null,
+				platform: channelData?.Platform ?? null,
+				string: replies[i],
+				executor: userData
+			});
+		}
+
+		const mentionUser = Boolean(
+			!options.skipMention
+			&& flags.mention
+			&& channelData?.Mention
+			&& sb.Filter.getMentionStatus({
+				user: userData,
+				command,
+				channel: channelData ?? null,
+				platform: channelData?.Platform ?? null
+			})
+		);
+
+		if (mentionUser) {
+			const { string } = await sb.Banphrase.execute(
+				userData.Name,
+				channelData
+			);
+
+			execution.reply = `${string}, ${execution.reply}`;
+		}
+
+		// If the `hasPrefix` condition is met (we want the external prefix to be added), we check two more conditions:
+		// a) Either the command succeeded and the prefix isn't skipped, or
+		// b) The prefix is forced no matter the command's success status.
+		// The "channel alias" prefix takes precedence before teh "external input" one.
+		const hasPrefix = Boolean(!options.partialExecute && execution.hasExternalInput);
+		if (execution.isChannelAlias) {
+			execution.reply = `#⃣  ${execution.reply}`;
+		}
+		else if (hasPrefix && ((execution.success !== false && !execution.skipExternalPrefix) || execution.forceExternalPrefix)) {
+			execution.reply = `👥 ${execution.reply}`;
+		}
+
+		middlewareState.execution = execution;
+		const beforeReplyResult = await Command.#runMiddleware("before-reply", middlewareState, releaseExecution);
+		if (beforeReplyResult) {
+			return beforeReplyResult;
+		}
+
+		return middlewareState.execution;
+	}
+
+	/**
+	 * Registers a middleware handler for one of the stages of `checkAndExecute`.
+	 * Stages, in order of execution:
+	 * - `before-filter`: after parameters are parsed, before filters are checked
+	 * - `after-filter`: after filters are checked, `state.filterData` contains the result
+	 * - `before-execute`: right before the command's code runs, `state.context` is available
+	 * - `after-execute`: after the command's code has finished, `state.execution` contains its result
+	 * - `before-reply`: after banphrases, unpings and mentions are applied, right before the result is returned
+	 * Each handler receives the mutable middleware state - it can change `args` (up until `before-execute`),
+	 * `filterData` (in `after-filter`) or `execution` (from `after-execute` onwards). If a handler returns an object,
+	 * the execution is short-circuited and that object is returned from `checkAndExecute` instead - once the command
+	 * has been executed, its cooldown is still applied.
+	 * If a handler throws, the pending status is released and the transaction rolled back before the error propagates.
+	 * Handlers are executed in the order of registration.
+	 * @param {MiddlewareStage} stage
+	 * @param {MiddlewareHandler} handler
+	 * @returns {Function} Unregisters the handler when invoked
+	 */
+	static registerMiddleware (stage, handler) {
+		if (!Command.#middleware.has(stage)) {
+			throw new sb.Error({
+				message: "Invalid middleware stage provided",
+				args: { stage, allowed: Command.middlewareStages }
+			});
+		}
+		else if (typeof handler !== "function") {
+			throw new sb.Error({
+				message: "Middleware handler must be a function",
+				args: { stage, type: typeof handler }
+			});
+		}
+
+		Command.#middleware.get(stage).push(handler);
+		return () => Command.unregisterMiddleware(stage, handler);
+	}
+
+	/**
+	 * Removes a previously registered middleware handler.
+	 * @param {MiddlewareStage} stage
+	 * @param {MiddlewareHandler} handler
+	 * @returns {boolean} True if the handler was found and removed
+	 */
+	static unregisterMiddleware (stage, handler) {
+		const handlers = Command.#middleware.get(stage);
+		if (!handlers) {
+			throw new sb.Error({
+				message: "Invalid middleware stage provided",
+				args: { stage, allowed: Command.middlewareStages }
+			});
+		}
+
+		const index = handlers.indexOf(handler);
+		if (index === -1) {
+			return false;
+		}
+
+		handlers.splice(index, 1);
+		return true;
+	}
+
+	static async #runMiddleware (stage, state, cleanup) {
+		state.stage = stage;
+		for (const handler of Command.#middleware.get(stage)) {
+			let result;
+			try {
+				result = await handler(state);
+			}
+			catch (e) {
+				await cleanup();
+				throw e;
+			}
+
+			if (result && typeof result === "object") {
+				return result;
+			}
+		}
+
+		return null;
+	}
+
+	static async #releaseTransaction (transaction) {
+		if (!transaction) {
+			return;
+		}
+
+		await transaction.rollback();
+		await transaction.end();
+	}
+
+	/**
+	 * Evaluates every gate of {@link Command.checkAndExecute} without executing the command, setting cooldowns
+	 * or pending status, touching the Runtime counters or writing any logs.
+	 * Middleware is not run either, as it may have side effects of its own.
+	 * @param {string} identifier
+	 * @param {string[]} argumentArray
+	 * @param {sb.Channel|null} channelData
+	 * @param {sb.User} userData
+	 * @param {Object} options
+	 * @returns {Promise<DryRunResult>}
+	 */
+	static async #simulateExecution (identifier, argumentArray, channelData, userData, options) {
+		const gates = [];
+		const report = (name, passed, reason = null, detail = {}) => gates.push({ name, passed, reason, detail });
+		const finish = (command) => {
+			const failed = gates.filter(i => !i.passed);
+			return {
+				success: (failed.length === 0),
+				reason: failed[0]?.reason ?? null,
+				reply: null,
+				dryRun: true,
+				command: command?.Name ?? null,
+				gates
+			};
+		};
+
+		const mode = channelData?.Mode ?? null;
+		if (mode === "Inactive" || mode === "Read") {
+			report("channel-mode", false, `channel-${mode.toLowerCase()}`, { mode });
+		}
+		else {
+			report("channel-mode", true, null, { mode });
+		}
+
+		if (typeof identifier === "string") {
+			for (const char of Command.privilegedCommandCharacters) {
+				if (identifier.startsWith(char)) {
+					argumentArray.unshift(identifier.replace(char, ""));
+					identifier = char;
+					break;
+				}
+			}
+		}
+
+		const command = Command.get(identifier);
+		if (!command) {
+			report("command", false, "no-command", { identifier });
+			return finish(null);
+		}
+
+		/** @type {RegExp} */
+		const whitespaceRegex = sb.Config.get("WHITESPACE_REGEX");
+		let args = argumentArray
+			.map(i => i.replace(whitespaceRegex, ""))
+			.filter(Boolean);
+
+		const subcommand = command.getSubcommand(args[0] ?? null);
+		if (subcommand) {
+			args = args.slice(1);
+		}
+
+		const flags = subcommand?.flags ?? command.Flags;
+		const paramsDefinition = subcommand?.params ?? command.Params;
+		report("command", true, null, {
+			identifier,
+			subcommand: subcommand?.name ?? null
+		});
+
+		const channelID = (channelData?.ID ?? Command.#privateMessageChannelID);
+		const cooldownKey = Command.#getCooldownKey(command, subcommand);
+		const cooldownPassed = await sb.CooldownManager.check(channelID, userData.ID, cooldownKey, true);
+		report("cooldown", cooldownPassed, (cooldownPassed) ? null : "cooldown");
+
+		const pending = await sb.CooldownManager.fetchPending(userData.ID);
+		const isAdmin = await userData.getDataProperty("administrator");
+		if (pending && !options.skipPending && isAdmin !== true) {
+			report("pending", false, "pending", { description: pending.description });
+		}
+		else {
+			report("pending", true);
+		}
+
+		let params = {};
+		if (paramsDefinition.length > 0) {
+			const result = Command.parseParametersFromArguments(paramsDefinition, args);
+			if (result.success === false) {
+				report("parameters", false, "parameters", { reply: result.reply });
+			}
+			else {
+				args = result.args;
+				params = result.parameters;
+				report("parameters", true, null, { parameters: result.parameters });
+			}
+		}
+		else {
+			report("parameters", true, null, { parameters: {} });
+		}
+
+		const filterData = await sb.Filter.execute({
+			user: userData,
+			command,
+			flags,
+			subcommand: subcommand?.name ?? null,
+			invocation: identifier,
+			channel: channelData ?? null,
+			platform: channelData?.Platform ?? null,
+			targetUsers: command.getUserTargets(args, params),
+			args,
+			params
+		});
+
+		if (filterData.success) {
+			report("filter", true);
+		}
+		else {
+			const isFilterGlobalBan = Boolean(
+				filterData.reason === "blacklist"
+				&& filterData.filter.User_Alias !== null
+				&& filterData.filter.Channel === null
+				&& filterData.filter.Platform === null
+				&& filterData.filter.Command === null
+				&& filterData.filter.Invocation === null
+			);
+
+			const skipped = Boolean(options.skipGlobalBan && isFilterGlobalBan);
+			report("filter", skipped, (skipped) ? null : filterData.reason, {
+				filter: filterData.filter?.ID ?? null,
+				reply: filterData.reply ?? null,
+				skippedGlobalBan: skipped
+			});
+		}
+
+		const requiredPermissions = subcommand?.permissions ?? command.Permissions;
+		if (requiredPermissions.length > 0) {
+			const context = new Context(command, {
+				platform: options.platform ?? channelData?.Platform ?? null,
+				invocation: identifier,
+				subcommand: subcommand?.name ?? null,
+				user: userData,
+				channel: channelData ?? null,
+				privateMessage: !channelData
+			});
+
+			const { success } = await Command.#checkPermissions(requiredPermissions, context);
+			report("permissions", success, (success) ? null : "permissions", {
+				required: requiredPermissions
+			});
+		}
+		else {
+			report("permissions", true, null, {
+				required: []
+			});
+		}
+
+		const quotas = (isAdmin === true)
+			? []
+			: Command.#getApplicableQuotas(command, identifier, channelData, userData, subcommand);
+
+		if (quotas.length > 0) {
+			const quotaResult = await sb.QuotaManager.check(command.Name, quotas, {
+				user: userData,
+				channel: channelData ?? null,
+				platform: channelData?.Platform ?? options.platform ?? null
+			});
+
+			if (quotaResult.success) {
+				const names = quotas.map(i => i.name);
+				report("quota", true, null, { quotas: names });
+			}
+			else {
+				const { quota } = Command.#createQuotaRejection(quotaResult, null);
+				report("quota", false, "quota", quota);
+			}
+		}
+		else {
+			report("quota", true, null, {
+				quotas: []
+			});
+		}
+
+		// The command is not executed, so its reply is not known. Instead, the filter's rejection reply is checked if
+		// it would be sent, then the caller-provided `dryRunReply`, and finally the invocation itself.
+		const checksBanphrases = Boolean(!flags.readOnly && !flags.skipBanphrase && !options.skipBanphrases);
+		if (checksBanphrases) {
+			let checkedMessage;
+			if (!filterData.success && filterData.filter?.Response === "Reason" && typeof filterData.reply === "string") {
+				checkedMessage = filterData.reply;
+			}
+			else if (typeof options.dryRunReply === "string") {
+				checkedMessage = options.dryRunReply;
+			}
+			else {
+				checkedMessage = [identifier, ...argumentArray].join(" ");
+			}
+
+			checkedMessage = checkedMessage.slice(0, 2000).replace(whitespaceRegex, "");
+
+			const { passed, string } = await sb.Banphrase.execute(checkedMessage, channelData);
+			report("banphrase", passed, (passed) ? null : "banphrase", {
+				applies: true,
+				message: checkedMessage,
+				result: string
+			});
+		}
+		else {
+			report("banphrase", true, null, { applies: false });
+		}
+
+		const unpingFilters = sb.Filter.getLocals("Unping", {
+			command,
+			channel: channelData ?? null,
+			platform: channelData?.Platform ?? null,
+			skipUserCheck: true
+		}).filter(i => i.Blocked_User === null || i.Blocked_User === userData.ID);
+
+		report("unping", true, null, {
+			applies: (unpingFilters.length > 0),
+			filters: unpingFilters.map(i => i.ID)
+		});
+
+		const mentionUser = Boolean(
+			!options.skipMention
+			&& flags.mention
+			&& channelData?.Mention
+			&& sb.Filter.getMentionStatus({
+				user: userData,
+				command,
+				channel: channelData ?? null,
+				platform: channelData?.Platform ?? null
+			})
+		);
+
+		report("mention", true, null, { applies: mentionUser });
+
+		return finish(command);
+	}
+
+	/**
+	 * Collects the usage quotas of a command - both from its definition and from Quota filters.
+	 * @param {Command} command
+	 * @param {string} identifier
+	 * @param {sb.Channel|null} channelData
+	 * @param {sb.User} userData
+	 * @param {CommandSubcommand|null} [subcommand]
+	 * @returns {Quota[]}
+	 */
+	static #getApplicableQuotas (command, identifier, channelData, userData, subcommand = null) {
+		const filterQuotas = sb.Filter.getQuotas({
+			command,
+			subcommand: subcommand?.name ?? null,
+			invocation: identifier,
+			channel: channelData ?? null,
+			platform: channelData?.Platform ?? null,
+			user: userData
+		});
+
+		return [...command.Quota, ...filterQuotas];
+	}
+
+	/**
+	 * Determines whether the context's user has at least one of the required permission levels.
+	 * Administrators always pass, and levels that have not been registered are never satisfied.
+	 * @param {string[]} levels Permission levels of the command or the subcommand
+	 * @param {Context} context
+	 * @returns {Promise<{ success: boolean }>}
+	 */
+	static async #checkPermissions (levels, context) {
+		const permissions = await context.getUserPermissions();
+		if (permissions.is("administrator")) {
+			return { success: true };
+		}
+
+		const success = levels.some(level => (
+			Object.hasOwn(sb.User.permissions, level) && permissions.is(level)
+		));
+
+		return { success };
+	}
+
+	/**
+	 * Permission rejections are logged at most once per minute for each combination of command and user.
+	 * @param {Command} command
+	 * @param {sb.User} userData
+	 * @returns {boolean}
+	 */
+	static #shouldLogPermissionRejection (command, userData) {
+		const now = Date.now();
+		for (const [key, timestamp] of Command.#permissionRejectionLogs) {
+			if (timestamp + PERMISSION_REJECTION_LOG_INTERVAL <= now) {
+				Command.#permissionRejectionLogs.delete(key);
+			}
+		}
+
+		const key = `${command.Name}:${userData.ID}`;
+		if (Command.#permissionRejectionLogs.has(key)) {
+			return false;
+		}
+
+		Command.#permissionRejectionLogs.set(key, now);
+		return true;
+	}
+
+	/**
+	 * Subcommands with their own cooldown use a separate cooldown, all others share the command's one.
+	 * @param {Command} command
+	 * @param {CommandSubcommand|null} subcommand
+	 * @returns {string}
+	 */
+	static #getCooldownKey (command, subcommand) {
+		return (typeof subcommand?.cooldown === "number")
+			? `${command.Name} ${subcommand.name}`
+			: command.Name;
+	}
+
+	static #createQuotaRejection (quotaResult, language) {
+		const { quota, used, resetsAt } = quotaResult;
+		const windowDescription = (quota.windowName)
+			? sb.Localization.get(`command.quota.window.${quota.windowName}`, language)
+			: sb.Utils.timeDelta(new sb.Date(quota.window), true, false, new sb.Date(0));
+
+		return {
+			success: false,
+			reason: "quota",
+			reply: sb.Localization.get(`command.quota.${quota.scope}`, language, {
+				limit: quota.limit,
+				window: windowDescription,
+				reset: sb.Localization.timeDelta(new sb.Date(resetsAt), language)
+			}),
+			quota: {
+				name: quota.name,
+				scope: quota.scope,
+				limit: quota.limit,
+				used,
+				resetsAt
+			}
+		};
+	}
+
+	/**
+	 * Executes a sequence of commands, where the reply of each step is appended to the arguments of the next one.
+	 * Pending status is set once for the whole pipeline; banphrases and mentions are only applied to the last step.
+	 * Cooldowns of all steps are checked before the pipeline starts, and set once it has finished - so that a command
+	 * used in multiple steps is not stopped by its own cooldown.
+	 * @param {PipelineStep[]} steps
+	 * @param {sb.Channel|null} channelData
+	 * @param {sb.User} userData
+	 * @param {Object} options Execution options, passed to each step's `checkAndExecute` call
+	 * @returns {Promise<PipelineResult>}
+	 */
+	static async executePipeline (steps, channelData, userData, options = {}) {
+		if (!Array.isArray(steps) || steps.length === 0) {
+			throw new sb.Error({
+				message: "Pipeline steps must be provided as a non-empty array"
+			});
+		}
+
+		if (!options.skipPending) {
+			const pending = await sb.CooldownManager.fetchPending(userData.ID);
+			if (pending) {
+				return {
+					success: false,
+					reason: "pending",
+					reply: (options.privateMessage) ? pending.description : null,
+					trace: []
+				};
+			}
+		}
+
+		const channelID = channelData?.ID ?? Command.#privateMessageChannelID;
+		for (const step of steps) {
+			const command = Command.get(step.identifier);
+			if (!command) {
+				continue;
+			}
+
+			const subcommand = command.getSubcommand(step.args?.[0] ?? null);
+			const cooldownKey = Command.#getCooldownKey(command, subcommand);
+			if (!await sb.CooldownManager.check(channelID, userData.ID, cooldownKey, true)) {
+				return {
+					success: false,
+					reason: "cooldown",
+					trace: []
+				};
+			}
+		}
+
+		const isAdmin = await userData.getDataProperty("administrator");
+		const setPending = (!options.skipPending && isAdmin !== true);
+		if (setPending) {
+			const sourceName = channelData?.Name ?? `${options.platform.Name} PMs`;
+			const names = steps.map(i => i.identifier).join(" | ");
+			const pendingSet = await sb.CooldownManager.setPending(
+				userData.ID,
+				`You have a pending command pipeline: "${names}" used in "${sourceName}" at ${new sb.Date().sqlDateTime()}`
+			);
+
+			if (!pendingSet) {
+				const pending = await sb.CooldownManager.fetchPending(userData.ID);
+				return {
+					success: false,
+					reason: "pending",
+					reply: (options.privateMessage) ? (pending?.description ?? null) : null,
+					trace: []
+				};
+			}
+		}
+
+		const trace = [];
+		const executedSteps = [];
+		let input = [];
+		let execution = null;
+
+		// Pending status must be released even if one of the steps throws
+		try {
+			for (let i = 0; i < steps.length; i++) {
+				const { identifier } = steps[i];
+				const args = steps[i].args ?? [];
+				const isLastStep = (i === steps.length - 1);
+
+				const command = Command.get(identifier);
+				const start = process.hrtime.bigint();
+
+				if (!command) {
+					execution = {
+						success: false,
+						reason: "no-command",
+						reply: await sb.Localization.translate("command.pipeline.no-command", {
+							user: userData,
+							channel: channelData,
+							params: { identifier }
+						})
+					};
+				}
+				else if (!command.Flags.pipe) {
+					execution = {
+						success: false,
+						reason: "pipe-unsupported",
+						reply: await sb.Localization.translate("command.pipeline.not-pipeable", {
+							user: userData,
+							channel: channelData,
+							params: { command: command.Name }
+						})
+					};
+				}
+				else {
+					execution = await Command.checkAndExecute(
+						identifier,
+						[...args, ...input],
+						channelData,
+						userData,
+						{
+							...options,
+							pipe: true,
+							skipPending: true,
+							skipCooldown: true,
+							partialExecute: !isLastStep,
+							skipBanphrases: (isLastStep) ? options.skipBanphrases : true,
+							skipMention: (isLastStep) ? options.skipMention : true
+						}
+					);
+
+					executedSteps.push({
+						command,
+						subcommand: command.getSubcommand([...args, ...input][0] ?? null),
+						cooldown: execution?.cooldown
+					});
+				}
+
+				const end = process.hrtime.bigint();
+				const reply = (typeof execution?.reply === "string") ? execution.reply : null;
+				const success = Boolean(execution && execution.success !== false);
+
+				trace.push({
 					identifier,
-					error: errorContext,
-					command: loggingContext
-				},
-				arguments: args
-			});
+					command: command?.Name ?? null,
+					args: [...args, ...input],
+					success,
+					reason: execution?.reason ?? null,
+					reply,
+					executionTime: sb.Utils.round(Number(end - start) / 1.0e6, 3)
+				});
 
-			if (e instanceof sb.errors.GenericRequestError) {
-				const { hostname, message } = errorContext;
-				execution = {
-					success: false,
-					reason: "generic-request-error",
-					reply: `🚨 Third party ${hostname} failed! ${message ?? "(no message)"} (error ID ${errorID})`
-				};
+				if (!success) {
+					break;
+				}
+
+				input = (reply) ? reply.split(/\s+/).filter(Boolean) : [];
 			}
-			else if (e instanceof sb.Got.RequestError) {
-				execution = {
-					success: false,
-					reason: "got-error",
-					reply: `🚨 Third party network error! ${errorContext.message ?? "(no message)"} (error ID ${errorID})`
-				};
+		}
+		finally {
+			if (setPending) {
+				await sb.CooldownManager.unsetPending(userData.ID);
 			}
-			else {
-				const prettify = (await channelData?.getDataProperty("showFullCommandErrorMessage"))
-					? sb.Config.get("COMMAND_ERROR_DEVELOPER")
-					: sb.Config.get("COMMAND_ERROR_GENERIC");
+		}
 
-				execution = {
-					success: false,
-					reason: "error",
-					reply: prettify(errorID, e)
-				};
+		for (const { command, subcommand, cooldown } of executedSteps) {
+			const flags = subcommand?.flags ?? command.Flags;
+			if (!flags.readOnly) {
+				await Command.handleCooldown(channelData, userData, command, cooldown, subcommand);
 			}
 		}
 
-		// unset pending cooldown, before anything else - even read-only commands should unset it (despite not
-		// having any cooldown themselves)
-		sb.CooldownManager.unsetPending(userData.ID);
+		const lastStep = trace[trace.length - 1];
+		if (!lastStep.success) {
+			let reply = null;
+			if (execution?.reply) {
+				reply = await sb.Localization.translate("command.pipeline.step-failed", {
+					user: userData,
+					channel: channelData,
+					params: {
+						step: trace.length,
+						identifier: lastStep.identifier,
+						reply: execution.reply
+					}
+				});
+			}
 
-		// Read-only commands never reply with anything - banphrases, mentions and cooldowns are not checked
-		if (command.Flags.readOnly) {
 			return {
-				success: execution?.success ?? true
+				...execution,
+				success: false,
+				reason: execution?.reason ?? "pipeline-step-failed",
+				reply,
+				trace
 			};
 		}
 
-		Command.handleCooldown(channelData, userData, command, execution?.cooldown);
+		return {
+			...execution,
+			success: true,
+			trace
+		};
+	}
 
-		if (!execution) {
-			return execution;
+	/**
+	 * Executes the same command in multiple channels, and reports the result for each of them.
+	 * Executions run in parallel up to the provided concurrency, but the ones on the same platform are always
+	 * at least `platformDelay` milliseconds apart, so that the platform's rate limits are not hit.
+	 * @param {Object} options
+	 * @param {Command|string} options.command Command instance or identifier
+	 * @param {string[]} [options.args] Command arguments
+	 * @param {sb.User} options.user Executing user
+	 * @param {sb.Channel[]} [options.channels] Explicit list of channels. If not provided, all channels are used
+	 * @param {PlatformLike} [options.platform] Only channels of this platform are used
+	 * @param {function(sb.Channel): boolean} [options.filter] Only channels passing this predicate are used
+	 * @param {number} [options.concurrency] Maximum amount of simultaneous executions, defaults to 1
+	 * @param {number} [options.platformDelay] Minimum delay between executions on the same platform, defaults to 1000
+	 * @param {boolean} [options.send] If true (default), successful replies are sent to their channels
+	 * @param {Object} [options.executionOptions] Additional options passed to each `checkAndExecute` call.
+	 * The pending status is always skipped, as the executions of the same user run in parallel.
+	 * @returns {Promise<BatchResult>}
+	 */
+	static async executeBatch (options) {
+		const command = (options.command instanceof Command)
+			? options.command
+			: Command.get(options.command);
+
+		if (!command) {
+			throw new sb.Error({
+				message: "Batch command does not exist",
+				args: { command: String(options.command) }
+			});
 		}
-		else if (typeof execution.reply !== "string" && !execution.partialReplies) {
-			return execution;
+		else if (!options.user) {
+			throw new sb.Error({
+				message: "Batch execution requires an executing user"
+			});
 		}
 
-		if (Array.isArray(execution.partialReplies)) {
-			if (execution.partialReplies.some(i => i && i.constructor !== Object)) {
+		const concurrency = options.concurrency ?? 1;
+		const platformDelay = options.platformDelay ?? 1000;
+		if (!sb.Utils.isValidInteger(concurrency, 1) || !sb.Utils.isValidInteger(platformDelay)) {
+			throw new sb.Error({
+				message: "Batch concurrency must be a positive integer, and platform delay a non-negative integer",
+				args: { concurrency, platformDelay }
+			});
+		}
+
+		let channels = options.channels ?? sb.Channel.data;
+		if (options.platform) {
+			const platform = sb.Platform.get(options.platform);
+			if (!platform) {
 				throw new sb.Error({
-					message: "If set, partialReplies must be an Array of Objects"
+					message: "Batch platform does not exist",
+					args: { platform: String(options.platform) }
 				});
 			}
 
-			const partResult = [];
-			for (const { message, bancheck } of execution.partialReplies) {
-				if (bancheck === true) {
-					const { string } = await sb.Banphrase.execute(
-						message,
-						channelData
-					);
-
-					partResult.push(string);
-				}
-				else {
-					partResult.push(message);
-				}
-			}
-
-			execution.reply = partResult.join(" ");
+			channels = channels.filter(i => i.Platform === platform);
+		}
+		if (typeof options.filter === "function") {
+			channels = channels.filter(i => options.filter(i));
 		}
 
-		execution.reply = String(execution.reply).trim();
+		const queue = [...new Set(channels)];
+		const results = [];
+		const platformSchedule = new Map();
+		const send = options.send ?? true;
 
-		if (execution.reply.length === 0) {
-			execution.reply = "(empty message)";
-		}
+		const executeInChannel = async (channelData) => {
+			// Reserve the platform's next execution slot synchronously, so that parallel workers never share it
+			const now = Date.now();
+			const scheduled = Math.max(now, platformSchedule.get(channelData.Platform) ?? now);
+			platformSchedule.set(channelData.Platform, scheduled + platformDelay);
 
-		const metaSkip = Boolean(!execution.partialReplies && (options.skipBanphrases || execution?.meta?.skipBanphrases));
-		if (!command.Flags.skipBanphrase && !metaSkip) {
-			let messageSlice = execution.reply.slice(0, 2000);
-			if (!execution.meta?.skipWhitespaceCheck) {
-				messageSlice = messageSlice.replace(whitespaceRegex, "");
+			if (scheduled > now) {
+				await new Promise(resolve => setTimeout(resolve, scheduled - now));
 			}
 
-			const { passed, privateMessage, string } = await sb.Banphrase.execute(messageSlice, channelData);
-			execution.reply = string;
+			const item = {
+				channel: channelData.ID,
+				platform: channelData.Platform.ID,
+				success: false,
+				reason: null,
+				reply: null,
+				error: null
+			};
 
-			if (
-				(typeof execution.replyWithPrivateMessage !== "boolean")
-				&& (typeof privateMessage === "boolean")
-			) {
-				execution.replyWithPrivateMessage = privateMessage;
-			}
+			try {
+				const execution = await Command.checkAndExecute(
+					command.Name,
+					[...(options.args ?? [])],
+					channelData,
+					options.user,
+					{
+						...(options.executionOptions ?? {}),
+						skipPending: true,
+						platform: channelData.Platform
+					}
+				);
+
+				// Pending rejections do not have `success: false` - neither they nor cooldowns may be sent as replies
+				const isRejected = (execution?.reason === "pending" || execution?.reason === "cooldown");
+				item.success = (!isRejected && execution?.success !== false);
+				item.reason = execution?.reason ?? null;
+				item.reply = execution?.reply ?? null;
+
+				if (send && item.success && typeof item.reply === "string") {
+					// Attachments and embeds are sent with the main reply, additional replies follow it
+					await channelData.send(item.reply, {
+						attachments: execution.attachments ?? [],
+						embeds: execution.embeds ?? []
+					});
 
-			if (command.Flags.rollback) {
-				if (passed) {
-					await context.transaction.commit();
-				}
-				else {
-					await context.transaction.rollback();
+					for (const reply of execution.replies ?? []) {
+						await channelData.send(reply);
+					}
 				}
+			}
+			catch (e) {
+				item.success = false;
+				item.reason = "error";
+				item.error = e.message;
+			}
 
-				await context.transaction.end();
+			results.push(item);
+		};
+
+		const worker = async () => {
+			while (queue.length > 0) {
+				await executeInChannel(queue.shift());
 			}
-		}
-		else if (command.Flags.rollback) {
-			await context.transaction.commit();
-			await context.transaction.end();
-		}
+		};
 
-		// Apply all unpings to the result, if it is still a string (aka the response should be sent)
-		if (typeof execution.reply === "string") {
-			execution.reply = await sb.Filter.applyUnping({
-				command,
-				channel: channelData ?? null,
-				platform: channelData?.Platform ?? null,
-				string: execution.reply,
-				executor: userData
-			});
+		const workers = [];
+		for (let i = 0; i < Math.min(concurrency, queue.length); i++) {
+			workers.push(worker());
 		}
 
-		const mentionUser = Boolean(
-			!options.skipMention
-			&& command.Flags.mention
-			&& channelData?.Mention
-			&& sb.Filter.getMentionStatus({
-				user: userData,
-				command,
-				channel: channelData ?? null,
-				platform: channelData?.Platform ?? null
-			})
-		);
+		await Promise.all(workers);
 
-		if (mentionUser) {
-			const { string } = await sb.Banphrase.execute(
-				userData.Name,
-				channelData
-			);
+		const succeeded = results.filter(i => i.success).length;
+		return {
+			command: command.Name,
+			total: results.length,
+			succeeded,
+			failed: results.length - succeeded,
+			results
+		};
+	}
 
-			execution.reply = `${string}, ${execution.reply}`;
-		}
+	/**
+	 * Executes the command's code. If the command has a timeout, the execution is rejected with
+	 * `CommandTimeoutError` once it runs out, and the provided controller is aborted.
+	 * @param {Command} command
+	 * @param {Context} context
+	 * @param {string[]} args
+	 * @param {AbortController} abortController
+	 * @returns {Promise<Object>}
+	 */
+	static async #executeWithTimeout (command, context, args, abortController, subcommand = null) {
+		const code = subcommand?.code ?? command.Code;
+		const timeout = command.getTimeout();
+		if (typeof timeout !== "number") {
+			return await code.call(command, context, ...args);
+		}
+
+		let timeoutID;
+		const timeoutPromise = new Promise((resolve, reject) => {
+			timeoutID = setTimeout(() => {
+				const error = new sb.errors.CommandTimeoutError({
+					command: command.Name,
+					timeout
+				});
 
-		// If the `hasPrefix` condition is met (we want the external prefix to be added), we check two more conditions:
-		// a) Either the command succeeded and the prefix isn't skipped, or
-		// b) The prefix is forced no matter the command's success status.
-		// The "channel alias" prefix takes precedence before teh "external input" one.
-		const hasPrefix = Boolean(!options.partialExecute && execution.hasExternalInput);
-		if (execution.isChannelAlias) {
-			execution.reply = `#⃣  ${execution.reply}`;
+				abortController.abort(error);
+				reject(error);
+			}, timeout);
+		});
+
+		try {
+			return await Promise.race([
+				code.call(command, context, ...args),
+				timeoutPromise
+			]);
 		}
-		else if (hasPrefix && ((execution.success !== false && !execution.skipExternalPrefix) || execution.forceExternalPrefix)) {
-			execution.reply = `👥 ${execution.reply}`;
+		finally {
+			clearTimeout(timeoutID);
 		}
-
-		return execution;
 	}
 
-	static handleCooldown (channelData, userData, commandData, cooldownData) {
+	/**
+	 * Handles the setting (or skipping) cooldowns for given combination of data.
+	 * Asynchronous, since cooldowns can be stored in Redis - callers must await it. It used to be synchronous.
+	 * @param {sb.Channel|null} channelData
+	 * @param {sb.User} userData
+	 * @param {Command} commandData
+	 * @param {number|Object|Object[]|null} [cooldownData] Cooldown returned by the command - `null` skips the cooldown
+	 * @param {CommandSubcommand|null} [subcommand]
+	 * @returns {Promise<void>}
+	 */
+	static async handleCooldown (channelData, userData, commandData, cooldownData, subcommand = null) {
 		// Take care of private messages, where channel === null
 		const channelID = channelData?.ID ?? Command.#privateMessageChannelID;
+		const flags = subcommand?.flags ?? commandData.Flags;
+		const cooldownKey = Command.#getCooldownKey(commandData, subcommand);
 
-		if (commandData.Flags.ownerOverride && channelData?.isUserChannelOwner(userData)) {
+		if (flags.ownerOverride && channelData?.isUserChannelOwner(userData)) {
 			// Set a very small, only technical cooldown
-			sb.CooldownManager.set(channelID, userData.ID, commandData.Name, 500);
+			await sb.CooldownManager.set(channelID, userData.ID, cooldownKey, 500);
 		}
 		else if (typeof cooldownData !== "undefined") {
 			if (cooldownData !== null) {
@@ -914,7 +3006,7 @@ class Command extends require("./template.js") {
 					const {
 						channel = channelID,
 						user = userData.ID,
-						command = commandData.Name,
+						command = cooldownKey,
 						ignoreCooldownFilters = false,
 						options = {}
 					} = cooldown;
@@ -924,6 +3016,7 @@ class Command extends require("./template.js") {
 							platform: channelData?.Platform ?? null,
 							channel: channelData,
 							command: commandData,
+							subcommand: subcommand?.name ?? null,
 							invocation: null, // @todo
 							user: userData
 						});
@@ -933,7 +3026,7 @@ class Command extends require("./template.js") {
 						}
 					}
 
-					sb.CooldownManager.set(channel, user, command, length, options);
+					await sb.CooldownManager.set(channel, user, command, length, options);
 				}
 			}
 			else {
@@ -941,11 +3034,12 @@ class Command extends require("./template.js") {
 			}
 		}
 		else {
-			let length = commandData.Cooldown ?? 0;
+			let length = subcommand?.cooldown ?? commandData.Cooldown ?? 0;
 			const cooldownFilter = sb.Filter.getCooldownModifiers({
 				platform: channelData?.Platform ?? null,
 				channel: channelData,
 				command: commandData,
+				subcommand: subcommand?.name ?? null,
 				invocation: null, // @todo
 				user: userData
 			});
@@ -954,7 +3048,7 @@ class Command extends require("./template.js") {
 				length = cooldownFilter.applyData(length);
 			}
 
-			sb.CooldownManager.set(channelID, userData.ID, commandData.Name, length);
+			await sb.CooldownManager.set(channelID, userData.ID, cooldownKey, length);
 		}
 	}
 
@@ -1020,6 +3114,17 @@ class Command extends require("./template.js") {
 		return null;
 	}
 
+	static #formatParameterValue (value) {
+		if (Array.isArray(value)) {
+			return value.map(i => Command.#formatParameterValue(i)).join(",");
+		}
+		else if (typeof value === "string") {
+			return (value.includes(" ")) ? `"${value}"` : value;
+		}
+
+		return String(value);
+	}
+
 	static createFakeContext (commandData, contextData = {}, extraData = {}) {
 		if (!(commandData instanceof Command)) {
 			throw new sb.Error({
@@ -1033,6 +3138,7 @@ class Command extends require("./template.js") {
 
 		const data = {
 			invocation: contextData.invocation ?? commandData.Name,
+			subcommand: contextData.subcommand ?? null,
 			user: contextData.user ?? null,
 			channel: contextData.channel ?? null,
 			platform: contextData.platform ?? null,
@@ -1046,13 +3152,142 @@ class Command extends require("./template.js") {
 		return new Context(commandData, data);
 	}
 
+	/**
+	 * Checks a parsed parameter value against the constraints of its definition.
+	 * @param {*} value
+	 * @param {Object} definition
+	 * @returns {string|null} Error message if the value does not pass, `null` otherwise
+	 */
+	static validateParameterValue (value, definition) {
+		const { name } = definition;
+		if (Array.isArray(definition.enum) && !definition.enum.includes(value)) {
+			return `Parameter "${name}" must be one of: ${definition.enum.join(", ")}!`;
+		}
+
+		if (definition.type === "number") {
+			if (typeof definition.min === "number" && value < definition.min) {
+				return `Parameter "${name}" must be at least ${definition.min}!`;
+			}
+			else if (typeof definition.max === "number" && value > definition.max) {
+				return `Parameter "${name}" must be at most ${definition.max}!`;
+			}
+		}
+		else if (definition.type === "string") {
+			if (typeof definition.minLength === "number" && value.length < definition.minLength) {
+				return `Parameter "${name}" must be at least ${definition.minLength} characters long!`;
+			}
+			else if (typeof definition.maxLength === "number" && value.length > definition.maxLength) {
+				return `Parameter "${name}" must be at most ${definition.maxLength} characters long!`;
+			}
+
+			if (definition.pattern) {
+				const regex = (definition.pattern instanceof RegExp)
+					? definition.pattern
+					: new RegExp(definition.pattern);
+
+				if (!regex.test(value)) {
+					return `Parameter "${name}" is not in the correct format!`;
+				}
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Validates a command result against {@link Command.resultSchema} and normalizes it, so that every result
+	 * has the same shape regardless of which command produced it.
+	 * Mistyped properties are removed from the result and reported as issues instead of throwing. Properties not
+	 * present in the schema are passed through as they are, since platforms may use their own ones.
+	 * @param {CommandResult|*} execution
+	 * @returns {{ result: CommandResult|undefined|null, issues: string[] }}
+	 */
+	static normalizeResult (execution) {
+		if (typeof execution === "undefined" || execution === null) {
+			return {
+				issues: [],
+				result: execution
+			};
+		}
+
+		const issues = [];
+		if (Command.#getResultValueType(execution) !== "object") {
+			issues.push(`Result must be a plain object, got ${Command.#getResultValueType(execution)}`);
+			execution = {};
+		}
+
+		const result = {};
+		for (const [key, value] of Object.entries(execution)) {
+			if (typeof value === "undefined") {
+				continue;
+			}
+
+			const allowedTypes = Command.resultSchema[key];
+			if (!allowedTypes) {
+				result[key] = value;
+				continue;
+			}
+
+			const type = Command.#getResultValueType(value);
+			if (!allowedTypes.includes(type)) {
+				issues.push(`Result property "${key}" must be of type ${allowedTypes.join(" | ")}, got ${type}`);
+				continue;
+			}
+
+			result[key] = value;
+		}
+
+		result.reply ??= null;
+		result.success ??= true;
+
+		const listValidators = {
+			replies: (item) => typeof item === "string",
+			partialReplies: (item) => Command.#getResultValueType(item) === "object" && typeof item.message === "string",
+			attachments: (item) => (
+				Command.#getResultValueType(item) === "object"
+				&& (typeof item.url === "string" || typeof item.data !== "undefined")
+			),
+			embeds: (item) => Command.#getResultValueType(item) === "object"
+		};
+
+		for (const [key, validator] of Object.entries(listValidators)) {
+			if (!result[key]) {
+				continue;
+			}
+
+			const valid = result[key].filter(validator);
+			if (valid.length !== result[key].length) {
+				issues.push(`Result property "${key}" contains ${result[key].length - valid.length} invalid item(s)`);
+			}
+
+			result[key] = valid;
+		}
+
+		result.replies ??= [];
+		result.attachments ??= [];
+		result.embeds ??= [];
+
+		return { result, issues };
+	}
+
+	static #getResultValueType (value) {
+		if (value === null) {
+			return "null";
+		}
+		else if (Array.isArray(value)) {
+			return "array";
+		}
+
+		return typeof value;
+	}
+
 	static #parseAndAppendParameter (value, parameterDefinition, explicit, existingParameters) {
 		const parameters = { ...existingParameters };
 		const parsedValue = Command.parseParameter(value, parameterDefinition.type, explicit);
 		if (parsedValue === null) {
 			return {
 				success: false,
-				reply: `Could not parse parameter "${parameterDefinition.name}"!`
+				reply: parameterDefinition.error ?? `Could not parse parameter "${parameterDefinition.name}"!`
 			};
 		}
 		else if (parameterDefinition.type === "object") {
@@ -1068,6 +3303,22 @@ class Command extends require("./template.js") {
 			}
 
 			parameters[parameterDefinition.name][parsedValue.key] = parsedValue.value;
+			return { success: true, newParameters: parameters };
+		}
+
+		const error = Command.validateParameterValue(parsedValue, parameterDefinition);
+		if (error) {
+			return {
+				success: false,
+				reply: parameterDefinition.error ?? error
+			};
+		}
+
+		if (parameterDefinition.list) {
+			parameters[parameterDefinition.name] = [
+				...(parameters[parameterDefinition.name] ?? []),
+				parsedValue
+			];
 		}
 		else {
 			parameters[parameterDefinition.name] = parsedValue;
@@ -1076,6 +3327,54 @@ class Command extends require("./template.js") {
 		return { success: true, newParameters: parameters };
 	}
 
+	/**
+	 * Applies the definition-wide rules to fully parsed parameters - mutually exclusive groups, required
+	 * parameters and default values.
+	 * @param {Object[]} paramsDefinition
+	 * @param {Object} existingParameters
+	 * @returns {{ success: true, parameters: Object }|{ success: false, reply: string }}
+	 */
+	static #finalizeParameters (paramsDefinition, existingParameters) {
+		const parameters = { ...existingParameters };
+		const exclusiveGroups = new Map();
+
+		for (const definition of paramsDefinition) {
+			const { name } = definition;
+			if (typeof parameters[name] !== "undefined" && typeof definition.exclusive === "string") {
+				const used = exclusiveGroups.get(definition.exclusive);
+				if (used) {
+					return {
+						success: false,
+						reply: `Parameters "${used}" and "${name}" cannot be used together!`
+					};
+				}
+
+				exclusiveGroups.set(definition.exclusive, name);
+			}
+		}
+
+		for (const definition of paramsDefinition) {
+			const { name } = definition;
+			if (typeof parameters[name] !== "undefined") {
+				continue;
+			}
+
+			if (definition.required) {
+				return {
+					success: false,
+					reply: definition.error ?? `Parameter "${name}" is required!`
+				};
+			}
+			else if (typeof definition.default !== "undefined") {
+				parameters[name] = (Array.isArray(definition.default))
+					? [...definition.default]
+					: definition.default;
+			}
+		}
+
+		return { success: true, parameters };
+	}
+
 	static parseParametersFromArguments (paramsDefinition, argsArray) {
 		const argsStr = argsArray.join(" ");
 		const outputArguments = [];
@@ -1098,9 +3397,14 @@ class Command extends require("./template.js") {
 				if (buffer.slice(0, -1) === Command.ignoreParametersDelimiter && char === " ") {
 					// Delimiter means all arguments after this point will be ignored, and just passed as-is
 					outputArguments.push(...argsStr.slice(i + 1).split(" "));
+					const finalized = Command.#finalizeParameters(paramsDefinition, parameters);
+					if (!finalized.success) {
+						return finalized;
+					}
+
 					return {
 						success: true,
-						parameters,
+						parameters: finalized.parameters,
 						args: outputArguments
 					};
 				}
@@ -1181,9 +3485,14 @@ class Command extends require("./template.js") {
 			outputArguments.push(buffer);
 		}
 
+		const finalized = Command.#finalizeParameters(paramsDefinition, parameters);
+		if (!finalized.success) {
+			return finalized;
+		}
+
 		return {
 			success: true,
-			parameters,
+			parameters: finalized.parameters,
 			args: outputArguments
 		};
 	}
@@ -1243,3 +3552,157 @@ class Command extends require("./template.js") {
 }
 
 module.exports = Command;
+
+/**
+ * @typedef {"before-filter"|"after-filter"|"before-execute"|"after-execute"|"before-reply"} MiddlewareStage
+ */
+
+/**
+ * @typedef {Object} MiddlewareState
+ * @property {MiddlewareStage} stage Currently executed stage
+ * @property {Command} command
+ * @property {CommandSubcommand|null} subcommand Executed subcommand, if any
+ * @property {string} invocation
+ * @property {string[]} args Command arguments, can be replaced up until the `before-execute` stage
+ * @property {sb.User} user
+ * @property {sb.Channel|null} channel
+ * @property {sb.Platform|null} platform
+ * @property {Object} params Parsed command parameters
+ * @property {Object} options Execution options
+ * @property {Context|null} context Available from the `before-execute` stage onwards
+ * @property {Object|null} filterData Filter result, can be replaced in the `after-filter` stage
+ * @property {Object|null} execution Command result, can be replaced from the `after-execute` stage onwards
+ */
+
+/**
+ * @callback MiddlewareHandler
+ * @param {MiddlewareState} state
+ * @returns {Promise<Object|void>|Object|void} If an object is returned, the execution is short-circuited with it
+ */
+
+/**
+ * @typedef {Object} CommandSuggestion
+ * @property {string} name Name of the suggested command
+ * @property {string} invocation The name or alias that matched the most
+ * @property {number} score Similarity score, from 0 to 1
+ */
+
+/**
+ * @typedef {Object} CommandReloadResult
+ * @property {boolean} success False if any of the commands failed to load
+ * @property {"no-definitions"|"all-failed"|"partial-failure"} [reason]
+ * @property {{ identifier: string, reason: string, errors?: string[] }[]} failed
+ * @property {{ added: string[], removed: string[], changed: string[], failed: string[] }} diff
+ */
+
+/**
+ * @typedef {Object} CommandHelpData
+ * @property {string} name
+ * @property {string[]} aliases
+ * @property {string|null} description
+ * @property {string} usage
+ * @property {Object[]} params
+ * @property {string[]} flags Flag badges of the command
+ * @property {{ name: string, description: string|null, usage: string }[]} subcommands
+ * @property {number|null} cooldown Cooldown in milliseconds
+ * @property {string|null} detailURL
+ * @property {string[]|null} dynamicDescription
+ */
+
+/**
+ * @typedef {Object} BatchChannelResult
+ * @property {number} channel Channel ID
+ * @property {number} platform Platform ID
+ * @property {boolean} success
+ * @property {string|null} reason Rejection or failure reason, if any
+ * @property {string|null} reply
+ * @property {string|null} error Message of the error thrown during the execution, if any
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {string} command
+ * @property {number} total
+ * @property {number} succeeded
+ * @property {number} failed
+ * @property {BatchChannelResult[]} results In order of completion
+ */
+
+/**
+ * @typedef {Object} PromptResult
+ * @property {boolean} success
+ * @property {"timeout"|"cancelled"|"invalid"|"aborted"|null} reason
+ * @property {string|null} value The user's answer, if successful
+ */
+
+/**
+ * @typedef {Object} ConversationQuestion
+ * @property {string} name Identifies the answer in the conversation result
+ * @property {string} question
+ * @property {Function} [validate]
+ * @property {number} [timeout]
+ * @property {number} [retries]
+ * @property {string[]} [cancelWords]
+ */
+
+/**
+ * @typedef {Object} ConversationResult
+ * @property {boolean} success
+ * @property {PromptResult["reason"]} reason
+ * @property {string|null} failedQuestion Name of the question that ended the conversation, if any
+ * @property {Object<string, string>} answers All answers given until the conversation ended
+ */
+
+/**
+ * @typedef {Object} CommandSubcommand
+ * @property {string} name
+ * @property {string[]} aliases
+ * @property {string|null} description
+ * @property {Object[]} params
+ * @property {Object} flags The command's flags, combined with the subcommand's own ones
+ * @property {number|null} cooldown If `null`, the subcommand shares the command's cooldown
+ * @property {Function} code
+ */
+
+/**
+ * @typedef {Object} PipelineStep
+ * @property {string} identifier Command name or alias
+ * @property {string[]} [args] Arguments of the step, the previous step's reply is appended after these
+ */
+
+/**
+ * @typedef {Object} DryRunGate
+ * @property {"channel-mode"|"command"|"cooldown"|"pending"|"parameters"|"filter"|"permissions"|"quota"|"banphrase"|"unping"|"mention"} name
+ * @property {boolean} passed
+ * @property {string|null} reason Rejection reason the gate would produce, if it did not pass
+ * @property {Object} detail Gate-specific details, e.g. the ID of the filter that would reject the execution
+ */
+
+/**
+ * @typedef {Object} DryRunResult
+ * @property {boolean} success Whether the command would be executed
+ * @property {string|null} reason Reason of the first gate that would not pass
+ * @property {null} reply
+ * @property {true} dryRun
+ * @property {string|null} command Resolved command name, or `null` if no command was found
+ * @property {DryRunGate[]} gates
+ */
+
+/**
+ * @typedef {Object} PipelineStepTrace
+ * @property {string} identifier
+ * @property {string|null} command Resolved command name, or `null` if no command was found
+ * @property {string[]} args Final arguments the step was executed with
+ * @property {boolean} success
+ * @property {string|null} reason
+ * @property {string|null} reply
+ * @property {number} executionTime Step execution time, in milliseconds
+ */
+
+/**
+ * @typedef {Object} PipelineResult
+ * @property {boolean} success
+ * @property {string|null} [reply]
+ * @property {string} [reason]
+ * @property {PipelineStepTrace[]} trace
+ */
@@ -1,9 +1,92 @@
+const EventEmitter = require("events");
+
 /**
  * Represents a filter of the bot's commands.
  */
+const indexedProperties = ["Type", "Command", "Channel", "Platform", "User_Alias", "User_Group"];
+const userGroupTypes = ["Blacklist", "Whitelist", "Cooldown", "Flags", "Quota", "Schedule"];
+const editableProperties = ["Data", "Response", "Reason"];
+const responseTypes = ["None", "Auto", "Reason"];
+const dataRequiredTypes = ["Arguments", "Cooldown", "Quota"];
+const identityProperties = [
+	"Type", "User_Alias", "User_Group", "Channel", "Platform", "Command", "Invocation", "Subcommand", "Blocked_User"
+];
+const exportVersion = 1;
+
+const weekdays = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MINUTES_PER_DAY = 1440;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const scheduleTimeRegex = /^(\d{1,2}):(\d{2})$/;
+
+/**
+ * Cached date formatters for Schedule filters, one for each timezone.
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+const scheduleFormatters = new Map();
+
 module.exports = class Filter extends require("./template.js") {
 	#filterData = null;
 
+	/** @type {string[]} */
+	#dataErrors = [];
+
+	/**
+	 * Position of the filter in the lookup index - candidates are always returned in this order,
+	 * which is the same as their order in `Filter.data`.
+	 * @type {number}
+	 */
+	#indexSequence = 0;
+
+	/** @type {{ type: FilterType, location: string, user: number|null }|null} */
+	#indexKey = null;
+
+	/**
+	 * Lookup index of all filters, keyed by type, then by the command/channel/platform combination, then by user.
+	 * `null` values are kept as keys, so that wildcard filters can be looked up directly.
+	 * @type {Map<FilterType, Map<string, Map<number|null, Filter[]>>>}
+	 */
+	static #index = new Map();
+
+	/**
+	 * Filter types where all applicable filters are used at once, rather than just one of them.
+	 * @type {FilterType[]}
+	 */
+	static #additiveTypes = ["Flags", "Quota", "Unping", "Unmention", "Reminder-prevention"];
+
+	/**
+	 * Registered user group resolvers, keyed by the group name.
+	 * @type {Map<string, UserGroupResolver>}
+	 */
+	static #userGroupResolvers = new Map([
+		["bots", (userData) => Boolean(sb.User.bots?.has(userData.ID))]
+	]);
+
+	/**
+	 * Group memberships loaded from the membership table - group name to a set of user IDs.
+	 * @type {Map<string, Set<number>>}
+	 */
+	static #userGroupMembers = new Map();
+
+	/**
+	 * Groups resolved via resolvers for each user - used by the synchronous filter lookups.
+	 * @type {Map<number, { groups: Set<string>, expires: number }>}
+	 */
+	static #userGroupCache = new Map();
+	static #indexedData = null;
+	static #indexedCount = 0;
+	static #nextIndexSequence = 0;
+
+	/** @type {boolean|null} Whether the Filter_History table exists - determined on first use */
+	static #historyTablePresent = null;
+
+	/**
+	 * Emits `expire` with the filter instance, whenever a filter is deactivated due to its expiry.
+	 * @type {EventEmitter}
+	 */
+	static events = new EventEmitter();
+
+	static expirationCron = null;
+
 	constructor (data) {
 		super();
 
@@ -19,6 +102,13 @@ module.exports = class Filter extends require("./template.js") {
 		 */
 		this.User_Alias = data.User_Alias;
 
+		/**
+		 * Name of the user group the filter targets, mutually exclusive with `User_Alias`.
+		 * Only applicable to Blacklist, Whitelist, Cooldown, Flags and Quota filters.
+		 * @type {string|null}
+		 */
+		this.User_Group = data.User_Group ?? null;
+
 		/**
 		 * Unique numeric channel identifier
 		 * @type {sb.Channel.ID|null}
@@ -43,6 +133,12 @@ module.exports = class Filter extends require("./template.js") {
 		 */
 		this.Invocation = data.Invocation;
 
+		/**
+		 * Specific subcommand name of the filtered command
+		 * @type {string|null}
+		 */
+		this.Subcommand = data.Subcommand ?? null;
+
 		/**
 		 * Filter type.
 		 * Blacklist disallows the usage for given combination of User_Alias/Channel/Command.
@@ -53,8 +149,8 @@ module.exports = class Filter extends require("./template.js") {
 		this.Type = data.Type;
 
 		/**
-		 * Specific filter data, usually only applicable to Cooldown and Arguments filter types.
-		 * @type {CooldownFilterData|ArgumentsFilterData}
+		 * Specific filter data, usually only applicable to Cooldown, Arguments and Quota filter types.
+		 * @type {CooldownFilterData|ArgumentsFilterData|QuotaFilterData}
 		 */
 		this.Data = null;
 		this.createFilterData(data);
@@ -83,34 +179,68 @@ module.exports = class Filter extends require("./template.js") {
 		 */
 		this.Active = data.Active;
 
+		/**
+		 * If set, the filter is not enforced until this date.
+		 * @type {sb.Date|null}
+		 */
+		this.Starts = (data.Starts) ? new sb.Date(data.Starts) : null;
+
+		/**
+		 * If set, the filter is no longer enforced from this date on, and is deactivated automatically.
+		 * @type {sb.Date|null}
+		 */
+		this.Expires = (data.Expires) ? new sb.Date(data.Expires) : null;
+
 		/**
 		 * Unique numeric user identifier of the person who created the filter.
 		 * @type {sb.User.ID|null}
 		 */
 		this.Issued_By = data.Issued_By;
+
+		if (this.User_Group !== null && (this.User_Alias !== null || !userGroupTypes.includes(this.Type))) {
+			console.warn("Invalid filter user group - ignoring", {
+				filter: this.ID,
+				type: this.Type,
+				group: this.User_Group
+			});
+
+			this.User_Group = null;
+		}
+	}
+
+	/**
+	 * Determines whether the filter applies to the provided user - either directly, via their group, or because
+	 * the filter applies to everyone.
+	 * User groups must be loaded via {@link Filter.loadUserGroups} beforehand, otherwise only the groups from the
+	 * membership table are considered.
+	 * @param {sb.User|null} userData
+	 * @returns {boolean}
+	 */
+	appliesToUser (userData) {
+		if (this.User_Alias === null) {
+			return (this.User_Group === null || Filter.getUserGroups(userData).has(this.User_Group));
+		}
+
+		return (this.User_Alias === (userData?.ID ?? null));
 	}
 
 	/**
 	 * For custom-data-related Filters, this method applies filter data to the provided data object.
-	 * @param {Array|number} data
-	 * @returns {*} Returned type depends on filter type - Args {boolean} or Cooldown {number}
+	 * Arguments filters accept either the argument array, or an object with the arguments and parsed parameters.
+	 * @param {Array|{ args: string[], params?: Object }|number} data
+	 * @returns {*} Returned type depends on filter type - Args {boolean} or Cooldown and cooldown Schedule {number}
 	 */
 	applyData (data) {
-		if (this.Type === "Arguments" && Array.isArray(data)) {
-			for (const item of this.#filterData) {
-				const { index, range, regex, string } = item;
-				for (let i = 0; i < data.length; i++) {
-					const positionCheck = (i === index || (range[0] <= i && i <= range[1]));
-					const valueCheck = ((string && data[i] === string) || (regex && regex.test(data[i])));
-					if (positionCheck && valueCheck) {
-						return true;
-					}
-				}
-			}
+		if (this.Type === "Arguments" && (Array.isArray(data) || Array.isArray(data?.args))) {
+			const args = (Array.isArray(data)) ? data : data.args;
+			const params = (Array.isArray(data)) ? {} : (data.params ?? {});
 
-			return false;
+			return (this.#filterData ?? []).some(item => Filter.#matchArgumentItem(item, args, params));
 		}
-		else if (this.Type === "Cooldown" && (data === null || typeof data === "number")) {
+		else if (
+			(this.Type === "Cooldown" || this.scheduleMode === "cooldown")
+			&& (data === null || typeof data === "number")
+		) {
 			const value = data ?? 0; // `null` cooldowns are treated as zero
 			const { multiplier, override, respect } = this.#filterData;
 
@@ -136,6 +266,59 @@ module.exports = class Filter extends require("./template.js") {
 		});
 	}
 
+	/**
+	 * Determines whether the filter is enforced at the provided time - it must be active, already started,
+	 * and not expired yet.
+	 * @param {number} [now]
+	 * @returns {boolean}
+	 */
+	isEnforced (now = Date.now()) {
+		return Boolean(
+			this.Active
+			&& (this.Starts === null || this.Starts.valueOf() <= now)
+			&& (this.Expires === null || this.Expires.valueOf() > now)
+		);
+	}
+
+	/**
+	 * For Schedule filters, determines whether the provided time falls within one of the schedule's windows,
+	 * evaluated in the schedule's timezone.
+	 * @param {number} [now]
+	 * @returns {boolean}
+	 */
+	isWithinSchedule (now = Date.now()) {
+		if (this.scheduleMode === null) {
+			return false;
+		}
+
+		const { timezone, windows } = this.#filterData;
+		const minute = Filter.#getMinuteOfWeek(timezone, now);
+
+		// Windows are checked a week later as well, so that the ones wrapping from Saturday to Sunday also match
+		return windows.some(({ start, end }) => (
+			(start <= minute && minute < end)
+			|| (start <= minute + MINUTES_PER_WEEK && minute + MINUTES_PER_WEEK < end)
+		));
+	}
+
+	/**
+	 * For Schedule filters, determines whether the filter prevents the command from being used at the provided time.
+	 * "deny" schedules block within their windows, "allow" schedules outside of them, cooldown schedules never.
+	 * @param {number} [now]
+	 * @returns {boolean}
+	 */
+	isScheduleBlocking (now = Date.now()) {
+		const mode = this.scheduleMode;
+		if (mode === "deny") {
+			return this.isWithinSchedule(now);
+		}
+		else if (mode === "allow") {
+			return !this.isWithinSchedule(now);
+		}
+
+		return false;
+	}
+
 	get priority () {
 		let priority = 0;
 		if (this.Platform) {
@@ -147,18 +330,56 @@ module.exports = class Filter extends require("./template.js") {
 		if (this.Command) {
 			priority |= 0b0000_0100;
 		}
-		if (this.Invocation) {
+		if (this.Invocation || this.Subcommand) {
 			priority |= 0b0000_1000;
 		}
-		if (this.User_Alias) {
+		if (this.User_Group) {
 			priority |= 0b0001_0000;
 		}
+		if (this.User_Alias) {
+			priority |= 0b0010_0000;
+		}
 
 		return priority;
 	}
 
+	/**
+	 * Problems found while parsing the filter's `Data`. If there are any, the data is not applied at all.
+	 * @returns {string[]}
+	 */
+	get dataErrors () {
+		return [...this.#dataErrors];
+	}
+
+	/**
+	 * For valid Schedule filters, determines how the schedule is applied - otherwise `null`.
+	 * @returns {"allow"|"deny"|"cooldown"|null}
+	 */
+	get scheduleMode () {
+		if (this.Type !== "Schedule") {
+			return null;
+		}
+
+		return this.#filterData?.mode ?? null;
+	}
+
+	/**
+	 * For Quota filters, returns the parsed quota. Returns `null` for all other filter types, or invalid quota data.
+	 * @returns {Quota|null}
+	 */
+	get quota () {
+		return (this.Type === "Quota") ? this.#filterData : null;
+	}
+
 	createFilterData (data) {
-		if (data.Data) {
+		// Parsed from scratch every time, so that data from before a change never applies afterwards
+		this.#dataErrors = [];
+		this.#filterData = null;
+
+		if (data.Data === null) {
+			this.Data = null;
+		}
+		else if (data.Data) {
 			if (typeof data.Data === "string") {
 				try {
 					this.Data = JSON.parse(data.Data);
@@ -188,106 +409,238 @@ module.exports = class Filter extends require("./template.js") {
 			if (this.Type === "Arguments") {
 				this.#filterData = [];
 
-				if (!this.Data.args) {
-					console.warn("Invalid Args filter - missing args object");
+				const errors = [];
+				const warnings = [];
+				if (!Array.isArray(this.Data.args) || this.Data.args.length === 0) {
+					errors.push("Data must contain a non-empty args array");
 				}
 				else {
-					for (const arg of this.Data.args) {
-						const obj = {};
-						if (arg.regex) {
-							if (arg.regex instanceof RegExp) {
-								obj.regex = arg.regex;
-							}
-							else if (Array.isArray(arg.regex) && arg.regex.every(i => typeof i === "string")) {
-								obj.regex = new RegExp(arg.regex[0], arg.regex[1] ?? "");
-							}
-							else if (typeof arg.regex === "string") {
-								const string = arg.regex.replace(/^\/|\/$/g, "");
-								const lastSlashIndex = string.lastIndexOf("/");
-
-								const regexBody = (lastSlashIndex !== -1) ? string.slice(0, lastSlashIndex) : string;
-								const flags = (lastSlashIndex !== -1) ? string.slice(lastSlashIndex + 1) : "";
-
-								try {
-									obj.regex = new RegExp(regexBody, flags);
-								}
-								catch (e) {
-									console.warn("Invalid string regex representation", e);
-									continue;
-								}
-							}
-						}
-						else if (arg.string) {
-							obj.string = arg.string;
-						}
-						else {
-							console.warn("Invalid filter Args item - type", { arg, filter: this.ID });
-							continue;
-						}
-
-						if (typeof arg.index === "number") {
-							obj.index = arg.index;
-							obj.range = [];
-						}
-						else if (Array.isArray(arg.range) && arg.range.every(i => typeof i === "number")) {
-							obj.range = [...arg.range].slice(0, 2);
-						}
-						else if (typeof arg.range === "string") {
-							obj.range = arg.range.split("..").map(Number).slice(0, 2);
+					for (const [index, arg] of this.Data.args.entries()) {
+						const { item, warnings: itemWarnings = [], error } = Filter.#parseArgumentItem(arg);
+						if (error) {
+							errors.push(`Item ${index}: ${error}`);
 						}
 						else {
-							console.warn("Invalid filter Args item - index", { arg, filter: this.ID });
-							continue;
+							this.#filterData.push(item);
+							warnings.push(...itemWarnings.map(i => `Item ${index}: ${i}`));
 						}
+					}
+				}
 
-						// Infinity is allowed specifically because it matches the <x, ..> range identifier
-						const allowed = obj.range.every(i => sb.Utils.isValidInteger(i) || i === Infinity);
-						if (!allowed) {
-							console.warn("Invalid numbers provided for filter Args range", { arg, filter: this.ID });
-							continue;
-						}
+				if (warnings.length !== 0) {
+					console.warn("Arguments filter uses ambiguous legacy items - should be migrated", {
+						warnings,
+						filter: this.ID
+					});
+				}
 
-						this.#filterData.push(obj);
-					}
+				// Malformed definitions are rejected as a whole, so that a filter never applies only partially
+				if (errors.length !== 0) {
+					this.#filterData = [];
+					this.#dataErrors.push(...errors);
+					console.warn("Invalid Arguments filter - definition rejected", { errors, filter: this.ID });
 				}
 			}
 			else if (this.Type === "Cooldown") {
 				const { multiplier, override } = this.Data;
 				if (typeof multiplier !== "number" && typeof override !== "number") {
+					this.#dataErrors.push("Cooldown filter is missing multiplier/override");
 					console.warn("Invalid Cooldown filter - missing multiplier/override");
 				}
 				else if (typeof multiplier === "number" && typeof override === "number") {
+					this.#dataErrors.push("Cooldown filter cannot use both multiplier and override");
 					console.warn("Invalid Cooldown filter - using both multiplier and override");
 				}
 				else {
 					this.#filterData = { ...this.Data };
 				}
 			}
+			else if (this.Type === "Quota" && !sb.QuotaManager) {
+				this.#dataErrors.push("Quota filters require sb.QuotaManager, which is not available");
+				console.warn("Quota filter ignored - sb.QuotaManager is not available", { filter: this.ID });
+			}
+			else if (this.Type === "Quota") {
+				const { quota, error } = sb.QuotaManager.parseDefinition(this.Data, `filter-${this.ID}`);
+				if (error) {
+					this.#dataErrors.push(error);
+					console.warn("Invalid Quota filter", { error, filter: this.ID });
+				}
+				else {
+					this.#filterData = quota;
+				}
+			}
+		}
+		else if (dataRequiredTypes.includes(this.Type)) {
+			this.#dataErrors.push(`${this.Type} filter is missing Data`);
+			console.warn(`Invalid ${this.Type} filter - missing Data`, { filter: this.ID });
+		}
+
+		if (this.Type === "Schedule") {
+			this.#filterData = null;
+
+			const { schedule, error } = Filter.#parseSchedule(this.Data);
+			if (error) {
+				this.#dataErrors.push(error);
+				console.warn("Invalid Schedule filter", { error, filter: this.ID });
+			}
+			else {
+				this.#filterData = schedule;
+			}
+		}
+	}
+
+	/**
+	 * Flips the filter's active status.
+	 * @param {FilterChangeOptions} [options]
+	 * @returns {Promise<boolean>}
+	 */
+	async toggle (options = {}) {
+		return await this.setActive(!this.Active, options);
+	}
+
+	/**
+	 * Activates or deactivates the filter, and records the change in the filter history.
+	 * @param {boolean} active
+	 * @param {FilterChangeOptions} [options]
+	 * @returns {Promise<boolean>} False if the filter already had the provided status
+	 */
+	async setActive (active, options = {}) {
+		if (typeof active !== "boolean") {
+			throw new sb.Error({
+				message: "Filter active status must be a boolean",
+				args: { type: typeof active }
+			});
+		}
+		else if (this.Active === active) {
+			return false;
+		}
+
+		await this.#saveChanges({ Active: active }, [{
+			Action: (active) ? "Activate" : "Deactivate",
+			Property: "Active",
+			Old_Value: !active,
+			New_Value: active
+		}], options);
+
+		return true;
+	}
+
+	/**
+	 * Edits the filter's Data, Response or Reason, and records each changed property in the filter history.
+	 * @param {{ Data?: Object|null, Response?: "None"|"Auto"|"Reason", Reason?: string|null }} changes
+	 * @param {FilterChangeOptions} [options]
+	 * @returns {Promise<string[]>} Names of the properties that were actually changed
+	 */
+	async update (changes, options = {}) {
+		const properties = Object.keys(changes ?? {});
+		const invalid = properties.filter(i => !editableProperties.includes(i));
+		if (properties.length === 0 || invalid.length !== 0) {
+			throw new sb.Error({
+				message: `Only these filter properties can be updated: ${editableProperties.join(", ")}`,
+				args: { invalid }
+			});
+		}
+		else if (typeof changes.Response !== "undefined" && !responseTypes.includes(changes.Response)) {
+			throw new sb.Error({
+				message: `Filter response must be one of: ${responseTypes.join(", ")}`,
+				args: { response: changes.Response }
+			});
+		}
+		else if (typeof changes.Reason !== "undefined" && changes.Reason !== null && typeof changes.Reason !== "string") {
+			throw new sb.Error({
+				message: "Invalid reason type",
+				args: { type: typeof changes.Reason }
+			});
+		}
+
+		if (typeof changes.Data !== "undefined") {
+			// Validated on a throwaway instance first, so that invalid data is never persisted
+			const probe = new Filter({ ...this, Data: changes.Data });
+			if (probe.dataErrors.length !== 0) {
+				throw new sb.Error({
+					message: "Invalid filter data provided",
+					args: {
+						type: this.Type,
+						errors: probe.dataErrors
+					}
+				});
+			}
+		}
+
+		const values = {};
+		const entries = [];
+		for (const property of properties) {
+			const oldValue = this[property] ?? null;
+			const newValue = changes[property] ?? null;
+			if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+				continue;
+			}
+
+			values[property] = newValue;
+			entries.push({
+				Action: "Update",
+				Property: property,
+				Old_Value: oldValue,
+				New_Value: newValue
+			});
+		}
+
+		if (entries.length !== 0) {
+			await this.#saveChanges(values, entries, options);
 		}
+
+		return entries.map(i => i.Property);
 	}
 
-	async toggle () {
-		this.Active = !this.Active;
+	/**
+	 * Saves changed values of the filter along with their history entries, in one transaction - so that either all
+	 * of them are saved, or none. The filter itself is only changed once the transaction has been committed.
+	 * @param {Object} values Changed properties and their new values - none of them may be indexed
+	 * @param {{ Action: FilterHistoryAction, Property: string|null, Old_Value: *, New_Value: * }[]} entries
+	 * @param {FilterChangeOptions} options
+	 * @returns {Promise<void>}
+	 */
+	async #saveChanges (values, entries, options) {
 		const row = await sb.Query.getRow("chat_data", "Filter");
 		await row.load(this.ID);
-		row.values.Active = this.Active;
-		await row.save();
+
+		for (const [property, value] of Object.entries(values)) {
+			row.values[property] = (value?.constructor === Object) ? JSON.stringify(value) : value;
+		}
+
+		const transaction = await sb.Query.getTransaction();
+		try {
+			await row.save({ transaction });
+			await Filter.#recordHistory(this, entries, { ...options, transaction });
+			await transaction.commit();
+		}
+		catch (e) {
+			await transaction.rollback();
+			throw e;
+		}
+		finally {
+			await transaction.end();
+		}
+
+		Object.assign(this, values);
+		if (typeof values.Data !== "undefined") {
+			this.createFilterData({ Data: this.Data });
+		}
 	}
 
 	/**
 	 * Changes the reason and response fields of a Filter accordingly.
 	 * @param {string|null} reason Changes the reason of the filter and the type to "Reason" if set to string.
 	 * Unsets the response (NULL) and sets the type to "Auto"
+	 * @param {FilterChangeOptions} [options]
 	 * @returns {Promise<void>}
 	 */
-	async setReason (reason) {
+	async setReason (reason, options = {}) {
 		if (typeof reason === "string") {
-			this.Reason = reason;
-			this.Response = "Reason";
+			await this.update({ Reason: reason, Response: "Reason" }, options);
 		}
 		else if (reason === null) {
-			this.Reason = null;
-			this.Response = "Auto";
+			await this.update({ Reason: null, Response: "Auto" }, options);
 		}
 		else {
 			throw new sb.Error({
@@ -297,14 +650,6 @@ module.exports = class Filter extends require("./template.js") {
 				}
 			});
 		}
-
-		const row = await sb.Query.getRow("chat_data", "Filter");
-		await row.load(this.ID);
-
-		row.values.Reason = this.Reason;
-		row.values.Response = this.Response;
-
-		await row.save();
 	}
 
 	async serialize () {
@@ -326,8 +671,29 @@ module.exports = class Filter extends require("./template.js") {
 		await super.saveRowProperty(row, property, value, this);
 
 		if (property === "Data") {
-			this.createFilterData(this.Data);
+			this.createFilterData({ Data: this.Data });
 		}
+		else if (indexedProperties.includes(property) && Filter.#indexedData === Filter.data) {
+			Filter.#removeFromIndex(this);
+			Filter.#addToIndex(this, this.#indexSequence);
+		}
+	}
+
+	/** @override */
+	static async initialize () {
+		await Filter.loadData();
+
+		Filter.expirationCron = new sb.Cron({
+			Name: "filter-expiration",
+			Expression: sb.Config.get("FILTER_EXPIRATION_CRON", false) ?? "0 * * * * *",
+			Code: async () => {
+				Filter.pruneUserGroupCache();
+				await Filter.deactivateExpired();
+			}
+		});
+		Filter.expirationCron.start();
+
+		return Filter;
 	}
 
 	static async loadData () {
@@ -337,115 +703,609 @@ module.exports = class Filter extends require("./template.js") {
 		);
 
 		Filter.data = data.map(record => new Filter(record));
+		Filter.#rebuildIndex();
+
+		Filter.#userGroupMembers.clear();
+		Filter.#userGroupCache.clear();
+		Filter.#historyTablePresent = null;
+
+		const membershipTableExists = await sb.Query.isTablePresent("chat_data", "User_Group_Member");
+		if (membershipTableExists) {
+			const members = await sb.Query.getRecordset(rs => rs
+				.select("User_Group", "User_Alias")
+				.from("chat_data", "User_Group_Member")
+			);
+
+			for (const { User_Group: group, User_Alias: userID } of members) {
+				if (!Filter.#userGroupMembers.has(group)) {
+					Filter.#userGroupMembers.set(group, new Set());
+				}
+
+				Filter.#userGroupMembers.get(group).add(userID);
+			}
+		}
 	}
 
-	static get (identifier) {
-		if (identifier instanceof Filter) {
-			return identifier;
+	/**
+	 * Registers a user group, which filters can target via their `User_Group` property.
+	 * Groups without a resolver can still be used, with members taken from the membership table.
+	 * @param {string} name
+	 * @param {UserGroupResolver|{ dataProperty: string }} resolver Determines whether a user is a member of the
+	 * group - or, as a shorthand, the name of a user data property that is truthy for its members
+	 */
+	static registerUserGroup (name, resolver) {
+		if (typeof name !== "string" || name.length === 0) {
+			throw new sb.Error({
+				message: "User group name must be a non-empty string",
+				args: { name }
+			});
 		}
-		else if (typeof identifier === "number") {
-			return Filter.data.find(i => i.ID === identifier);
+
+		let callback = resolver;
+		if (typeof resolver?.dataProperty === "string") {
+			const { dataProperty } = resolver;
+			callback = async (userData) => Boolean(await userData.getDataProperty(dataProperty));
 		}
-		else {
+		else if (typeof resolver !== "function") {
 			throw new sb.Error({
-				message: "Unrecognized filter identifier type",
-				args: typeof identifier
+				message: "User group resolver must be a function or a data property descriptor",
+				args: { name }
 			});
 		}
-	}
 
-	static getLocals (type, options) {
-		return Filter.data.filter(row => (
-			row.Active
-			&& (!type || type === row.Type)
-			&& (options.skipUserCheck || (row.User_Alias === (options.user?.ID ?? null) || row.User_Alias === null))
-			&& (row.Channel === (options.channel?.ID ?? null) || row.Channel === null)
-			&& (row.Invocation === (options.invocation ?? null) || row.Invocation === null)
-			&& (row.Platform === (options.platform?.ID ?? null) || row.Platform === null)
-			&& (
-				(typeof options.command === "string" && row.Command === options.command)
-				|| (row.Command === (options.command?.Name ?? null)
-					|| row.Command === null)
-			)
-		));
+		Filter.#userGroupResolvers.set(name, callback);
+		Filter.#userGroupCache.clear();
 	}
 
 	/**
-	 * Executes all possible filters for the incoming combination of parameters
-	 * @param options
-	 * @returns {Promise<Object>}
+	 * Resolves and caches the groups of the provided user, so that synchronous filter lookups can use them.
+	 * @param {sb.User|null} userData
+	 * @returns {Promise<Set<string>>}
 	 */
-	static async execute (options) {
-		const { command, targetUser, user } = options;
-		if (user instanceof sb.User && await user.getDataProperty("administrator")) {
-			return { success: true };
+	static async loadUserGroups (userData) {
+		if (!userData) {
+			return new Set();
 		}
 
-		let userTo = null;
-		const channel = options.channel ?? Symbol("private-message");
-		const localFilters = Filter.getLocals(null, {
-			...options,
-			skipUserCheck: true
-		});
+		const cached = Filter.#userGroupCache.get(userData.ID);
+		if (cached && cached.expires > Date.now()) {
+			return Filter.getUserGroups(userData);
+		}
 
-		if (command.Flags.whitelist) {
-			const whitelist = localFilters.find((
-				i => i.Type === "Whitelist"
-				&& (i.User_Alias === user.ID || i.User_Alias === null)
-			));
+		const groups = new Set();
+		for (const [name, resolver] of Filter.#userGroupResolvers) {
+			// A failing resolver must not break command execution - the user is then not considered a member
+			let isMember;
+			try {
+				isMember = await resolver(userData);
+			}
+			catch (e) {
+				console.warn("Filter user group resolver failed - user is not considered a member", {
+					group: name,
+					user: userData.ID,
+					error: e.message
+				});
+			}
 
-			if (!whitelist) {
-				return {
-					success: false,
-					reason: "whitelist",
-					filter: { Reason: "Reply" },
-					reply: command.Whitelist_Response ?? "You can't use this command as it is whitelisted!"
-				};
+			if (isMember) {
+				groups.add(name);
 			}
 		}
 
-		const argumentFilter = localFilters.find(i => i.Type === "Arguments" && i.applyData(options.args));
-		if (argumentFilter) {
-			const targetType = (argumentFilter.Invocation) ? "command invocation" : "command";
-			const targetAmount = (argumentFilter.Command) ? "this" : "any";
+		const cacheExpiration = sb.Config.get("FILTER_USER_GROUP_CACHE_EXPIRATION", false) ?? 60_000;
+		Filter.#userGroupCache.set(userData.ID, {
+			groups,
+			expires: Date.now() + cacheExpiration
+		});
 
-			return {
+		return Filter.getUserGroups(userData);
+	}
+
+	/**
+	 * Synchronously fetches the groups of the provided user - from the membership table, and from the cached
+	 * results of group resolvers, see {@link Filter.loadUserGroups}.
+	 * @param {sb.User|null} userData
+	 * @returns {Set<string>}
+	 */
+	static getUserGroups (userData) {
+		const groups = new Set();
+		if (!userData) {
+			return groups;
+		}
+
+		for (const [group, members] of Filter.#userGroupMembers) {
+			if (members.has(userData.ID)) {
+				groups.add(group);
+			}
+		}
+
+		const cached = Filter.#userGroupCache.get(userData.ID);
+		if (cached && cached.expires > Date.now()) {
+			for (const group of cached.groups) {
+				groups.add(group);
+			}
+		}
+
+		return groups;
+	}
+
+	/**
+	 * Removes expired user group cache entries - runs along with the expiration cron.
+	 */
+	static pruneUserGroupCache () {
+		const now = Date.now();
+		for (const [userID, cached] of Filter.#userGroupCache) {
+			if (cached.expires <= now) {
+				Filter.#userGroupCache.delete(userID);
+			}
+		}
+	}
+
+	/**
+	 * Deactivates all active filters that have expired, persists the change, and emits the `expire` event for each.
+	 * Expired filters are not enforced even before this runs - this only makes the deactivation permanent.
+	 * @returns {Promise<Filter[]>} The deactivated filters
+	 */
+	static async deactivateExpired () {
+		const now = Date.now();
+		const expired = Filter.data.filter(i => i.Active && i.Expires !== null && i.Expires.valueOf() <= now);
+
+		for (const filter of expired) {
+			await filter.setActive(false, { issuedBy: null });
+			Filter.events.emit("expire", filter);
+		}
+
+		return expired;
+	}
+
+	static get (identifier) {
+		if (identifier instanceof Filter) {
+			return identifier;
+		}
+		else if (typeof identifier === "number") {
+			return Filter.data.find(i => i.ID === identifier);
+		}
+		else {
+			throw new sb.Error({
+				message: "Unrecognized filter identifier type",
+				args: typeof identifier
+			});
+		}
+	}
+
+	/**
+	 * Parses and validates the Schedule filter data. Window boundaries are converted to minutes since
+	 * the start of the week (Sunday 00:00), and windows that end before they start continue over midnight.
+	 * @param {ScheduleFilterData|null} data
+	 * @returns {{ schedule?: Object, error: string|null }}
+	 */
+	static #parseSchedule (data) {
+		if (!data || data.constructor !== Object) {
+			return { error: "Schedule filter Data must be an object" };
+		}
+
+		const { timezone = "UTC", windows, multiplier, override, respect } = data;
+		if (typeof timezone !== "string") {
+			return { error: "Schedule timezone must be a string" };
+		}
+
+		try {
+			Filter.#getScheduleFormatter(timezone);
+		}
+		catch {
+			return { error: `Schedule timezone "${timezone}" is not supported` };
+		}
+
+		const isCooldown = (typeof multiplier !== "undefined" || typeof override !== "undefined");
+		if (isCooldown && typeof data.mode !== "undefined") {
+			return { error: "Schedule cannot use both mode and cooldown modifiers" };
+		}
+		else if (isCooldown && (typeof multiplier === "number") === (typeof override === "number")) {
+			return { error: "Schedule cooldown modifier must be exactly one of multiplier or override" };
+		}
+
+		const mode = (isCooldown) ? "cooldown" : (data.mode ?? "deny");
+		if (!["allow", "deny", "cooldown"].includes(mode)) {
+			return { error: "Schedule mode must be one of: allow, deny" };
+		}
+		else if (!Array.isArray(windows) || windows.length === 0) {
+			return { error: "Schedule must have a non-empty windows array" };
+		}
+
+		const parsedWindows = [];
+		for (const [index, window] of windows.entries()) {
+			if (!window || window.constructor !== Object) {
+				return { error: `Schedule window ${index} must be an object` };
+			}
+
+			const start = Filter.#parseScheduleTime(window.start);
+			const end = Filter.#parseScheduleTime(window.end);
+			if (start === null || end === null || start === MINUTES_PER_DAY || start === end) {
+				return { error: `Schedule window ${index} must have different start and end times in HH:MM format` };
+			}
+
+			const days = window.days ?? weekdays;
+			if (!Array.isArray(days) || days.length === 0) {
+				return { error: `Schedule window ${index} days must be a non-empty array` };
+			}
+
+			for (const day of days) {
+				const dayIndex = (typeof day === "string")
+					? weekdays.indexOf(day.slice(0, 3).toLowerCase())
+					: day;
+
+				if (!Number.isInteger(dayIndex) || dayIndex < 0 || dayIndex > 6) {
+					return { error: `Schedule window ${index} has an invalid day "${day}"` };
+				}
+
+				const dayStart = dayIndex * MINUTES_PER_DAY;
+				parsedWindows.push({
+					start: dayStart + start,
+					end: dayStart + end + ((end < start) ? MINUTES_PER_DAY : 0)
+				});
+			}
+		}
+
+		return {
+			error: null,
+			schedule: {
+				timezone,
+				mode,
+				windows: parsedWindows,
+				multiplier,
+				override,
+				respect
+			}
+		};
+	}
+
+	/**
+	 * @param {*} time "HH:MM" string, "24:00" is allowed as the end of a day
+	 * @returns {number|null} Minutes since midnight
+	 */
+	static #parseScheduleTime (time) {
+		const match = (typeof time === "string") ? time.match(scheduleTimeRegex) : null;
+		if (!match) {
+			return null;
+		}
+
+		const hours = Number(match[1]);
+		const minutes = Number(match[2]);
+		if (minutes > 59 || hours > 24 || (hours === 24 && minutes !== 0)) {
+			return null;
+		}
+
+		return hours * 60 + minutes;
+	}
+
+	static #getScheduleFormatter (timezone) {
+		if (!scheduleFormatters.has(timezone)) {
+			scheduleFormatters.set(timezone, new Intl.DateTimeFormat("en-US", {
+				timeZone: timezone,
+				weekday: "short",
+				hour: "2-digit",
+				minute: "2-digit",
+				hourCycle: "h23"
+			}));
+		}
+
+		return scheduleFormatters.get(timezone);
+	}
+
+	/**
+	 * @param {string} timezone
+	 * @param {number} timestamp
+	 * @returns {number} Minutes since the start of the week (Sunday 00:00) in the provided timezone
+	 */
+	static #getMinuteOfWeek (timezone, timestamp) {
+		const parts = Filter.#getScheduleFormatter(timezone).formatToParts(timestamp);
+		const values = Object.fromEntries(parts.map(i => [i.type, i.value]));
+
+		const day = weekdays.indexOf(values.weekday.toLowerCase());
+		return day * MINUTES_PER_DAY + Number(values.hour) * 60 + Number(values.minute);
+	}
+
+	/**
+	 * Resolves the users targeted by a command invocation - all of `targetUsers`, or the legacy single `targetUser`.
+	 * Identifiers that do not belong to any user are skipped, and each user is only returned once.
+	 * @param {Object} options
+	 * @param {string[]} [options.targetUsers]
+	 * @param {string|null} [options.targetUser]
+	 * @returns {Promise<sb.User[]>}
+	 */
+	static async #resolveTargetUsers (options) {
+		let identifiers = [];
+		if (Array.isArray(options.targetUsers)) {
+			identifiers = options.targetUsers;
+		}
+		else if (options.targetUser) {
+			identifiers = [options.targetUser];
+		}
+
+		const result = new Map();
+		for (const identifier of identifiers) {
+			const userData = await sb.User.get(identifier);
+			if (userData && !result.has(userData.ID)) {
+				result.set(userData.ID, userData);
+			}
+		}
+
+		return [...result.values()];
+	}
+
+	/**
+	 * Parses and validates one item of the Arguments filter definition.
+	 * @param {ArgumentsFilterItem} definition
+	 * @returns {{ item?: Object, error: string|null, warnings?: string[] }}
+	 */
+	static #parseArgumentItem (definition) {
+		if (!definition || definition.constructor !== Object) {
+			return { error: "must be an object" };
+		}
+
+		// Legacy items could contain both an index and a range, or both a string and a regex. The index and the regex
+		// used to take precedence, and still do - so that existing filters keep blocking the same arguments.
+		const arg = { ...definition };
+		const warnings = [];
+		if (typeof arg.index === "number" && typeof arg.range !== "undefined") {
+			delete arg.range;
+			warnings.push("both index and range are set - range is ignored");
+		}
+		if (arg.regex && typeof arg.string !== "undefined") {
+			delete arg.string;
+			warnings.push("both string and regex are set - string is ignored");
+		}
+
+		const targets = ["index", "range", "param", "full"].filter(i => typeof arg[i] !== "undefined");
+		if (targets.length !== 1) {
+			return { error: "must have exactly one of index, range, param or full" };
+		}
+		else if ((typeof arg.string === "undefined") === (typeof arg.regex === "undefined")) {
+			return { error: "must have exactly one of string or regex" };
+		}
+
+		for (const option of ["ignoreCase", "negate"]) {
+			if (typeof arg[option] !== "undefined" && typeof arg[option] !== "boolean") {
+				return { error: `${option} must be a boolean` };
+			}
+		}
+
+		const item = {
+			target: targets[0],
+			index: null,
+			range: null,
+			param: null,
+			string: null,
+			regex: null,
+			ignoreCase: Boolean(arg.ignoreCase),
+			negate: Boolean(arg.negate)
+		};
+
+		if (item.target === "index") {
+			if (!sb.Utils.isValidInteger(arg.index)) {
+				return { error: "index must be a non-negative integer" };
+			}
+
+			item.index = arg.index;
+		}
+		else if (item.target === "range") {
+			let range;
+			if (Array.isArray(arg.range) && arg.range.length === 2) {
+				range = [...arg.range];
+			}
+			else if (typeof arg.range === "string" && arg.range.includes("..")) {
+				// The end of the range can be omitted ("2..") - it then matches all following arguments
+				range = arg.range.split("..").map(i => (i === "") ? Infinity : Number(i));
+			}
+
+			// Infinity is allowed specifically because it matches the <x, ..> range identifier
+			const valid = Array.isArray(range) && range.length === 2
+				&& range.every(i => sb.Utils.isValidInteger(i) || i === Infinity)
+				&& range[0] <= range[1];
+
+			if (!valid) {
+				return { error: "range must be a pair of non-negative integers, or a \"start..end\" string" };
+			}
+
+			item.range = range;
+		}
+		else if (item.target === "param") {
+			if (typeof arg.param !== "string" || arg.param.length === 0) {
+				return { error: "param must be a non-empty string" };
+			}
+
+			item.param = arg.param;
+		}
+		else if (arg.full !== true) {
+			return { error: "full must be true, if provided" };
+		}
+
+		if (typeof arg.string !== "undefined") {
+			if (typeof arg.string !== "string") {
+				return { error: "string must be a string" };
+			}
+
+			item.string = (item.ignoreCase) ? arg.string.toLowerCase() : arg.string;
+			return { item, error: null, warnings };
+		}
+
+		let body;
+		let flags;
+		if (arg.regex instanceof RegExp) {
+			body = arg.regex.source;
+			flags = arg.regex.flags;
+		}
+		else if (Array.isArray(arg.regex) && arg.regex.length <= 2 && arg.regex.every(i => typeof i === "string")) {
+			body = arg.regex[0];
+			flags = arg.regex[1] ?? "";
+		}
+		else if (typeof arg.regex === "string") {
+			const string = arg.regex.replace(/^\/|\/$/g, "");
+			const lastSlashIndex = string.lastIndexOf("/");
+
+			body = (lastSlashIndex !== -1) ? string.slice(0, lastSlashIndex) : string;
+			flags = (lastSlashIndex !== -1) ? string.slice(lastSlashIndex + 1) : "";
+		}
+		else {
+			return { error: "regex must be a RegExp, a [body, flags] array or a \"/body/flags\" string" };
+		}
+
+		// Global and sticky regexes keep state between tests, which would make the matching unreliable
+		flags = flags.replace(/[gy]/g, "");
+		if (item.ignoreCase && !flags.includes("i")) {
+			flags += "i";
+		}
+
+		try {
+			item.regex = new RegExp(body, flags);
+		}
+		catch (e) {
+			return { error: `regex is not valid: ${e.message}` };
+		}
+
+		return { item, error: null, warnings };
+	}
+
+	/**
+	 * Determines whether one item of the Arguments filter matches the provided arguments or parameters.
+	 * Negated items match if their non-negated variant does not.
+	 * @param {Object} item
+	 * @param {string[]} args
+	 * @param {Object} params
+	 * @returns {boolean}
+	 */
+	static #matchArgumentItem (item, args, params) {
+		const test = (value) => {
+			if (item.regex) {
+				return item.regex.test(value);
+			}
+
+			return ((item.ignoreCase) ? value.toLowerCase() : value) === item.string;
+		};
+
+		let values;
+		if (item.target === "full") {
+			values = [args.join(" ")];
+		}
+		else if (item.target === "param") {
+			const value = params[item.param];
+			if (typeof value === "undefined" || value === null) {
+				values = [];
+			}
+			else if (typeof value === "object" && !(value instanceof RegExp) && !(value instanceof Date)) {
+				values = [JSON.stringify(value)];
+			}
+			else {
+				values = [String(value)];
+			}
+		}
+		else {
+			const [start, end] = (item.target === "index") ? [item.index, item.index] : item.range;
+			values = args.filter((value, index) => start <= index && index <= end);
+		}
+
+		const matched = values.some(value => test(value));
+		return (item.negate) ? !matched : matched;
+	}
+
+	static getLocals (type, options) {
+		const now = Date.now();
+		return Filter.#getIndexCandidates(type, options).filter(row => (
+			row.isEnforced(now)
+			&& (!type || type === row.Type)
+			&& (options.skipUserCheck || row.appliesToUser(options.user ?? null))
+			&& (row.Channel === (options.channel?.ID ?? null) || row.Channel === null)
+			&& (row.Invocation === (options.invocation ?? null) || row.Invocation === null)
+			&& (row.Subcommand === (options.subcommand ?? null) || row.Subcommand === null)
+			&& (row.Platform === (options.platform?.ID ?? null) || row.Platform === null)
+			&& (
+				options.anyCommand
+				|| (typeof options.command === "string" && row.Command === options.command)
+				|| (row.Command === (options.command?.Name ?? null)
+					|| row.Command === null)
+			)
+		));
+	}
+
+	/**
+	 * Executes all possible filters for the incoming combination of parameters
+	 * @param options
+	 * @returns {Promise<Object>}
+	 */
+	static async execute (options) {
+		const { command, user } = options;
+		const flags = options.flags ?? command.Flags;
+		if (user instanceof sb.User && await user.getDataProperty("administrator")) {
+			return { success: true };
+		}
+
+		await Filter.loadUserGroups(user ?? null);
+
+		const channel = options.channel ?? Symbol("private-message");
+		const translate = (key, params) => sb.Localization.translate(key, {
+			user,
+			channel: options.channel ?? null,
+			params
+		});
+
+		// Resolves the localized description of the filter's target, e.g. "this command" or "any command invocation"
+		const translateTarget = (filter, amount) => {
+			const targetType = (filter.Invocation) ? "invocation" : "command";
+			return translate(`filter.target.${amount}-${targetType}`);
+		};
+		const localFilters = Filter.getLocals(null, {
+			...options,
+			skipUserCheck: true
+		});
+
+		if (flags.whitelist) {
+			const whitelist = localFilters.find(i => i.Type === "Whitelist" && i.appliesToUser(user));
+
+			if (!whitelist) {
+				return {
+					success: false,
+					reason: "whitelist",
+					filter: { Reason: "Reply" },
+					reply: command.Whitelist_Response ?? await translate("filter.whitelist")
+				};
+			}
+		}
+
+		const argumentFilter = localFilters.find(i => i.Type === "Arguments" && i.applyData({
+			args: options.args ?? [],
+			params: options.params ?? {}
+		}));
+		if (argumentFilter) {
+			const target = await translateTarget(argumentFilter, (argumentFilter.Command) ? "this" : "any");
+
+			return {
 				success: false,
 				reason: "arguments",
 				filter: argumentFilter,
 				reply: Filter.getReason({
 					reason: argumentFilter.Reason,
 					response: argumentFilter.Response,
-					string: `You cannot use this argument on this position for ${targetAmount} ${targetType}!`
+					string: await translate("filter.arguments", { target })
 				})
 			};
 		}
 
-		if ((command.Flags.optOut || command.Flags.block) && targetUser) {
-			userTo = await sb.User.get(targetUser);
-		}
-
-		if (command.Flags.optOut && userTo) {
+		const targetUsers = (flags.optOut || flags.block) ? await Filter.#resolveTargetUsers(options) : [];
+		for (const userTo of (flags.optOut) ? targetUsers : []) {
 			const optout = localFilters.find(i => i.Type === "Opt-out"
 				&& i.User_Alias === userTo.ID
 			);
 
 			if (optout) {
-				const targetType = (optout.Invocation) ? "command invocation" : "command";
-				const targetAmount = (optout.Command) ? "this" : "every";
-
-				let string;
-				if (user.ID === optout.User_Alias) {
-					string = `🚫 You have opted out from being the target of ${targetAmount} ${targetType}! This includes yourself! 😅`;
-				}
-				else {
-					string = `🚫 That user has opted out from being the target of ${targetAmount} ${targetType}!`;
-				}
+				const target = await translateTarget(optout, (optout.Command) ? "this" : "every");
+				const key = (user.ID === optout.User_Alias) ? "filter.opt-out.self" : "filter.opt-out.other";
+				const string = await translate(key, { target });
 
 				return {
 					success: false,
 					reason: "opt-out",
 					filter: optout,
+					targetUser: userTo,
 					reply: Filter.getReason({
 						reason: optout.Reason,
 						response: optout.Response,
@@ -455,7 +1315,7 @@ module.exports = class Filter extends require("./template.js") {
 			}
 		}
 
-		if (command.Flags.block && userTo) {
+		for (const userTo of (flags.block) ? targetUsers : []) {
 			const userFrom = user;
 			const block = localFilters.find(i => (
 				i.Type === "Block"
@@ -464,156 +1324,945 @@ module.exports = class Filter extends require("./template.js") {
 			));
 
 			if (block) {
-				const targetType = (block.Invocation) ? "command invocation" : "command";
-				const targetAmount = (block.Command) ? "this" : "every";
+				const target = await translateTarget(block, (block.Command) ? "this" : "every");
 
 				return {
 					success: false,
 					reason: "block",
 					filter: block,
+					targetUser: userTo,
 					reply: Filter.getReason({
 						reason: block.Reason,
 						response: block.Response,
-						string: `🚫 That user has blocked you from being the target of ${targetAmount} ${targetType}!`
+						string: await translate("filter.block", { target })
 					})
 				};
 			}
 		}
 
-		const blacklist = localFilters.find(i => (
-			i.Type === "Blacklist"
-			&& (i.User_Alias === user.ID || i.User_Alias === null)
-		));
+		const blacklist = localFilters.find(i => i.Type === "Blacklist" && i.appliesToUser(user));
+
+		if (blacklist) {
+			let reply = null;
+			if (blacklist.Response === "Reason") {
+				reply = blacklist.Reason;
+			}
+			else if (blacklist.Response === "Auto") {
+				let key;
+				if (blacklist.Channel && blacklist.User_Alias && blacklist.Command && blacklist.Invocation) {
+					key = "user-channel-invocation";
+				}
+				else if (blacklist.Channel && blacklist.User_Alias && blacklist.Command) {
+					key = "user-channel-command";
+				}
+				else if (blacklist.Channel && blacklist.Command) {
+					key = "channel-command";
+				}
+				else if (blacklist.Channel && blacklist.User_Alias) {
+					key = "user-channel";
+				}
+				else if (blacklist.User_Alias && blacklist.Command && blacklist.Invocation) {
+					key = "user-invocation";
+				}
+				else if (blacklist.User_Alias && blacklist.Command) {
+					key = "user-command";
+				}
+				else if (blacklist.User_Alias) {
+					key = "user";
+				}
+				else if (blacklist.Command && blacklist.Invocation) {
+					key = "invocation";
+				}
+				else if (blacklist.Command) {
+					key = "command";
+				}
+				else if (blacklist.Channel) {
+					key = "channel";
+				}
+				else {
+					throw new sb.Error({
+						message: "Unrecognized filter configuration", args: blacklist
+					});
+				}
+
+				reply = await translate(`filter.blacklist.${key}`);
+			}
+
+			return {
+				success: false,
+				reason: "blacklist",
+				filter: blacklist,
+				reply
+			};
+		}
+
+		let channelLive = null;
+		if (channel instanceof sb.Channel) {
+			const streamData = await channel.getStreamData();
+			channelLive = streamData.live ?? false;
+		}
+
+		const offlineOnly = localFilters.find(i => i.Type === "Offline-only");
+		if (offlineOnly && channelLive === true) {
+			const targetType = (offlineOnly.Invocation) ? "invocation" : "command";
+			return {
+				success: false,
+				reason: "offline-only",
+				filter: offlineOnly,
+				reply: Filter.getReason({
+					reason: offlineOnly.Reason,
+					response: offlineOnly.Response,
+					string: await translate(`filter.offline-only.${targetType}`)
+				})
+			};
+		}
+
+		const onlineOnly = localFilters.find(i => i.Type === "Online-only");
+		if (onlineOnly && channelLive === false) {
+			const targetType = (onlineOnly.Invocation) ? "invocation" : "command";
+			return {
+				success: false,
+				reason: "online-only",
+				filter: onlineOnly,
+				reply: Filter.getReason({
+					reason: onlineOnly.Reason,
+					response: onlineOnly.Response,
+					string: await translate(`filter.online-only.${targetType}`)
+				})
+			};
+		}
+
+		const now = Date.now();
+		const schedule = localFilters.find(i => (
+			i.Type === "Schedule"
+			&& i.appliesToUser(user)
+			&& i.isScheduleBlocking(now)
+		));
+
+		if (schedule) {
+			const targetType = (schedule.Invocation) ? "invocation" : "command";
+			return {
+				success: false,
+				reason: "schedule",
+				filter: schedule,
+				reply: Filter.getReason({
+					reason: schedule.Reason,
+					response: schedule.Response,
+					string: await translate(`filter.schedule.${targetType}`)
+				})
+			};
+		}
+
+		return { success: true };
+	}
+
+	/**
+	 * Explains which filters apply to the provided combination of parameters, and which of them take effect.
+	 * Filters are grouped by their type, and ordered by priority (highest first) within each group.
+	 * For types where only one filter is used, the group's `winner` is that filter - for Cooldown, it is the one with
+	 * the highest priority, for other types it is the one that `Filter.execute` would pick.
+	 * Types where all filters are used (Flags, Quota, Unping, Unmention, Reminder-prevention) have no winner.
+	 * @param {Object} options Same as in {@link Filter.execute}
+	 * @param {number|null} [options.cooldown] Base cooldown to apply Cooldown filters to, defaults to the command's one
+	 * @returns {Promise<FilterExplanation>}
+	 */
+	static async explain (options) {
+		const { command, user } = options;
+		if (!command) {
+			throw new sb.Error({
+				message: "Filter explanation requires a command"
+			});
+		}
+
+		const flags = options.flags ?? command.Flags;
+		const args = options.args ?? [];
+		const matchesUser = (filter) => filter.appliesToUser(user ?? null);
+
+		await Filter.loadUserGroups(user ?? null);
+
+		const targetIDs = new Set();
+		if (flags.optOut || flags.block) {
+			for (const userTo of await Filter.#resolveTargetUsers(options)) {
+				targetIDs.add(userTo.ID);
+			}
+		}
+
+		let channelLive = null;
+		if (options.channel instanceof sb.Channel) {
+			const streamData = await options.channel.getStreamData();
+			channelLive = streamData.live ?? false;
+		}
+
+		const appliesByType = {
+			Whitelist: (i) => Boolean(flags.whitelist) && matchesUser(i),
+			Arguments: (i) => i.applyData({ args, params: options.params ?? {} }),
+			"Opt-out": (i) => Boolean(flags.optOut) && targetIDs.has(i.User_Alias),
+			Block: (i) => Boolean(flags.block) && targetIDs.has(i.User_Alias)
+				&& (i.Blocked_User === (user?.ID ?? null) || i.Blocked_User === null),
+			"Offline-only": () => (channelLive === true),
+			"Online-only": () => (channelLive === false),
+			Schedule: (i) => matchesUser(i) && (
+				(i.scheduleMode === "cooldown") ? i.isWithinSchedule() : i.isScheduleBlocking()
+			),
+			Unping: (i) => (i.Blocked_User === null || i.Blocked_User === (user?.ID ?? null)),
+			"Reminder-prevention": () => true
+		};
+
+		const localFilters = Filter.getLocals(null, {
+			...options,
+			skipUserCheck: true
+		});
+
+		/** @type {Object<FilterType, FilterExplanationGroup>} */
+		const groups = {};
+		for (const filter of localFilters) {
+			const applies = appliesByType[filter.Type] ?? matchesUser;
+			if (!applies(filter)) {
+				continue;
+			}
+
+			groups[filter.Type] ??= {
+				filters: [],
+				winner: null
+			};
+
+			groups[filter.Type].filters.push(filter);
+		}
+
+		// Same merge order as in Filter.getFlags - ascending priority, so that the highest one is applied last
+		const flagFilters = [...(groups.Flags?.filters ?? [])].sort((a, b) => a.priority - b.priority);
+		const mergedFlags = {};
+		for (const filter of flagFilters) {
+			Object.assign(mergedFlags, filter.Data);
+		}
+
+		for (const [type, group] of Object.entries(groups)) {
+			if (type === "Cooldown") {
+				group.winner = [...group.filters].sort((a, b) => b.priority - a.priority)[0];
+			}
+			else if (!Filter.#additiveTypes.includes(type)) {
+				// Filter.execute picks the first applicable filter in the order they were loaded
+				group.winner = group.filters[0];
+			}
+
+			group.filters = group.filters
+				.map(filter => ({ filter, priority: filter.priority }))
+				.sort((a, b) => b.priority - a.priority);
+		}
+
+		const baseCooldown = (typeof options.cooldown !== "undefined") ? options.cooldown : command.Cooldown;
+		// Cooldown schedules compete with Cooldown filters, so the modifier is determined the same way as for execution
+		const cooldownFilter = Filter.getCooldownModifiers(options);
+
+		const decision = await Filter.execute(options);
+		return {
+			decision: {
+				success: decision.success,
+				reason: decision.reason ?? null,
+				filter: decision.filter?.ID ?? null,
+				reply: decision.reply ?? null
+			},
+			groups,
+			cooldown: {
+				base: baseCooldown,
+				result: (cooldownFilter) ? cooldownFilter.applyData(baseCooldown) : baseCooldown,
+				filter: cooldownFilter?.ID ?? null
+			},
+			flags: {
+				result: mergedFlags,
+				filters: flagFilters.map(i => i.ID)
+			}
+		};
+	}
+
+	/**
+	 * Creates a new filter record.
+	 * @param {Object} options
+	 * @param {sb.Platform.ID} [options.Platform]
+	 * @param {sb.Channel.ID} [options.Channel]
+	 * @param {sb.Command.Name} [options.Command]
+	 * @param {sb.User.ID} [options.User_Alias]
+	 * @param {string} [options.User_Group] Mutually exclusive with `User_Alias`
+	 * @param {string} [options.Reason]
+	 * @param {string} [options.Invocation]
+	 * @param {string} [options.Subcommand]
+	 * @param {Object} [options.Data]
+	 * @param {FilterType} [options.Type]
+	 * @param {sb.User.ID} [options.Blocked_User]
+	 * @param {sb.User.ID} [options.Issued_By]
+	 * @param {sb.Date|Date|number} [options.Starts] If provided, the filter is not enforced until then
+	 * @param {sb.Date|Date|number} [options.Expires] If provided, the filter expires then
+	 * @param {string|number} [options.Duration] Duration string (e.g. "1h30m") or milliseconds, after which the
+	 * filter expires - counted from `Starts`, or from now. Mutually exclusive with `Expires`.
+	 * @param {"None"|"Auto"|"Reason"} [options.Response] Defaults to "Auto"
+	 * @param {boolean} [options.Active] Defaults to true
+	 * @returns {Promise<Filter>}
+	 */
+	static async create (options) {
+		const { data, filter } = Filter.#prepareCreation(options);
+
+		const row = await sb.Query.getRow("chat_data", "Filter");
+		row.setValues(data);
+		await row.save();
+
+		filter.ID = row.values.ID;
+		Filter.#ensureIndex();
+		Filter.data.push(filter);
+		Filter.#addToIndex(filter);
+
+		await Filter.#recordHistory(filter, [{
+			Action: "Create",
+			Property: null,
+			Old_Value: null,
+			New_Value: data
+		}], { issuedBy: data.Issued_By });
+
+		return filter;
+	}
+
+	/**
+	 * Validates the options of a new filter, and prepares its database values.
+	 * @param {Object} options Same as in {@link Filter.create}
+	 * @returns {{ data: Object, filter: Filter }} The database values, and an unsaved filter instance without an ID
+	 * @throws {sb.Error} If the options are not valid
+	 */
+	static #prepareCreation (options) {
+		const starts = (options.Starts) ? new sb.Date(options.Starts) : null;
+		let expires = (options.Expires) ? new sb.Date(options.Expires) : null;
+
+		if (typeof options.Duration !== "undefined" && options.Duration !== null) {
+			if (expires) {
+				throw new sb.Error({
+					message: "Filter cannot be created with both Duration and Expires"
+				});
+			}
+
+			const duration = (typeof options.Duration === "string")
+				? sb.Utils.parseDuration(options.Duration)
+				: options.Duration;
+
+			if (!sb.Utils.isValidInteger(duration, 1)) {
+				throw new sb.Error({
+					message: "Invalid filter duration provided",
+					args: { duration: options.Duration }
+				});
+			}
+
+			expires = new sb.Date((starts ?? new sb.Date()).valueOf() + duration);
+		}
+
+		if (starts && expires && expires.valueOf() <= starts.valueOf()) {
+			throw new sb.Error({
+				message: "Filter cannot expire before it starts",
+				args: {
+					starts: starts.valueOf(),
+					expires: expires.valueOf()
+				}
+			});
+		}
+
+		if (options.User_Group && (options.User_Alias || !userGroupTypes.includes(options.Type ?? "Blacklist"))) {
+			throw new sb.Error({
+				message: `User group filters cannot target a user, and must be one of: ${userGroupTypes.join(", ")}`,
+				args: {
+					type: options.Type ?? "Blacklist",
+					group: options.User_Group
+				}
+			});
+		}
+
+		const response = options.Response ?? "Auto";
+		if (!responseTypes.includes(response)) {
+			throw new sb.Error({
+				message: `Filter response must be one of: ${responseTypes.join(", ")}`,
+				args: { response }
+			});
+		}
+
+		const data = {
+			Platform: options.Platform ?? null,
+			Channel: options.Channel ?? null,
+			Command: options.Command ?? null,
+			User_Alias: options.User_Alias ?? null,
+			User_Group: options.User_Group ?? null,
+			Reason: options.Reason ?? null,
+			Invocation: options.Invocation ?? null,
+			Subcommand: options.Subcommand ?? null,
+			Data: options.Data ?? null,
+			Type: options.Type ?? "Blacklist",
+			Response: response,
+			Blocked_User: options.Blocked_User ?? null,
+			Active: options.Active ?? true,
+			Starts: starts,
+			Expires: expires,
+			Issued_By: options.Issued_By ?? sb.Config.get("ADMINISTRATOR_USER_ID")
+		};
+
+		const filter = new Filter({ ...data, ID: null });
+		if (filter.dataErrors.length !== 0) {
+			throw new sb.Error({
+				message: "Invalid filter data provided",
+				args: {
+					type: data.Type,
+					errors: filter.dataErrors
+				}
+			});
+		}
+
+		return { data, filter };
+	}
+
+	/**
+	 * Exports filters into a portable document - user, channel and platform IDs are replaced by their names,
+	 * so that the document can be imported by a different bot instance.
+	 * Filters referring to users, channels or platforms that no longer exist are omitted.
+	 * @param {Object} [selector]
+	 * @param {sb.Channel|number} [selector.channel]
+	 * @param {sb.Platform|number} [selector.platform]
+	 * @param {sb.User|number} [selector.user] Filters targeting this user
+	 * @param {string} [selector.command] Command name
+	 * @param {FilterType} [selector.type]
+	 * @param {boolean} [selector.includeInactive] Defaults to false
+	 * @returns {Promise<FilterExportDocument>}
+	 */
+	static async export (selector = {}) {
+		Filter.#ensureIndex();
+
+		const channelID = selector.channel?.ID ?? selector.channel ?? null;
+		const platformID = selector.platform?.ID ?? selector.platform ?? null;
+		const userID = selector.user?.ID ?? selector.user ?? null;
+		const list = Filter.data.filter(i => (
+			(selector.includeInactive || i.Active)
+			&& (channelID === null || i.Channel === channelID)
+			&& (platformID === null || i.Platform === platformID)
+			&& (userID === null || i.User_Alias === userID)
+			&& (!selector.command || i.Command === selector.command)
+			&& (!selector.type || i.Type === selector.type)
+		));
+
+		const getUserName = async (ID) => {
+			if (ID === null) {
+				return null;
+			}
+
+			const userData = await sb.User.get(ID);
+			return userData?.Name ?? undefined;
+		};
+
+		const getPlatformReference = (platform) => {
+			if (!platform) {
+				return undefined;
+			}
+
+			return {
+				Name: platform.Name,
+				Host: platform.Host ?? null
+			};
+		};
+
+		const filters = [];
+		const omitted = [];
+		for (const filter of list) {
+			let channel = null;
+			if (filter.Channel !== null) {
+				const channelData = sb.Channel.get(filter.Channel);
+				const platform = getPlatformReference(channelData?.Platform);
+
+				channel = (channelData && platform) ? { Name: channelData.Name, Platform: platform } : undefined;
+			}
+
+			const entry = {
+				Type: filter.Type,
+				Command: filter.Command,
+				Invocation: filter.Invocation,
+				Subcommand: filter.Subcommand,
+				Platform: (filter.Platform === null) ? null : getPlatformReference(sb.Platform.get(filter.Platform)),
+				Channel: channel,
+				User_Alias: await getUserName(filter.User_Alias),
+				User_Group: filter.User_Group,
+				Blocked_User: await getUserName(filter.Blocked_User),
+				Data: filter.Data,
+				Response: filter.Response,
+				Reason: filter.Reason,
+				Active: filter.Active,
+				Starts: filter.Starts?.toISOString() ?? null,
+				Expires: filter.Expires?.toISOString() ?? null,
+				Issued_By: await getUserName(filter.Issued_By ?? null) ?? null
+			};
+
+			// Unresolvable references are never exported as null - the filter would then apply to everyone
+			if (Object.values(entry).includes(undefined)) {
+				omitted.push(filter.ID);
+				continue;
+			}
+
+			filters.push(entry);
+		}
+
+		return {
+			version: exportVersion,
+			exported: new sb.Date().toISOString(),
+			filters,
+			omitted
+		};
+	}
+
+	/**
+	 * Imports filters from a document created by {@link Filter.export}. Each entry is validated the same way as
+	 * in {@link Filter.create}, and all changes are made in one transaction - if any entry is invalid, or conflicts
+	 * with an existing filter while `conflict` is "error", nothing is changed.
+	 * An entry conflicts with an existing filter if both have the same type, user, channel, platform, command,
+	 * invocation, subcommand, user group and blocked user.
+	 * @param {FilterExportDocument} document
+	 * @param {Object} [options]
+	 * @param {boolean} [options.dryRun] If true, only reports what would be changed
+	 * @param {"skip"|"update"|"error"} [options.conflict] How to handle conflicts - defaults to "skip".
+	 * Updating changes the existing filter's Data, Response, Reason, Active, Starts and Expires.
+	 * @param {sb.User|number|null} [options.issuedBy] Author of the changes, also used for entries whose
+	 * author cannot be resolved
+	 * @returns {Promise<FilterImportResult>}
+	 */
+	static async import (document, options = {}) {
+		const { dryRun = false, conflict = "skip" } = options;
+		if (!["skip", "update", "error"].includes(conflict)) {
+			throw new sb.Error({
+				message: "Filter import conflict option must be one of: skip, update, error",
+				args: { conflict }
+			});
+		}
+		else if (document?.version !== exportVersion || !Array.isArray(document.filters)) {
+			throw new sb.Error({
+				message: "Unsupported filter import document",
+				args: { version: document?.version ?? null }
+			});
+		}
+
+		Filter.#ensureIndex();
+
+		const issuedBy = options.issuedBy?.ID ?? options.issuedBy ?? null;
+		const existingByKey = new Map(Filter.data.map(i => [Filter.#getIdentityKey(i), i]));
+		const documentKeys = new Set();
+
+		const items = [];
+		const conflicts = [];
+		for (const [index, entry] of document.filters.entries()) {
+			let prepared;
+			try {
+				const createOptions = await Filter.#resolveImportEntry(entry);
+				createOptions.Issued_By ??= issuedBy ?? undefined;
+
+				prepared = Filter.#prepareCreation(createOptions);
+			}
+			catch (e) {
+				if (!(e instanceof sb.Error)) {
+					throw e;
+				}
+
+				const errors = e.args?.errors ?? [];
+				items.push({
+					index,
+					action: "error",
+					filter: null,
+					error: [e.simpleMessage ?? e.message, ...errors].join(" - ")
+				});
+
+				continue;
+			}
+
+			const key = Filter.#getIdentityKey(prepared.data);
+			if (documentKeys.has(key)) {
+				items.push({
+					index,
+					action: "error",
+					filter: null,
+					error: "Duplicate of an earlier entry in the document"
+				});
+
+				continue;
+			}
+
+			documentKeys.add(key);
+
+			const existing = existingByKey.get(key);
+			if (!existing) {
+				items.push({ index, action: "create", filter: null, error: null, prepared });
+				continue;
+			}
+
+			conflicts.push({ index, filter: existing.ID });
+			items.push({
+				index,
+				action: (conflict === "update") ? "update" : "skip",
+				filter: existing.ID,
+				error: null,
+				prepared,
+				existing
+			});
+		}
+
+		const success = !items.some(i => i.action === "error") && (conflict !== "error" || conflicts.length === 0);
+		if (success && !dryRun) {
+			await Filter.#applyImport(items, issuedBy);
+		}
+
+		return {
+			success,
+			dryRun,
+			items: items.map(({ index, action, filter, error }) => ({ index, action, filter, error })),
+			conflicts
+		};
+	}
+
+	/**
+	 * Converts an import document entry to {@link Filter.create} options, resolving names back to IDs.
+	 * @param {Object} entry
+	 * @returns {Promise<Object>}
+	 * @throws {sb.Error} If the entry is malformed, or refers to something that does not exist
+	 */
+	static async #resolveImportEntry (entry) {
+		if (!entry || entry.constructor !== Object) {
+			throw new sb.Error({ message: "Entry must be an object" });
+		}
+
+		const resolvePlatform = (reference) => {
+			const platform = (reference) ? sb.Platform.get(reference.Name, reference.Host) : null;
+			if (!platform) {
+				throw new sb.Error({
+					message: "Platform could not be resolved",
+					args: { platform: reference?.Name ?? null }
+				});
+			}
+
+			return platform;
+		};
+
+		const resolveUser = async (name) => {
+			const userData = (typeof name === "string") ? await sb.User.get(name) : null;
+			if (!userData) {
+				throw new sb.Error({
+					message: "User could not be resolved",
+					args: { user: name }
+				});
+			}
+
+			return userData.ID;
+		};
+
+		let channelID = null;
+		if (entry.Channel) {
+			const channelData = sb.Channel.get(entry.Channel.Name, resolvePlatform(entry.Channel.Platform));
+			if (!channelData) {
+				throw new sb.Error({
+					message: "Channel could not be resolved",
+					args: { channel: entry.Channel.Name }
+				});
+			}
+
+			channelID = channelData.ID;
+		}
+
+		if (entry.Command && !sb.Command.get(entry.Command)) {
+			throw new sb.Error({
+				message: "Command could not be resolved",
+				args: { command: entry.Command }
+			});
+		}
+
+		let issuedBy;
+		if (entry.Issued_By) {
+			const userData = await sb.User.get(entry.Issued_By);
+			issuedBy = userData?.ID;
+		}
+
+		return {
+			Type: entry.Type,
+			Command: entry.Command ?? null,
+			Invocation: entry.Invocation ?? null,
+			Subcommand: entry.Subcommand ?? null,
+			Platform: (entry.Platform) ? resolvePlatform(entry.Platform).ID : null,
+			Channel: channelID,
+			User_Alias: (entry.User_Alias) ? await resolveUser(entry.User_Alias) : null,
+			User_Group: entry.User_Group ?? null,
+			Blocked_User: (entry.Blocked_User) ? await resolveUser(entry.Blocked_User) : null,
+			Data: entry.Data ?? null,
+			Response: entry.Response,
+			Reason: entry.Reason ?? null,
+			Active: entry.Active ?? true,
+			Starts: entry.Starts ?? null,
+			Expires: entry.Expires ?? null,
+			Issued_By: issuedBy
+		};
+	}
+
+	/**
+	 * Writes the prepared import items and their filter history to the database in one transaction,
+	 * then applies them to the loaded filters.
+	 * @param {Object[]} items
+	 * @param {number|null} issuedBy
+	 * @returns {Promise<void>}
+	 */
+	static async #applyImport (items, issuedBy) {
+		const toRowValues = (values) => Object.fromEntries(Object.entries(values).map(([key, value]) => [
+			key,
+			(value?.constructor === Object) ? JSON.stringify(value) : value
+		]));
+
+		const created = [];
+		const updated = [];
+		const transaction = await sb.Query.getTransaction();
+		try {
+			for (const item of items) {
+				if (item.action === "create") {
+					const row = await sb.Query.getRow("chat_data", "Filter");
+					row.setValues(toRowValues(item.prepared.data));
+					await row.save({ transaction });
+
+					item.filter = row.values.ID;
+					item.prepared.filter.ID = row.values.ID;
+					created.push(item);
+
+					await Filter.#recordHistory(item.prepared.filter, [{
+						Action: "Create",
+						Property: null,
+						Old_Value: null,
+						New_Value: item.prepared.data
+					}], { issuedBy: item.prepared.data.Issued_By, transaction });
+				}
+				else if (item.action === "update") {
+					const values = {};
+					for (const property of ["Data", "Response", "Reason", "Active", "Starts", "Expires"]) {
+						values[property] = item.prepared.data[property];
+					}
+
+					const row = await sb.Query.getRow("chat_data", "Filter");
+					await row.load(item.existing.ID);
+					row.setValues(toRowValues(values));
+					await row.save({ transaction });
+
+					updated.push({ ...item, values });
+
+					const entries = Filter.#getChanges(item.existing, { ...item.existing, ...values });
+					await Filter.#recordHistory(item.existing, entries, { issuedBy, transaction });
+				}
+			}
+
+			await transaction.commit();
+		}
+		catch (e) {
+			await transaction.rollback();
+			throw e;
+		}
+		finally {
+			await transaction.end();
+		}
+
+		// The loaded filters might have been reloaded in the meantime, so they are looked up again
+		Filter.#ensureIndex();
+
+		for (const { prepared } of created) {
+			Filter.data.push(prepared.filter);
+			Filter.#addToIndex(prepared.filter);
+		}
+
+		for (const { existing, values } of updated) {
+			const index = Filter.data.findIndex(i => i.ID === existing.ID);
+			const current = Filter.data[index] ?? existing;
+			const replacement = new Filter({ ...current, ...values });
+
+			if (index === -1) {
+				Filter.data.push(replacement);
+				Filter.#addToIndex(replacement);
+				continue;
+			}
+
+			Filter.#removeFromIndex(current);
+			Filter.data[index] = replacement;
+			Filter.#addToIndex(replacement, current.#indexSequence);
+			current.destroy();
+		}
+	}
+
+	/**
+	 * @param {Object} values Filter instance or its database values
+	 * @returns {string} Key identifying what the filter applies to - two filters with the same key conflict
+	 */
+	static #getIdentityKey (values) {
+		return JSON.stringify(identityProperties.map(i => values[i] ?? null));
+	}
+
+	/**
+	 * Fetches the change history of one filter, oldest first.
+	 * @param {Filter|number} filter Filter instance or ID
+	 * @returns {Promise<FilterHistoryEntry[]>}
+	 */
+	static async getHistory (filter) {
+		const filterID = (filter instanceof Filter) ? filter.ID : filter;
+		if (!sb.Utils.isValidInteger(filterID, 1)) {
+			throw new sb.Error({
+				message: "Invalid filter identifier provided",
+				args: { filter: filterID }
+			});
+		}
+
+		if (!await Filter.#isHistoryTablePresent()) {
+			return [];
+		}
+
+		const data = await sb.Query.getRecordset(rs => rs
+			.select("*")
+			.from("chat_data", "Filter_History")
+			.where("Filter = %n", filterID)
+			.orderBy("Timestamp ASC", "ID ASC")
+		);
+
+		return data.map(record => Filter.#parseHistoryEntry(record));
+	}
+
+	/**
+	 * Fetches the change history of all filters that target one user, oldest first.
+	 * @param {sb.User|number} user User instance or ID
+	 * @param {Object} [options]
+	 * @param {boolean} [options.issued] If true, fetches the changes made by the user instead
+	 * @returns {Promise<FilterHistoryEntry[]>}
+	 */
+	static async getUserHistory (user, options = {}) {
+		const userID = user?.ID ?? user;
+		if (!sb.Utils.isValidInteger(userID, 1)) {
+			throw new sb.Error({
+				message: "Invalid user identifier provided",
+				args: { user: userID }
+			});
+		}
+
+		if (!await Filter.#isHistoryTablePresent()) {
+			return [];
+		}
 
-		if (blacklist) {
-			let reply = null;
-			if (blacklist.Response === "Reason") {
-				reply = blacklist.Reason;
+		const data = await sb.Query.getRecordset(rs => {
+			rs.select("Filter_History.*")
+				.from("chat_data", "Filter_History")
+				.orderBy("Filter_History.Timestamp ASC", "Filter_History.ID ASC");
+
+			if (options.issued) {
+				rs.where("Filter_History.Issued_By = %n", userID);
 			}
-			else if (blacklist.Response === "Auto") {
-				if (blacklist.Channel && blacklist.User_Alias && blacklist.Command && blacklist.Invocation) {
-					reply = "You cannot execute this command invocation in this channel.";
-				}
-				else if (blacklist.Channel && blacklist.User_Alias && blacklist.Command) {
-					reply = "You cannot execute this command in this channel.";
-				}
-				else if (blacklist.Channel && blacklist.Command) {
-					reply = "This command cannot be executed in this channel.";
-				}
-				else if (blacklist.Channel && blacklist.User_Alias) {
-					reply = "You cannot execute any commands in this channel.";
-				}
-				else if (blacklist.User_Alias && blacklist.Command && blacklist.Invocation) {
-					reply = "You cannot execute this command invocation in any channel.";
-				}
-				else if (blacklist.User_Alias && blacklist.Command) {
-					reply = "You cannot execute this command in any channel.";
-				}
-				else if (blacklist.User_Alias) {
-					reply = "You cannot execute any commands in any channel.";
-				}
-				else if (blacklist.Command && blacklist.Invocation) {
-					reply = "This command invocation cannot be executed anywhere.";
-				}
-				else if (blacklist.Command) {
-					reply = "This command cannot be executed anywhere.";
-				}
-				else if (blacklist.Channel) {
-					reply = "No commands can be executed in this channel.";
-				}
-				else {
-					throw new sb.Error({
-						message: "Unrecognized filter configuration", args: blacklist
-					});
-				}
+			else {
+				rs.join({
+					toTable: "Filter",
+					toField: "ID",
+					fromField: "Filter"
+				});
+				rs.where("Filter.User_Alias = %n", userID);
 			}
 
-			return {
-				success: false,
-				reason: "blacklist",
-				filter: blacklist,
-				reply
-			};
-		}
+			return rs;
+		});
 
-		let channelLive = null;
-		if (channel instanceof sb.Channel) {
-			const streamData = await channel.getStreamData();
-			channelLive = streamData.live ?? false;
-		}
+		return data.map(record => Filter.#parseHistoryEntry(record));
+	}
 
-		const offlineOnly = localFilters.find(i => i.Type === "Offline-only");
-		if (offlineOnly && channelLive === true) {
-			const targetType = (offlineOnly.Invocation) ? "command invocation" : "command";
-			return {
-				success: false,
-				reason: "offline-only",
-				filter: offlineOnly,
-				reply: Filter.getReason({
-					reason: offlineOnly.Reason,
-					response: offlineOnly.Response,
-					string: `🚫 This ${targetType} is only available when the channel is offline!`
-				})
-			};
+	/**
+	 * Determines whether the optional Filter_History table exists. The result is cached until the data is reloaded.
+	 * @returns {Promise<boolean>}
+	 */
+	static async #isHistoryTablePresent () {
+		Filter.#historyTablePresent ??= await sb.Query.isTablePresent("chat_data", "Filter_History");
+		return Filter.#historyTablePresent;
+	}
+
+	/**
+	 * Appends entries to the filter history table. Values are stored as JSON, so that they keep their types.
+	 * @param {Filter} filter
+	 * @param {{ Action: FilterHistoryAction, Property: string|null, Old_Value: *, New_Value: * }[]} entries
+	 * @param {FilterChangeOptions} options
+	 * @param {Object} [options.transaction] If provided, the entries are saved within this transaction
+	 * @returns {Promise<void>}
+	 */
+	static async #recordHistory (filter, entries, options) {
+		if (entries.length === 0) {
+			return;
 		}
 
-		const onlineOnly = localFilters.find(i => i.Type === "Online-only");
-		if (onlineOnly && channelLive === false) {
-			const targetType = (onlineOnly.Invocation) ? "command invocation" : "command";
-			return {
-				success: false,
-				reason: "online-only",
-				filter: onlineOnly,
-				reply: Filter.getReason({
-					reason: onlineOnly.Reason,
-					response: onlineOnly.Response,
-					string: `🚫 This ${targetType} is only available when the channel is online!`
-				})
-			};
+		// The history table is optional - without it, filter changes are not recorded, but they must still succeed
+		if (!await Filter.#isHistoryTablePresent()) {
+			return;
 		}
 
-		return { success: true };
+		const issuedBy = options.issuedBy?.ID ?? options.issuedBy ?? null;
+		for (const entry of entries) {
+			const row = await sb.Query.getRow("chat_data", "Filter_History");
+			row.setValues({
+				Filter: filter.ID,
+				Action: entry.Action,
+				Property: entry.Property,
+				Old_Value: JSON.stringify(entry.Old_Value ?? null),
+				New_Value: JSON.stringify(entry.New_Value ?? null),
+				Issued_By: issuedBy,
+				Timestamp: new sb.Date()
+			});
+
+			await row.save({
+				skipLoad: true,
+				transaction: options.transaction
+			});
+		}
 	}
 
 	/**
-	 * Creates a new filter record.
-	 * @param {Object} options
-	 * @param {sb.Platform.ID} [options.Platform]
-	 * @param {sb.Channel.ID} [options.Channel]
-	 * @param {sb.Command.Name} [options.Command]
-	 * @param {sb.User.ID} [options.User_Alias]
-	 * @param {string} [options.Reason]
-	 * @param {string} [options.Invocation]
-	 * @param {Object} [options.Data]
-	 * @param {FilterType} [options.Type]
-	 * @param {sb.User.ID} [options.Blocked_User]
-	 * @param {sb.User.ID} [options.Issued_By]
+	 * Determines the tracked changes between a loaded filter and its current database values.
+	 * @param {Filter} filter
+	 * @param {Object} values
+	 * @returns {{ Action: FilterHistoryAction, Property: string, Old_Value: *, New_Value: * }[]}
 	 */
-	static async create (options) {
-		const data = {
-			Platform: options.Platform ?? null,
-			Channel: options.Channel ?? null,
-			Command: options.Command ?? null,
-			User_Alias: options.User_Alias ?? null,
-			Reason: options.Reason ?? null,
-			Invocation: options.Invocation ?? null,
-			Data: options.Data ?? null,
-			Type: options.Type ?? "Blacklist",
-			Response: "Auto",
-			Blocked_User: options.Blocked_User ?? null,
-			Active: true,
-			Issued_By: options.Issued_By ?? sb.Config.get("ADMINISTRATOR_USER_ID")
-		};
+	static #getChanges (filter, values) {
+		const entries = [];
+		const active = Boolean(values.Active);
+		if (filter.Active !== active) {
+			entries.push({
+				Action: (active) ? "Activate" : "Deactivate",
+				Property: "Active",
+				Old_Value: filter.Active,
+				New_Value: active
+			});
+		}
 
-		const row = await sb.Query.getRow("chat_data", "Filter");
-		row.setValues(data);
-		await row.save();
+		const current = new Filter(values);
+		for (const property of editableProperties) {
+			const oldValue = filter[property] ?? null;
+			const newValue = current[property] ?? null;
+			if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+				entries.push({
+					Action: "Update",
+					Property: property,
+					Old_Value: oldValue,
+					New_Value: newValue
+				});
+			}
+		}
 
-		data.ID = row.values.ID;
-		const filter = new Filter(data);
-		Filter.data.push(filter);
+		return entries;
+	}
 
-		return filter;
+	static #parseHistoryEntry (record) {
+		const parse = (value) => {
+			try {
+				return JSON.parse(value);
+			}
+			catch {
+				return value;
+			}
+		};
+
+		return {
+			ID: record.ID,
+			Filter: record.Filter,
+			Action: record.Action,
+			Property: record.Property,
+			Old_Value: parse(record.Old_Value),
+			New_Value: parse(record.New_Value),
+			Issued_By: record.Issued_By,
+			Timestamp: record.Timestamp
+		};
 	}
 
 	static getMentionStatus (options) {
@@ -658,10 +2307,26 @@ module.exports = class Filter extends require("./template.js") {
 	}
 
 	static getCooldownModifiers (options) {
-		const filters = Filter.getLocals("Cooldown", options).sort((a, b) => b.priority - a.priority);
+		// Cooldown schedules take precedence over Cooldown filters with the same priority, as they are more specific
+		const now = Date.now();
+		const schedules = Filter.getLocals("Schedule", options)
+			.filter(i => i.scheduleMode === "cooldown" && i.isWithinSchedule(now));
+
+		const filters = [...schedules, ...Filter.getLocals("Cooldown", options)].sort((a, b) => b.priority - a.priority);
 		return filters[0] ?? null;
 	}
 
+	/**
+	 * Returns all usage quotas that apply to the provided combination of command, channel, platform and user.
+	 * @param {Object} options
+	 * @returns {Quota[]}
+	 */
+	static getQuotas (options) {
+		return Filter.getLocals("Quota", options)
+			.map(i => i.quota)
+			.filter(Boolean);
+	}
+
 	static getFlags (options) {
 		const flags = {};
 		const flagData = Filter.getLocals("Flags", options).sort((a, b) => a.priority - b.priority);
@@ -703,17 +2368,235 @@ module.exports = class Filter extends require("./template.js") {
 		}
 	}
 
+	/**
+	 * Returns all filters that could possibly match the provided options - in the same order as in `Filter.data`.
+	 * Only the type, command, channel, platform and user are taken into account, so the result must still be
+	 * filtered precisely.
+	 * @param {FilterType|null} type
+	 * @param {Object} options
+	 * @returns {Filter[]}
+	 */
+	static #getIndexCandidates (type, options) {
+		Filter.#ensureIndex();
+
+		const commandName = (typeof options.command === "string")
+			? options.command
+			: (options.command?.Name ?? null);
+
+		const commands = Filter.#withWildcard(commandName);
+		const channels = Filter.#withWildcard(options.channel?.ID ?? null);
+		const platforms = Filter.#withWildcard(options.platform?.ID ?? null);
+		const users = Filter.#withWildcard(options.user?.ID ?? null);
+		if (!options.skipUserCheck && options.user) {
+			for (const group of Filter.getUserGroups(options.user)) {
+				users.push(Filter.#getGroupIndexKey(group));
+			}
+		}
+
+		const typeMaps = (type)
+			? [Filter.#index.get(type)].filter(Boolean)
+			: [...Filter.#index.values()];
+
+		const lists = [];
+		for (const typeMap of typeMaps) {
+			// Filters of all commands are requested - the location is then checked by the caller on each filter
+			if (options.anyCommand) {
+				for (const userMap of typeMap.values()) {
+					lists.push(...userMap.values());
+				}
+
+				continue;
+			}
+
+			for (const command of commands) {
+				for (const channel of channels) {
+					for (const platform of platforms) {
+						const userMap = typeMap.get(Filter.#getLocationKey(command, channel, platform));
+						if (!userMap) {
+							continue;
+						}
+						else if (options.skipUserCheck) {
+							lists.push(...userMap.values());
+							continue;
+						}
+
+						for (const user of users) {
+							const list = userMap.get(user);
+							if (list) {
+								lists.push(list);
+							}
+						}
+					}
+				}
+			}
+		}
+
+		// Each list is ordered by sequence already, so they only need to be merged - pairwise, until one is left
+		let merged = lists;
+		while (merged.length > 1) {
+			const next = [];
+			for (let i = 0; i < merged.length; i += 2) {
+				next.push((i + 1 < merged.length) ? Filter.#mergeBySequence(merged[i], merged[i + 1]) : merged[i]);
+			}
+
+			merged = next;
+		}
+
+		return merged[0] ?? [];
+	}
+
+	static #mergeBySequence (first, second) {
+		const result = new Array(first.length + second.length);
+		let i = 0;
+		let j = 0;
+		let k = 0;
+
+		while (i < first.length && j < second.length) {
+			result[k++] = (first[i].#indexSequence < second[j].#indexSequence) ? first[i++] : second[j++];
+		}
+		while (i < first.length) {
+			result[k++] = first[i++];
+		}
+		while (j < second.length) {
+			result[k++] = second[j++];
+		}
+
+		return result;
+	}
+
+	static #withWildcard (value) {
+		return (value === null) ? [null] : [value, null];
+	}
+
+	static #getGroupIndexKey (group) {
+		return `group:${group}`;
+	}
+
+	static #getLocationKey (command, channel, platform) {
+		return JSON.stringify([command ?? null, channel ?? null, platform ?? null]);
+	}
+
+	/**
+	 * Rebuilds the index, if `Filter.data` has been replaced or modified outside of this class.
+	 */
+	static #ensureIndex () {
+		if (Filter.#indexedData !== Filter.data || Filter.#indexedCount !== (Filter.data?.length ?? 0)) {
+			Filter.#rebuildIndex();
+		}
+	}
+
+	static #rebuildIndex () {
+		Filter.#index.clear();
+		Filter.#indexedData = Filter.data;
+		Filter.#indexedCount = 0;
+
+		for (const filter of (Filter.data ?? [])) {
+			Filter.#addToIndex(filter);
+		}
+	}
+
+	static #addToIndex (filter, sequence = Filter.#nextIndexSequence++) {
+		const key = {
+			type: filter.Type,
+			location: Filter.#getLocationKey(filter.Command, filter.Channel, filter.Platform),
+			user: (filter.User_Group) ? Filter.#getGroupIndexKey(filter.User_Group) : (filter.User_Alias ?? null)
+		};
+
+		if (!Filter.#index.has(key.type)) {
+			Filter.#index.set(key.type, new Map());
+		}
+
+		const typeMap = Filter.#index.get(key.type);
+		if (!typeMap.has(key.location)) {
+			typeMap.set(key.location, new Map());
+		}
+
+		const userMap = typeMap.get(key.location);
+		if (!userMap.has(key.user)) {
+			userMap.set(key.user, []);
+		}
+
+		// Keep the list ordered by sequence - re-indexed filters keep their original position
+		const list = userMap.get(key.user);
+		const position = (list.length === 0 || list[list.length - 1].#indexSequence < sequence)
+			? -1
+			: list.findIndex(i => i.#indexSequence > sequence);
+
+		if (position === -1) {
+			list.push(filter);
+		}
+		else {
+			list.splice(position, 0, filter);
+		}
+
+		filter.#indexSequence = sequence;
+		filter.#indexKey = key;
+		Filter.#indexedCount++;
+	}
+
+	static #removeFromIndex (filter) {
+		const key = filter.#indexKey;
+		if (!key) {
+			return;
+		}
+
+		const typeMap = Filter.#index.get(key.type);
+		const userMap = typeMap?.get(key.location);
+		const list = userMap?.get(key.user);
+		const position = list?.indexOf(filter) ?? -1;
+		if (position === -1) {
+			return;
+		}
+
+		list.splice(position, 1);
+		if (list.length === 0) {
+			userMap.delete(key.user);
+		}
+		if (userMap.size === 0) {
+			typeMap.delete(key.location);
+		}
+		if (typeMap.size === 0) {
+			Filter.#index.delete(key.type);
+		}
+
+		filter.#indexKey = null;
+		Filter.#indexedCount--;
+	}
+
+	/**
+	 * Cleans up.
+	 */
+	static destroy () {
+		Filter.expirationCron?.destroy();
+		Filter.expirationCron = null;
+		Filter.events.removeAllListeners();
+
+		Filter.#index.clear();
+		Filter.#indexedData = null;
+		Filter.#indexedCount = 0;
+		Filter.#historyTablePresent = null;
+
+		super.destroy();
+	}
+
 	static async reloadSpecific (...list) {
 		if (list.length === 0) {
 			return false;
 		}
 
+		Filter.#ensureIndex();
+
 		const promises = list.map(async (ID) => {
 			const row = await sb.Query.getRow("chat_data", "Filter");
 			await row.load(ID);
 
 			const existingIndex = Filter.data.findIndex(i => i.ID === ID);
 			if (existingIndex !== -1) {
+				// Changes made directly in the database are only noticed here - their author is unknown
+				const entries = Filter.#getChanges(Filter.data[existingIndex], row.valuesObject);
+				await Filter.#recordHistory(Filter.data[existingIndex], entries, { issuedBy: null });
+
+				Filter.#removeFromIndex(Filter.data[existingIndex]);
 				Filter.data[existingIndex].destroy();
 				Filter.data.splice(existingIndex, 1);
 			}
@@ -724,6 +2607,7 @@ module.exports = class Filter extends require("./template.js") {
 
 			const banphrase = new Filter(row.valuesObject);
 			Filter.data.push(banphrase);
+			Filter.#addToIndex(banphrase);
 		});
 
 		await Promise.all(promises);
@@ -731,15 +2615,117 @@ module.exports = class Filter extends require("./template.js") {
 	}
 };
 
+/**
+ * @typedef {"Create"|"Activate"|"Deactivate"|"Update"} FilterHistoryAction
+ */
+
+/**
+ * @typedef {Object} FilterChangeOptions
+ * @property {sb.User|number|null} [issuedBy] Who made the change - `null` for automatic changes
+ */
+
+/**
+ * @typedef {Object} FilterHistoryEntry
+ * @property {number} ID
+ * @property {number} Filter
+ * @property {FilterHistoryAction} Action
+ * @property {string|null} Property The changed property, `null` for filter creation
+ * @property {*} Old_Value
+ * @property {*} New_Value For filter creation, all of the filter's initial values
+ * @property {number|null} Issued_By
+ * @property {sb.Date} Timestamp
+ */
+
+/**
+ * @typedef {Object} FilterExportDocument
+ * @property {number} version
+ * @property {string} exported ISO date of the export
+ * @property {Object[]} filters Filter values, with users, channels and platforms referenced by their names
+ * @property {number[]} omitted IDs of filters that could not be exported, as their references no longer exist
+ */
+
+/**
+ * @typedef {Object} FilterImportResult
+ * @property {boolean} success If false, nothing was changed
+ * @property {boolean} dryRun
+ * @property {{ index: number, action: "create"|"update"|"skip"|"error", filter: number|null, error: string|null }[]} items
+ * One item for each document entry - `filter` is the created ID (not available in dry runs) or the conflicting filter's ID
+ * @property {{ index: number, filter: number }[]} conflicts Entries that conflict with existing filters
+ */
+
 /**
  * @typedef {Object} CooldownFilterData
  * @property {number} multiplier - mutually exclusive with `override`
  * @property {number} override - mutually exclusive with `multiplier`
  */
 
+/**
+ * @typedef {Object} QuotaFilterData
+ * @property {number} limit Amount of uses allowed within one window
+ * @property {"minute"|"hour"|"day"|"week"|number} window Named window, or window length in milliseconds
+ * @property {"user"|"channel"|"platform"|"global"} [scope] Who the uses are counted for, defaults to "user"
+ * @property {string} [name] Usage counter name, defaults to one unique to the filter
+ */
+
+/**
+ * @callback UserGroupResolver
+ * @param {sb.User} userData
+ * @returns {boolean|Promise<boolean>} True if the user is a member of the group
+ */
+
+/**
+ * @typedef {Object} FilterExplanationGroup
+ * @property {{ filter: Filter, priority: number }[]} filters Ordered by priority, highest first
+ * @property {Filter|null} winner The filter that takes effect, `null` for types where all filters are used
+ */
+
+/**
+ * @typedef {Object} FilterExplanation
+ * @property {{ success: boolean, reason: string|null, filter: number|null, reply: string|null }} decision
+ * The result of `Filter.execute` for the same options
+ * @property {Object<FilterType, FilterExplanationGroup>} groups Applicable filters, grouped by type
+ * @property {{ base: number|null, result: number|null, filter: number|null }} cooldown
+ * @property {{ result: Object, filters: number[] }} flags Merged flags, and the filters in their merge order
+ */
+
+/**
+ * Schedules either restrict the command to their windows ("allow"), prevent it within them ("deny"),
+ * or - if a cooldown `multiplier` or `override` is set - modify the cooldown within them, like a Cooldown filter.
+ * @typedef {Object} ScheduleFilterData
+ * @property {string} [timezone] IANA timezone the windows are evaluated in, defaults to "UTC"
+ * @property {"allow"|"deny"} [mode] Defaults to "deny", cannot be combined with cooldown modifiers
+ * @property {ScheduleFilterWindow[]} windows
+ * @property {number} [multiplier] Mutually exclusive with `override`
+ * @property {number} [override] Mutually exclusive with `multiplier`
+ * @property {boolean} [respect] Same as for Cooldown filters
+ */
+
+/**
+ * @typedef {Object} ScheduleFilterWindow
+ * @property {("sun"|"mon"|"tue"|"wed"|"thu"|"fri"|"sat"|number)[]} [days] Days the window starts on, defaults to
+ * every day. Numbers are in the same format as `Date#getDay` - 0 is Sunday.
+ * @property {string} start Start time in "HH:MM" format
+ * @property {string} end End time in "HH:MM" format - if it is before the start, the window continues over midnight
+ */
+
 /**
  * @typedef {Object} ArgumentsFilterData
- * @todo
+ * @property {ArgumentsFilterItem[]} args The filter applies if any of the items matches
+ */
+
+/**
+ * Each item must have exactly one target (`index`, `range`, `param` or `full`), and exactly one matcher
+ * (`string` or `regex`).
+ * @typedef {Object} ArgumentsFilterItem
+ * @property {number} [index] Matches the argument on this position
+ * @property {[number, number]|string} [range] Matches arguments on positions within this range, inclusive.
+ * Can be a "start..end" string, where the end can be omitted to match all following arguments.
+ * @property {string} [param] Matches the value of the parsed command parameter with this name
+ * @property {true} [full] Matches the full argument string, joined by spaces
+ * @property {string} [string] Matches the exact string
+ * @property {RegExp|string[]|string} [regex] Matches the regex - a RegExp, a [body, flags] array or a "/body/flags" string
+ * @property {boolean} [ignoreCase] Matches case-insensitively
+ * @property {boolean} [negate] Matches if the item would not match otherwise - including when there is no value
  */
 
 /**
@@ -747,6 +2733,6 @@ module.exports = class Filter extends require("./template.js") {
  *   "Blacklist","Whitelist","Opt-out","Block",
  *   "Unping","Unmention","Cooldown","Flags",
  *   "Offline-only","Online-only","Arguments",
- *   "Reminder-prevention"
+ *   "Reminder-prevention","Quota","Schedule"
  * } FilterType
  */
@@ -9,7 +9,7 @@ module.exports = class Platform extends require("./template.js") {
 	 */
 	#controller = null;
 
-	/** @type {Map<sb.Channel, Map<User, UserMessageResolutionWrapper>>} */
+	/** @type {Map<number|null, Map<number, UserMessageResolutionWrapper>>} */
 	#userMessagePromises = new Map();
 
 	constructor (data) {
@@ -133,10 +133,13 @@ module.exports = class Platform extends require("./template.js") {
 	 * Sends a message into a given channel.
 	 * @param {string} message
 	 * @param channel
+	 * @param {Object} [options]
+	 * @param {Object[]} [options.attachments] Files attached to the message, if the controller supports them
+	 * @param {Object[]} [options.embeds] Rich embeds attached to the message, if the controller supports them
 	 * @returns {Promise<void>}
 	 */
-	send (message, channel) {
-		return this.#controller.send(message, channel);
+	send (message, channel, options = {}) {
+		return this.#controller.send(message, channel, options);
 	}
 
 	/**
@@ -144,10 +147,11 @@ module.exports = class Platform extends require("./template.js") {
 	 * @param {string} message
 	 * @param {string} user
 	 * @param {sb.Channel} [channelData]
+	 * @param {Object} [options] Attachments and embeds, same as in {@link send}
 	 * @returns {Promise<void>}
 	 */
-	pm (message, user, channelData) {
-		return this.#controller.pm(message, user, channelData);
+	pm (message, user, channelData, options = {}) {
+		return this.#controller.pm(message, user, channelData, options);
 	}
 
 	destroy () {
@@ -156,38 +160,111 @@ module.exports = class Platform extends require("./template.js") {
 
 	/**
 	 * For a given combination of channel and user, creates and returns a promise that will be resolved when the
-	 * provided user sends a message in the provided channel. The promise will be rejected if the user does not post
-	 * a message within a timeout specified in options.
-	 * @param {Channel} channelData
+	 * provided user sends a message in the provided channel. The promise will be resolved with `null` if the user does
+	 * not post a message within a timeout specified in options, or if the awaiter is cancelled.
+	 * @param {Channel|null} channelData If `null`, the message is awaited in private messages
 	 * @param {User} userData
 	 * @param {Object} options
 	 * @param {number} [options.timeout] Default: 10 seconds
-	 * @returns {sb.Promise<UserMessageResolution>}
+	 * @param {AbortSignal} [options.signal] Cancels the awaiter once aborted
+	 * @returns {sb.Promise<UserMessageResolution|null>}
 	 */
 	waitForUserMessage (channelData, userData, options = {}) {
 		const delay = options.timeout ?? 10_000;
+		const channelKey = channelData?.ID ?? null;
 		const promise = new sb.Promise();
 
-		if (!this.#userMessagePromises.has(channelData.ID)) {
-			this.#userMessagePromises.set(channelData.ID, new Map());
+		if (!this.#userMessagePromises.has(channelKey)) {
+			this.#userMessagePromises.set(channelKey, new Map());
 		}
 
-		if (this.#userMessagePromises.get(channelData.ID).get(userData.ID)) {
+		if (this.#userMessagePromises.get(channelKey).get(userData.ID)) {
 			throw new sb.Error({
 				message: "User already has a pending promise in the provided channel!"
 			});
 		}
+		else if (options.signal?.aborted) {
+			return promise.resolve(null);
+		}
 
-		const timeout = setTimeout(() => {
-			promise.resolve(null);
-			this.#userMessagePromises.get(channelData.ID).delete(userData.ID);
-		}, delay);
+		const timeout = setTimeout(() => this.cancelUserMessage(channelData, userData), delay);
+		const abortListener = () => this.cancelUserMessage(channelData, userData);
+		options.signal?.addEventListener("abort", abortListener, { once: true });
 
-		this.#userMessagePromises.get(channelData.ID).set(userData.ID, { promise, timeout });
+		this.#userMessagePromises.get(channelKey).set(userData.ID, {
+			promise,
+			timeout,
+			signal: options.signal ?? null,
+			abortListener
+		});
 
 		return promise;
 	}
 
+	/**
+	 * Resolves the message awaiter of the provided user in the provided channel, if there is one.
+	 * Platform controllers should call this for every incoming message, before handling it as a command.
+	 * @param {Channel|null} channelData If `null`, the message was sent in private messages
+	 * @param {User} userData
+	 * @param {string} message
+	 * @returns {boolean} True if an awaiter existed and has been resolved, false otherwise
+	 */
+	resolveUserMessage (channelData, userData, message) {
+		const wrapper = this.#removeUserMessageAwaiter(channelData, userData);
+		if (!wrapper) {
+			return false;
+		}
+
+		wrapper.promise.resolve({ message });
+		return true;
+	}
+
+	/**
+	 * Cancels the message awaiter of the provided user in the provided channel, if there is one.
+	 * Its promise is resolved with `null`, same as if it timed out.
+	 * @param {Channel|null} channelData
+	 * @param {User} userData
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] If provided, the awaiter is only cancelled if it was created with this signal
+	 * @returns {boolean} True if an awaiter existed and has been cancelled, false otherwise
+	 */
+	cancelUserMessage (channelData, userData, options = {}) {
+		if (options.signal) {
+			const channelKey = channelData?.ID ?? null;
+			const existing = this.#userMessagePromises.get(channelKey)?.get(userData.ID);
+			if (existing?.signal !== options.signal) {
+				return false;
+			}
+		}
+
+		const wrapper = this.#removeUserMessageAwaiter(channelData, userData);
+		if (!wrapper) {
+			return false;
+		}
+
+		wrapper.promise.resolve(null);
+		return true;
+	}
+
+	#removeUserMessageAwaiter (channelData, userData) {
+		const channelKey = channelData?.ID ?? null;
+		const channelMap = this.#userMessagePromises.get(channelKey);
+		const wrapper = channelMap?.get(userData.ID);
+		if (!wrapper) {
+			return null;
+		}
+
+		clearTimeout(wrapper.timeout);
+		wrapper.signal?.removeEventListener("abort", wrapper.abortListener);
+
+		channelMap.delete(userData.ID);
+		if (channelMap.size === 0) {
+			this.#userMessagePromises.delete(channelKey);
+		}
+
+		return wrapper;
+	}
+
 	async serialize () {
 		throw new sb.Error({
 			message: "Module Platform cannot be serialized"
@@ -401,7 +478,9 @@ module.exports = class Platform extends require("./template.js") {
 /**
  * @typedef {Object} UserMessageResolutionWrapper
  * @property {number} timeout
- * @property {sb.Promise<UserMessageResolution>} promise
+ * @property {sb.Promise<UserMessageResolution|null>} promise
+ * @property {AbortSignal|null} signal
+ * @property {Function} abortListener
  */
 
 /**
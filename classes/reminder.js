@@ -119,16 +119,31 @@ module.exports = class Reminder extends require("./template.js") {
 
 			const fromMention = await this.Platform.createUserMention(fromUserData, channelData);
 			const toMention = await this.Platform.createUserMention(toUserData, channelData);
+			const language = await sb.Localization.getLanguage({ user: toUserData, channel: channelData });
 
-			let message;
+			let messageKey;
 			if (this.User_From === this.User_To) {
-				message = `${toMention}, reminder from yourself (${sb.Utils.timeDelta(this.Created)}): ${this.Text}`;
+				messageKey = "reminder.timed.self";
 			}
 			else if (this.User_From === sb.Config.get("SELF_ID")) {
-				message = `${toMention}, system reminder (${sb.Utils.timeDelta(this.Created)}): ${this.Text}`;
+				messageKey = "reminder.timed.system";
 			}
 			else if (this.User_To) {
-				message = `${toMention}, timed reminder from ${fromMention} (${sb.Utils.timeDelta(this.Created)}): ${this.Text}`;
+				messageKey = "reminder.timed.user";
+			}
+
+			const messageParams = {
+				text: this.Text,
+				delta: sb.Localization.timeDelta(this.Created, language)
+			};
+
+			let message;
+			if (messageKey) {
+				message = sb.Localization.get(messageKey, language, {
+					...messageParams,
+					mention: toMention,
+					from: fromMention
+				});
 			}
 
 			const statusAFK = sb.AwayFromKeyboard.get(toUserData);
@@ -141,7 +156,10 @@ module.exports = class Reminder extends require("./template.js") {
 					Created: new sb.Date(),
 					Active: true,
 					Schedule: null,
-					Text: `You got a scheduled reminder (ID ${this.ID}) while you were AFK: ${message}`,
+					Text: sb.Localization.get("reminder.afk-scheduled", language, {
+						ID: this.ID,
+						message
+					}),
 					Private_Message: true
 				}, true);
 			}
@@ -161,16 +179,11 @@ module.exports = class Reminder extends require("./template.js") {
 					}
 
 					if (channelData.Mirror) {
-						let mirrorMessage;
-						if (this.User_From === this.User_To) {
-							mirrorMessage = `${toUserData.Name}, reminder from yourself (${sb.Utils.timeDelta(this.Created)}): ${this.Text}`;
-						}
-						else if (this.User_From === sb.Config.get("SELF_ID")) {
-							mirrorMessage = `${toUserData.Name}, system reminder (${sb.Utils.timeDelta(this.Created)}): ${this.Text}`;
-						}
-						else if (this.User_To) {
-							mirrorMessage = `${toUserData.Name}, timed reminder from ${fromUserData.Name} (${sb.Utils.timeDelta(this.Created)}): ${this.Text}`;
-						}
+						const mirrorMessage = sb.Localization.get(messageKey, language, {
+							...messageParams,
+							mention: toUserData.Name,
+							from: fromUserData.Name
+						});
 
 						await channelData.mirror(mirrorMessage, null, { commandUsed: false });
 					}
@@ -405,6 +418,7 @@ module.exports = class Reminder extends require("./template.js") {
 
 		const reply = [];
 		const privateReply = [];
+		const language = await sb.Localization.getLanguage({ user: targetUserData, channel: channelData });
 
 		for (const reminder of reminders) {
 			const platformData = channelData.Platform;
@@ -422,19 +436,27 @@ module.exports = class Reminder extends require("./template.js") {
 					platform = sb.Platform.get(reminder.Platform);
 				}
 
+				const authorLanguage = await sb.Localization.getLanguage({
+					user: fromUserData,
+					channel: (reminder.Channel) ? sb.Channel.get(reminder.Channel) : null
+				});
+
 				const uncheckedAuthorMention = await platform.controller.createUserMention(fromUserData);
 				const authorMentionCheck = await channelData.prepareMessage(uncheckedAuthorMention, {
 					returnBooleanOnFail: true,
 					skipLengthCheck: true
 				});
-				const authorMention = (authorMentionCheck === false) ? "[Banphrased username]," : `${authorMentionCheck}`;
+				const authorMention = (authorMentionCheck === false)
+					? `${sb.Localization.get("reminder.banphrased-username", authorLanguage)},`
+					: `${authorMentionCheck}`;
 
 				const targetMention = await platform.controller.createUserMention(targetUserData);
-				let message = `${authorMention}, ${targetMention} just typed in channel ${channelName}`;
-
-				if (reminder.Text) {
-					message += `: ${reminder.Text}`;
-				}
+				const message = sb.Localization.get((reminder.Text) ? "reminder.pingme.text" : "reminder.pingme", authorLanguage, {
+					author: authorMention,
+					target: targetMention,
+					channel: channelName,
+					text: reminder.Text
+				});
 
 				if (reminder.Private_Message) {
 					await platform.pm(message, fromUserData);
@@ -455,11 +477,9 @@ module.exports = class Reminder extends require("./template.js") {
 					});
 
 					if (!fixedMessage) {
-						await channelData.send(sb.Utils.tag.trim `
-							${authorMention},
-							a user you set up a "pingme" reminder for has typed somewhere, but I can't post it here.
-							I have whispered you the result instead.
-						`);
+						await channelData.send(sb.Localization.get("reminder.pingme.not-posted", authorLanguage, {
+							author: authorMention
+						}));
 
 						await platform.pm(message, fromUserData.Name, channelData);
 					}
@@ -472,18 +492,26 @@ module.exports = class Reminder extends require("./template.js") {
 				continue;
 			}
 
+			const reminderParams = {
+				text: reminder.Text,
+				delta: sb.Localization.timeDelta(reminder.Created, language)
+			};
+
 			let reminderMessage;
 			if (reminder.User_From === targetUserData.ID) {
-				reminderMessage = `yourself - ${reminder.Text} (${sb.Utils.timeDelta(reminder.Created)})`;
+				reminderMessage = sb.Localization.get("reminder.item.self", language, reminderParams);
 			}
 			else if (fromUserData.Name === platformData.Self_Name) {
-				reminderMessage = `system reminder - ${reminder.Text} (${sb.Utils.timeDelta(reminder.Created)})`;
+				reminderMessage = sb.Localization.get("reminder.item.system", language, reminderParams);
 			}
 			else if (reminder.Text !== null) {
 				const mention = await channelData.Platform.createUserMention(fromUserData);
 				const { string } = await sb.Banphrase.execute(mention, channelData);
 
-				reminderMessage = `${string} - ${reminder.Text} (${sb.Utils.timeDelta(reminder.Created)})`;
+				reminderMessage = sb.Localization.get("reminder.item.user", language, {
+					...reminderParams,
+					from: string
+				});
 			}
 
 			if (reminderMessage) {
@@ -503,12 +531,16 @@ module.exports = class Reminder extends require("./template.js") {
 			skipLengthCheck: true
 		});
 
-		const userMention = (checkResult === false) ? "[Banphrased username]," : `${checkResult},`;
+		const userMention = (checkResult === false)
+			? `${sb.Localization.get("reminder.banphrased-username", language)},`
+			: `${checkResult},`;
 
 		// Handle non-private reminders
 		if (reply.length !== 0) {
-			const noun = (reply.length === 1) ? "reminder" : "reminders";
-			let message = `${noun} from: ${reply.join("; ")}`;
+			const listKey = (reply.length === 1) ? "reminder.list.one" : "reminder.list.many";
+			let message = sb.Localization.get(listKey, language, {
+				list: reply.join("; ")
+			});
 
 			if (channelData.Links_Allowed === false) {
 				message = sb.Utils.replaceLinks(message, "[LINK]");
@@ -542,18 +574,14 @@ module.exports = class Reminder extends require("./template.js") {
 					const listID = reminderIDs.map(i => `ID=${i}`).join("&");
 					const link = await Reminder.createRelayLink("lookup", listID);
 
-					message = sb.Utils.tag.trim `
-						Hey ${userMention}
-						you have ${reminderIDs.length} reminders, but they're too long to be posted.
-						Check them here: ${link}
-						or by ID: ${reminderIDs.join(" ")}
-					`;
-					mirrorMessage = sb.Utils.tag.trim `
-						Hey ${targetUserData.Name}
-						you have ${reminderIDs.length} reminders, but they're too long to be posted.
-						Check them here: ${link}
-						or by ID: ${reminderIDs.join(" ")}
-					`;
+					const params = {
+						count: reminderIDs.length,
+						link,
+						IDs: reminderIDs.join(" ")
+					};
+
+					message = sb.Localization.get("reminder.too-long", language, { ...params, mention: userMention });
+					mirrorMessage = sb.Localization.get("reminder.too-long", language, { ...params, mention: targetUserData.Name });
 				}
 
 				const [resultMessage] = sb.Utils.partitionString(message, limit, 1);
@@ -567,18 +595,14 @@ module.exports = class Reminder extends require("./template.js") {
 				const listID = reminderIDs.map(i => `ID=${i}`).join("&");
 				const link = await Reminder.createRelayLink("lookup", listID);
 
-				const message = sb.Utils.tag.trim `
-					Hey ${userMention}
-					you have ${reminderIDs.length} reminders, but they couldn't be posted.
-					Check them here: ${link}
-					or by ID: ${reminderIDs.join(" ")}
-				`;
-				const mirrorMessage = sb.Utils.tag.trim `
-					Hey ${targetUserData.Name}
-					you have ${reminderIDs.length} reminders, but they couldn't be posted.
-					Check them here: ${link}
-					or by ID: ${reminderIDs.join(" ")}
-				`;
+				const params = {
+					count: reminderIDs.length,
+					link,
+					IDs: reminderIDs.join(" ")
+				};
+
+				const message = sb.Localization.get("reminder.not-posted", language, { ...params, mention: userMention });
+				const mirrorMessage = sb.Localization.get("reminder.not-posted", language, { ...params, mention: targetUserData.Name });
 
 				await Promise.all([
 					channelData.send(message),
@@ -590,11 +614,13 @@ module.exports = class Reminder extends require("./template.js") {
 		// Handle private reminders
 		if (privateReply.length !== 0) {
 			for (const privateReminder of privateReply) {
-				await channelData.Platform.pm(`Private reminder: ${privateReminder}`, targetUserData, channelData);
+				const privateMessage = sb.Localization.get("reminder.private", language, { text: privateReminder });
+				await channelData.Platform.pm(privateMessage, targetUserData, channelData);
 			}
 
-			const publicMessage = `Hey ${userMention} - I just private messaged you ${privateReply.length} private reminder(s) - make sure to check them out!`;
-			const publicMirrorMessage = `Hey ${targetUserData.Name} - I just private messaged you ${privateReply.length} private reminder(s) - make sure to check them out!`;
+			const count = privateReply.length;
+			const publicMessage = sb.Localization.get("reminder.private-notice", language, { count, mention: userMention });
+			const publicMirrorMessage = sb.Localization.get("reminder.private-notice", language, { count, mention: targetUserData.Name });
 
 			await Promise.all([
 				channelData.send(publicMessage),
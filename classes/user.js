@@ -18,6 +18,9 @@ module.exports = class User extends require("./template.js") {
 		administrator: 0b1000_0000
 	};
 
+	/** @type {Map<string, PermissionResolver>} */
+	static #permissionResolvers = new Map();
+
 	/** @type {WeakMap<User, Map<string, *>>} */
 	static dataCache = new WeakMap();
 
@@ -404,6 +407,54 @@ module.exports = class User extends require("./template.js") {
 		return user;
 	}
 
+	/**
+	 * Registers a custom permission level, which can then be required by commands in their definition.
+	 * The level is assigned the lowest bit not used by any other level.
+	 * @param {string} name
+	 * @param {PermissionResolver} resolver Determines whether a user has the permission in the provided context
+	 * @returns {number} The bit assigned to the permission level
+	 */
+	static registerPermission (name, resolver) {
+		if (typeof name !== "string" || name.length === 0 || typeof resolver !== "function") {
+			throw new sb.Error({
+				message: "Permission must be registered with a name and a resolver function",
+				args: { name }
+			});
+		}
+		else if (Object.hasOwn(User.permissions, name)) {
+			throw new sb.Error({
+				message: "Permission level already exists",
+				args: { name }
+			});
+		}
+
+		const usedBits = Object.values(User.permissions).reduce((acc, cur) => (acc | cur), 0);
+		let bit = 1;
+		while ((usedBits & bit) !== 0) {
+			bit <<= 1;
+		}
+
+		if (bit <= 0) {
+			throw new sb.Error({
+				message: "No more permission bits are available",
+				args: { name }
+			});
+		}
+
+		User.permissions[name] = bit;
+		User.#permissionResolvers.set(name, resolver);
+
+		return bit;
+	}
+
+	/**
+	 * Custom permission levels registered via {@link User.registerPermission}, mapped to their resolvers.
+	 * @type {Map<string, PermissionResolver>}
+	 */
+	static get permissionResolvers () {
+		return User.#permissionResolvers;
+	}
+
 	/**
 	 * Normalizes non-standard strings into standard usernames.
 	 * Turns input string into lowercase.
@@ -521,3 +572,9 @@ module.exports = class User extends require("./template.js") {
 /**
  * @typedef {"admin"|"owner"|"ambassador"} UserPermissionLevel
  */
+
+/**
+ * @callback PermissionResolver
+ * @param {{ user: User, channel: sb.Channel|null, platform: sb.Platform|null }} context
+ * @returns {boolean|Promise<boolean>}
+ */
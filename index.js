@@ -18,6 +18,8 @@ module.exports = (async function (options = {}) {
 		"classes/cron",
 		"singletons/cache",
 		"singletons/cooldown-manager",
+		"singletons/localization",
+		"singletons/quota-manager",
 		"singletons/logger",
 		"singletons/system-log",
 		"singletons/vlc-connector",
@@ -86,6 +88,12 @@ module.exports = (async function (options = {}) {
 					break;
 				}
 
+				case "localization": {
+					const Component = require("./singletons/localization");
+					sb.Localization = Component.singleton();
+					break;
+				}
+
 				case "logger": {
 					const Component = require("./singletons/logger.js");
 					sb.Logger = Component.singleton();
@@ -104,6 +112,12 @@ module.exports = (async function (options = {}) {
 					break;
 				}
 
+				case "quota-manager": {
+					const Component = require("./singletons/quota-manager.js");
+					sb.QuotaManager = Component.singleton();
+					break;
+				}
+
 				case "runtime": {
 					const Component = require("./singletons/runtime.js");
 					sb.Runtime = Component.singleton();
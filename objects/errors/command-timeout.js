@@ -0,0 +1,15 @@
+module.exports = class CommandTimeoutError extends sb.Error {
+	constructor (object = {}) {
+		super({
+			name: "CommandTimeoutError",
+			message: object.message ?? "Command execution timed out",
+			args: {
+				...(object.args ?? {}),
+				command: object.command ?? null,
+				timeout: object.timeout ?? null
+			}
+		});
+	}
+
+	static get name () { return "CommandTimeoutError"; }
+};
@@ -3,6 +3,7 @@ module.exports = (function () {
 	result.name = "errors";
 
 	const subtypes = [
+		"command-timeout",
 		"generic-request",
 		"not-implemented"
 	];
@@ -76,8 +76,26 @@ class Pending {
 	get description () { return this.#description; }
 }
 
+const COOLDOWN_KEY_PREFIX = "sb-cooldown";
+const PENDING_KEY_PREFIX = "sb-cooldown-pending";
+const PRIVATE_MESSAGE_KEY = "pm";
+
+// Only ever extends a cooldown - a shorter cooldown must not replace a longer one that is still running,
+// the same way as both of them apply in memory
+const EXTEND_COOLDOWN_SCRIPT = `
+local current = tonumber(redis.call("GET", KEYS[1]))
+if current and current >= tonumber(ARGV[1]) then
+	return 0
+end
+redis.call("SET", KEYS[1], ARGV[1], "PX", ARGV[2])
+return 1
+`;
+
 /**
  * Manages the cooldowns between each message sent to channels.
+ * Cooldowns and Pending statuses are kept in Redis via `sb.Cache` if it is available, so that they are shared between
+ * processes and survive restarts - and in memory otherwise. Redis keys expire on their own, so only the in-memory
+ * data needs to be pruned.
  */
 class CooldownManagerSingleton extends require("./template.js") {
 	static singleton () {
@@ -99,71 +117,102 @@ class CooldownManagerSingleton extends require("./template.js") {
 
 	/**
 	 * Checks if given combination of parameters has a cooldown pending.
-	 * @param {string|number|null} channel
+	 * @param {string|number|symbol|null} channel
 	 * @param {string|number|null} user
 	 * @param {string|number|null} command
 	 * @param {boolean} skipPending If true, does not check for Pending status
-	 * @returns {boolean} True if it's safe to run the command, false if the execution should be denied.
+	 * @returns {Promise<boolean>} True if it's safe to run the command, false if the execution should be denied.
 	 */
-	check (channel, user, command, skipPending) {
-		const length = this.data.length;
-		for (let i = 0; i < length; i++) {
-			const inhibitor = this.data[i];
-			if (skipPending && inhibitor instanceof Pending) {
-				continue;
-			}
-
-			const isActive = (inhibitor instanceof Cooldown)
-				? inhibitor.check(channel, user, command)
-				: inhibitor.check(user);
+	async check (channel, user, command, skipPending) {
+		if (!this.#checkMemory(channel, user, command, skipPending)) {
+			return false;
+		}
+		else if (!this.#usesRedis) {
+			return true;
+		}
 
-			if (isActive) {
-				return false;
+		// Cooldowns with `null` identifiers apply to everything - so all of the combinations must be checked
+		const keys = new Set();
+		for (const channelPart of new Set([channel, null])) {
+			for (const userPart of new Set([user, null])) {
+				for (const commandPart of new Set([command, null])) {
+					keys.add(this.#getCooldownKey(channelPart, userPart, commandPart));
+				}
 			}
 		}
 
-		return true;
+		if (!skipPending) {
+			keys.add(this.#getPendingKey(user));
+		}
+
+		const existing = await sb.Cache.server.exists(...keys);
+		return (existing === 0);
 	}
 
 	/**
-	 * Sets a cooldown for given combination of parameters
-	 * @param {string|number|null} channel
+	 * Sets a cooldown for given combination of parameters.
+	 * In Redis, a cooldown of the same combination is only ever extended - never shortened.
+	 * @param {string|number|symbol|null} channel
 	 * @param {string|number|null} user
 	 * @param {string|number|null} command
 	 * @param {number} cooldown
 	 * @param {Object} options={}
+	 * @returns {Promise<void>}
 	 */
-	set (channel, user, command, cooldown, options = {}) {
-		this.data.push(new Cooldown({
+	async set (channel, user, command, cooldown, options = {}) {
+		const data = {
 			channel,
 			user,
 			command,
 			expires: Date.now() + cooldown,
 			...options
-		}));
+		};
+
+		if (!this.#usesRedis) {
+			this.data.push(new Cooldown(data));
+			return;
+		}
+
+		const length = Math.ceil(data.expires - Date.now());
+		if (!Number.isFinite(length) || length <= 0) {
+			return;
+		}
+
+		const key = this.#getCooldownKey(data.channel, data.user, data.command);
+		await sb.Cache.server.eval(EXTEND_COOLDOWN_SCRIPT, 1, key, data.expires, length);
 	}
 
 	/**
 	 * Sets a pending cooldown (it's really a status) for given user.
+	 * Taking the pending status is atomic - if the user already has one, it is kept, and false is returned.
 	 * @param {string|number} user
 	 * @param {string} [description]
+	 * @returns {Promise<boolean>} True if the pending status was set, false if the user already has one
 	 */
-	setPending (user, description) {
-		this.data.push(new Pending({
-			user,
-			description,
-			expires: Date.now() + this.pendingCooldownExpiration
-		}));
+	async setPending (user, description) {
+		const expires = Date.now() + this.pendingCooldownExpiration;
+		if (this.#fetchMemoryPending(user)) {
+			return false;
+		}
+		else if (!this.#usesRedis) {
+			this.data.push(new Pending({ user, description, expires }));
+			return true;
+		}
+
+		const value = JSON.stringify({ description: description ?? "N/A", expires });
+		const result = await sb.Cache.server.set(this.#getPendingKey(user), value, "PX", this.pendingCooldownExpiration, "NX");
+		return (result === "OK");
 	}
 
 	/**
 	 * Prematurely revoke a cooldown given by its parameters.
-	 * @param {string|number|null} channel
+	 * @param {string|number|symbol|null} channel
 	 * @param {string|number|null} user
 	 * @param {string|number|null} command
 	 * @param {Object} options = {}
+	 * @returns {Promise<void>}
 	 */
-	unset (channel, user, command, options = {}) {
+	async unset (channel, user, command, options = {}) {
 		const cooldowns = this.data.filter(i => (
 			(i instanceof Cooldown)
 			&& (i.channel === channel)
@@ -175,13 +224,33 @@ class CooldownManagerSingleton extends require("./template.js") {
 		for (const cooldown of cooldowns) {
 			cooldown.revoke();
 		}
+
+		if (!this.#usesRedis) {
+			return;
+		}
+
+		const key = this.#getCooldownKey(channel, user, command);
+		if (Object.keys(options).length !== 0) {
+			const value = await sb.Cache.server.get(key);
+			if (value === null) {
+				return;
+			}
+
+			const stored = { channel, user, command, expires: Number(value) };
+			if (!Object.entries(options).every(([name, option]) => stored[name] === option)) {
+				return;
+			}
+		}
+
+		await sb.Cache.server.del(key);
 	}
 
 	/**
 	 * Unsets a pending cooldown for given user.
 	 * @param {string|number} user
+	 * @returns {Promise<void>}
 	 */
-	unsetPending (user) {
+	async unsetPending (user) {
 		const pendings = this.data.filter(i => (
 			(i instanceof Pending)
 			&& (user === i.user)
@@ -190,19 +259,57 @@ class CooldownManagerSingleton extends require("./template.js") {
 		for (const pending of pendings) {
 			pending.revoke();
 		}
+
+		if (this.#usesRedis) {
+			await sb.Cache.server.del(this.#getPendingKey(user));
+		}
 	}
 
 	/**
 	 * Fetches the Pending for given user. Used mostly for their description.
 	 * @param {string|number} user
-	 * @returns {Pending}
+	 * @returns {Promise<Pending|null>}
 	 */
-	fetchPending (user) {
+	async fetchPending (user) {
+		const pending = this.#fetchMemoryPending(user);
+		if (pending || !this.#usesRedis) {
+			return pending;
+		}
+
+		const value = await sb.Cache.server.get(this.#getPendingKey(user));
+		if (!value) {
+			return null;
+		}
+
+		const { description, expires } = JSON.parse(value);
+		return new Pending({ user, description, expires });
+	}
+
+	#checkMemory (channel, user, command, skipPending) {
+		const length = this.data.length;
+		for (let i = 0; i < length; i++) {
+			const inhibitor = this.data[i];
+			if (skipPending && inhibitor instanceof Pending) {
+				continue;
+			}
+
+			const isActive = (inhibitor instanceof Cooldown)
+				? inhibitor.check(channel, user, command)
+				: inhibitor.check(user);
+
+			if (isActive) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	#fetchMemoryPending (user) {
 		return this.data.find(i => (
-			i.constructor === Pending)
-			&& (i.user === user)
-			&& (i.expires !== 0)
-		);
+			(i instanceof Pending)
+			&& i.check(user)
+		)) ?? null;
 	}
 
 	/**
@@ -218,6 +325,21 @@ class CooldownManagerSingleton extends require("./template.js") {
 		}
 	}
 
+	#getCooldownKey (channel, user, command) {
+		// Identifiers are serialized as JSON, so that e.g. `null` and "null" do not collide.
+		// Symbols (the private message channel) would be serialized as `null` - the wildcard - so they are replaced.
+		const identifiers = [channel, user, command].map(i => (typeof i === "symbol") ? PRIVATE_MESSAGE_KEY : i);
+		return `${COOLDOWN_KEY_PREFIX}:${JSON.stringify(identifiers)}`;
+	}
+
+	#getPendingKey (user) {
+		return `${PENDING_KEY_PREFIX}:${JSON.stringify(user)}`;
+	}
+
+	get #usesRedis () {
+		return Boolean(sb.Cache?.active);
+	}
+
 	get modulePath () { return "cooldown-manager"; }
 
 	get pruneCron () { return pruneCron; }
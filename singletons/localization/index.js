@@ -0,0 +1,179 @@
+const Template = require("../template.js");
+const englishMessages = require("./en.json");
+
+const interpolationRegex = /{(\w+)}/g;
+
+/**
+ * Message catalog for all user-facing replies of the core modules.
+ * Messages are identified by keys, and can contain `{name}` placeholders that are interpolated with provided values.
+ * Each channel and user can set their preferred language via the `language` data property - if no message exists
+ * in the preferred language, the default language (English, unless configured otherwise) is used instead.
+ */
+module.exports = class LocalizationSingleton extends Template {
+	/** @type {Map<string, Map<string, string>>} */
+	#catalogs = new Map();
+
+	static singleton () {
+		if (!LocalizationSingleton.module) {
+			LocalizationSingleton.module = new LocalizationSingleton();
+		}
+
+		return LocalizationSingleton.module;
+	}
+
+	constructor () {
+		super();
+
+		this.register("en", englishMessages);
+	}
+
+	/**
+	 * Registers messages for a given language. Existing messages with the same keys are overwritten.
+	 * @param {string} language ISO 639-1 language code
+	 * @param {Object<string, string>} messages
+	 */
+	register (language, messages) {
+		if (typeof language !== "string" || !messages || messages.constructor !== Object) {
+			throw new sb.Error({
+				message: "Localization messages must be registered with a language code and an object of messages",
+				args: { language }
+			});
+		}
+
+		const code = language.toLowerCase();
+		if (!this.#catalogs.has(code)) {
+			this.#catalogs.set(code, new Map());
+		}
+
+		const catalog = this.#catalogs.get(code);
+		for (const [key, value] of Object.entries(messages)) {
+			if (typeof value !== "string") {
+				console.warn("Invalid localization message", { language: code, key });
+				continue;
+			}
+
+			catalog.set(key, value);
+		}
+	}
+
+	/**
+	 * Determines whether a message exists in the given language, not counting the default language fallback.
+	 * @param {string} key
+	 * @param {string} language
+	 * @returns {boolean}
+	 */
+	has (key, language) {
+		return Boolean(this.#catalogs.get(language)?.has(key));
+	}
+
+	/**
+	 * Fetches a message in the given language, with its placeholders interpolated.
+	 * Falls back to the default language, and to the key itself if the message does not exist at all.
+	 * @param {string} key
+	 * @param {string|null} [language]
+	 * @param {Object<string, *>} [params]
+	 * @returns {string}
+	 */
+	get (key, language = null, params = {}) {
+		const defaultLanguage = this.defaultLanguage;
+		let message = this.#catalogs.get(language ?? defaultLanguage)?.get(key);
+		if (typeof message !== "string") {
+			message = this.#catalogs.get(defaultLanguage)?.get(key) ?? this.#catalogs.get("en")?.get(key);
+		}
+
+		if (typeof message !== "string") {
+			console.warn("Missing localization message", { key, language });
+			return key;
+		}
+
+		return message.replace(interpolationRegex, (match, name) => (
+			(typeof params[name] === "undefined") ? match : String(params[name])
+		));
+	}
+
+	/**
+	 * Determines the language to reply in. The user's preference takes precedence over the channel's one.
+	 * @param {Object} options
+	 * @param {sb.User|null} [options.user]
+	 * @param {sb.Channel|null} [options.channel]
+	 * @returns {Promise<string>}
+	 */
+	async getLanguage (options = {}) {
+		for (const target of [options.user, options.channel]) {
+			if (typeof target?.getDataProperty !== "function") {
+				continue;
+			}
+
+			const language = this.normalizeLanguage(await target.getDataProperty("language"));
+			if (language) {
+				return language;
+			}
+		}
+
+		return this.defaultLanguage;
+	}
+
+	/**
+	 * Fetches a message in the language preferred by the provided user and channel.
+	 * @param {string} key
+	 * @param {Object} [options]
+	 * @param {sb.User|null} [options.user]
+	 * @param {sb.Channel|null} [options.channel]
+	 * @param {Object<string, *>} [options.params]
+	 * @returns {Promise<string>}
+	 */
+	async translate (key, options = {}) {
+		const language = await this.getLanguage(options);
+		return this.get(key, language, options.params ?? {});
+	}
+
+	/**
+	 * Formats the time delta between now and the target date, with a localized "ago"/"in" affix.
+	 * @param {sb.Date|Date|number} target
+	 * @param {string|null} [language]
+	 * @returns {string}
+	 */
+	timeDelta (target, language = null) {
+		const delta = sb.Utils.timeDelta(target, true);
+		const key = (target.valueOf() > Date.now()) ? "time.in" : "time.ago";
+
+		return this.get(key, language, { delta });
+	}
+
+	/**
+	 * Converts a language name or code to its ISO 639-1 code.
+	 * @param {*} value
+	 * @returns {string|null}
+	 */
+	normalizeLanguage (value) {
+		if (typeof value !== "string" || value.length === 0) {
+			return null;
+		}
+
+		const lower = value.toLowerCase();
+		if (this.#catalogs.has(lower)) {
+			return lower;
+		}
+
+		const code = sb.Utils.modules.languageISO.getCode(value);
+		return (typeof code === "string") ? code.toLowerCase() : null;
+	}
+
+	get defaultLanguage () {
+		return sb.Config.get("DEFAULT_LANGUAGE", false) ?? "en";
+	}
+
+	/**
+	 * List of languages that have at least one registered message.
+	 * @type {string[]}
+	 */
+	get languages () {
+		return [...this.#catalogs.keys()];
+	}
+
+	get modulePath () { return "localization"; }
+
+	destroy () {
+		this.#catalogs.clear();
+	}
+};
@@ -203,6 +203,8 @@ module.exports = class Row {
 	 * @param {Object} options
 	 * @param {boolean} [options.ignore] If true, INSERT will be executed as INSERT IGNORE (ignores duplicate keys)
 	 * @param {boolean} [options.skipLoad] If true, the row will not re-load itself after saving
+	 * @param {Object} [options.transaction] If provided, the row is saved within this transaction, and it will not
+	 * re-load itself - its changes are not visible outside of the transaction until it is committed
 	 * @returns {Promise<Object>}
 	 */
 	async save (options = {}) {
@@ -213,6 +215,9 @@ module.exports = class Row {
 			});
 		}
 
+		const transaction = options.transaction ?? null;
+		const send = (sql) => ((transaction) ? transaction.query(sql) : this.#query.send(sql));
+
 		let outputData;
 		if (this.#loaded) { // UPDATE
 			const setColumns = [];
@@ -232,7 +237,7 @@ module.exports = class Row {
 			}
 
 			const conditions = this._getPrimaryKeyConditions();
-			outputData = await this.#query.raw([
+			outputData = await send([
 				`UPDATE ${this.#definition.escapedPath}`,
 				`SET ${setColumns.join(", ")}`,
 				`WHERE ${conditions.join(" AND ")}`
@@ -253,7 +258,7 @@ module.exports = class Row {
 			const ignore = (options.ignore === true) ? "IGNORE " : "";
 
 			// @todo use INSERT RETURNING, see below
-			outputData = await this.#query.send([
+			outputData = await send([
 				`INSERT ${ignore}INTO ${this.#definition.escapedPath}`,
 				`(${columns.join(",")})`,
 				`VALUES (${values.join(",")})`
@@ -264,7 +269,7 @@ module.exports = class Row {
 				this.#values[autoIncrementPK.name] = outputData.insertId;
 			}
 
-			if (!options.skipLoad) {
+			if (!options.skipLoad && !transaction) {
 				// @todo with MariaDB 10.5+, use INSERT RETURNING to fetch inserted data immediately insted of having to re-load the Row
 				await this.load(this.PK);
 			}
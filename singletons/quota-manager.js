@@ -0,0 +1,338 @@
+const windowLengths = {
+	minute: 60_000,
+	hour: 3_600_000,
+	day: 86_400_000,
+	week: 604_800_000
+};
+
+// The Unix epoch started on a Thursday - weekly windows are shifted by four days, so that they start on Mondays.
+const WEEK_OFFSET = 4 * windowLengths.day;
+
+/**
+ * Tracks command usage quotas - a limited amount of uses within a fixed time window, e.g. 10 uses per user per day.
+ * Usage counters are kept in Redis via `sb.Cache` if it is available, and in memory otherwise.
+ */
+class QuotaManagerSingleton extends require("./template.js") {
+	static scopes = ["user", "channel", "platform", "global"];
+
+	static windows = Object.keys(windowLengths);
+
+	static singleton () {
+		if (!QuotaManagerSingleton.module) {
+			QuotaManagerSingleton.module = new QuotaManagerSingleton();
+		}
+
+		return QuotaManagerSingleton.module;
+	}
+
+	/**
+	 * Creates a new Quota manager instance.
+	 */
+	constructor () {
+		super();
+
+		/** @type {Map<string, { count: number, expires: number }>} */
+		this.data = new Map();
+	}
+
+	/**
+	 * Parses and validates a quota definition, as used in the command `Quota` definition or in the Quota filter `Data`.
+	 * @param {QuotaDefinition} definition
+	 * @param {string} [defaultName] Used as the quota name, if the definition does not specify one
+	 * @returns {{ quota: Quota|null, error: string|null }}
+	 */
+	parseDefinition (definition, defaultName) {
+		if (!definition || definition.constructor !== Object) {
+			return { quota: null, error: "Quota definition must be an object" };
+		}
+
+		const { limit, scope = "user", window } = definition;
+		if (!sb.Utils.isValidInteger(limit, 1)) {
+			return { quota: null, error: "Quota limit must be a positive integer" };
+		}
+		else if (!QuotaManagerSingleton.scopes.includes(scope)) {
+			return { quota: null, error: `Quota scope must be one of: ${QuotaManagerSingleton.scopes.join(", ")}` };
+		}
+
+		let length;
+		if (typeof window === "string" && windowLengths[window]) {
+			length = windowLengths[window];
+		}
+		else if (sb.Utils.isValidInteger(window, 1000)) {
+			length = window;
+		}
+		else {
+			return {
+				quota: null,
+				error: `Quota window must be one of: ${QuotaManagerSingleton.windows.join(", ")}, or a duration of at least 1000 milliseconds`
+			};
+		}
+
+		const name = definition.name ?? defaultName ?? `${scope}-${window}`;
+		return {
+			error: null,
+			quota: {
+				name: String(name),
+				limit,
+				scope,
+				window: length,
+				windowName: (typeof window === "string") ? window : null
+			}
+		};
+	}
+
+	/**
+	 * Determines the fixed time window the provided timestamp belongs to.
+	 * @param {Quota} quota
+	 * @param {number} [now]
+	 * @returns {{ start: number, end: number }}
+	 */
+	getWindow (quota, now = Date.now()) {
+		const offset = (quota.windowName === "week") ? WEEK_OFFSET : 0;
+		const start = Math.floor((now - offset) / quota.window) * quota.window + offset;
+
+		return {
+			start,
+			end: start + quota.window
+		};
+	}
+
+	/**
+	 * Checks whether all provided quotas still have uses left, without consuming any.
+	 * @param {string} command Command name
+	 * @param {Quota[]} quotas
+	 * @param {QuotaTargets} targets
+	 * @returns {Promise<QuotaCheckResult>}
+	 */
+	async check (command, quotas, targets) {
+		const now = Date.now();
+		for (const quota of quotas) {
+			const { end } = this.getWindow(quota, now);
+			const key = this.#getKey(command, quota, targets, now);
+			const used = await this.#getCount(key);
+
+			if (used >= quota.limit) {
+				return {
+					success: false,
+					quota,
+					used,
+					resetsAt: end
+				};
+			}
+		}
+
+		return { success: true };
+	}
+
+	/**
+	 * Consumes one use of each provided quota, as long as all of them have uses left.
+	 * Each counter is incremented atomically and the returned value is compared with the limit, so that concurrent
+	 * invocations cannot exceed it. If any quota is exhausted, all increments made by this call are reverted.
+	 * @param {string} command Command name
+	 * @param {Quota[]} quotas
+	 * @param {QuotaTargets} targets
+	 * @returns {Promise<QuotaCheckResult>}
+	 */
+	async consume (command, quotas, targets) {
+		const now = Date.now();
+		const consumedKeys = [];
+		for (const quota of quotas) {
+			const { end } = this.getWindow(quota, now);
+			const key = this.#getKey(command, quota, targets, now);
+			const count = await this.#increment(key, end);
+
+			if (count > quota.limit) {
+				for (const consumedKey of [key, ...consumedKeys]) {
+					await this.#decrement(consumedKey);
+				}
+
+				return {
+					success: false,
+					quota,
+					used: count - 1,
+					resetsAt: end
+				};
+			}
+
+			consumedKeys.push(key);
+		}
+
+		return {
+			success: true,
+			timestamp: now
+		};
+	}
+
+	/**
+	 * Gives back one use of each provided quota, e.g. when the command that consumed them has failed.
+	 * @param {string} command Command name
+	 * @param {Quota[]} quotas
+	 * @param {QuotaTargets} targets
+	 * @param {number} [timestamp] When the uses were consumed - determines the window they are given back to
+	 * @returns {Promise<void>}
+	 */
+	async refund (command, quotas, targets, timestamp = Date.now()) {
+		for (const quota of quotas) {
+			const key = this.#getKey(command, quota, targets, timestamp);
+			await this.#decrement(key);
+		}
+	}
+
+	/**
+	 * Resets the usage counter of a quota in the current window.
+	 * @param {string} command Command name
+	 * @param {Quota} quota
+	 * @param {QuotaTargets} targets
+	 * @returns {Promise<void>}
+	 */
+	async reset (command, quota, targets) {
+		const key = this.#getKey(command, quota, targets, Date.now());
+		if (sb.Cache?.active) {
+			await sb.Cache.server.del(key);
+		}
+		else {
+			this.data.delete(key);
+		}
+	}
+
+	/**
+	 * Removes expired in-memory usage counters.
+	 */
+	prune () {
+		const now = Date.now();
+		for (const [key, item] of this.data) {
+			if (item.expires <= now) {
+				this.data.delete(key);
+			}
+		}
+	}
+
+	#getKey (command, quota, targets, now) {
+		let target;
+		if (quota.scope === "user") {
+			target = targets.user?.ID ?? null;
+		}
+		else if (quota.scope === "channel") {
+			target = targets.channel?.ID ?? "private-messages";
+		}
+		else if (quota.scope === "platform") {
+			target = targets.platform?.ID ?? null;
+		}
+		else {
+			target = "global";
+		}
+
+		const { start } = this.getWindow(quota, now);
+		return ["sb-quota", command, quota.name, quota.scope, target, start].join(":");
+	}
+
+	async #getCount (key) {
+		if (sb.Cache?.active) {
+			const value = await sb.Cache.server.get(key);
+			return Number(value ?? 0);
+		}
+
+		const item = this.data.get(key);
+		if (!item || item.expires <= Date.now()) {
+			return 0;
+		}
+
+		return item.count;
+	}
+
+	async #increment (key, expires) {
+		if (sb.Cache?.active) {
+			const count = await sb.Cache.server.incr(key);
+			if (count === 1) {
+				await sb.Cache.server.pexpireat(key, expires);
+			}
+
+			return count;
+		}
+
+		const item = this.data.get(key);
+		if (!item || item.expires <= Date.now()) {
+			this.data.set(key, { count: 1, expires });
+			return 1;
+		}
+
+		item.count++;
+		return item.count;
+	}
+
+	async #decrement (key) {
+		if (sb.Cache?.active) {
+			const count = await sb.Cache.server.decr(key);
+			if (count <= 0) {
+				await sb.Cache.server.del(key);
+			}
+
+			return;
+		}
+
+		const item = this.data.get(key);
+		if (!item) {
+			return;
+		}
+
+		item.count--;
+		if (item.count <= 0 || item.expires <= Date.now()) {
+			this.data.delete(key);
+		}
+	}
+
+	get modulePath () { return "quota-manager"; }
+
+	get pruneCron () { return pruneCron; }
+
+	/**
+	 * Cleans up.
+	 */
+	destroy () {
+		this.data = null;
+	}
+}
+
+const pruneCron = new sb.Cron({
+	Name: "quota-prune",
+	Expression: "0 */5 * * * *",
+	Defer: {
+		end: 15000
+	},
+	Code: () => sb.QuotaManager.prune()
+}).start();
+
+module.exports = QuotaManagerSingleton;
+
+/**
+ * @typedef {Object} QuotaDefinition
+ * @property {number} limit Amount of uses allowed within one window
+ * @property {"minute"|"hour"|"day"|"week"|number} window Named window, or window length in milliseconds
+ * @property {"user"|"channel"|"platform"|"global"} [scope] Who the uses are counted for, defaults to "user"
+ * @property {string} [name] Identifies the usage counter, must be unique within a command
+ */
+
+/**
+ * @typedef {Object} Quota
+ * @property {string} name
+ * @property {number} limit
+ * @property {"user"|"channel"|"platform"|"global"} scope
+ * @property {number} window Window length in milliseconds
+ * @property {string|null} windowName
+ */
+
+/**
+ * @typedef {Object} QuotaTargets
+ * @property {sb.User|null} [user]
+ * @property {sb.Channel|null} [channel]
+ * @property {sb.Platform|null} [platform]
+ */
+
+/**
+ * @typedef {Object} QuotaCheckResult
+ * @property {boolean} success
+ * @property {Quota} [quota] The first exhausted quota, if any
+ * @property {number} [used]
+ * @property {number} [resetsAt] Timestamp of when the exhausted quota resets
+ * @property {number} [timestamp] When the quotas were consumed, if they were
+ */
@@ -0,0 +1,187 @@
+const assert = require("assert");
+const Command = require("../../../classes/command");
+const {
+	createChannel,
+	createCommand,
+	createEnvironment,
+	createPlatform,
+	createUser
+} = require("./fixture.js");
+
+describe("Command batch execution", () => {
+	const platforms = [createPlatform(1), createPlatform(2)];
+	const sent = [];
+	const createBatchChannel = (ID, platform) => {
+		const channel = createChannel(ID, platform);
+		channel.send = async (message, options) => sent.push({ channel: ID, message, options });
+		return channel;
+	};
+
+	const channels = [
+		createBatchChannel(1, platforms[0]),
+		createBatchChannel(2, platforms[0]),
+		createBatchChannel(3, platforms[1]),
+		createBatchChannel(4, platforms[1])
+	];
+
+	let executions;
+	let user;
+	beforeEach(() => {
+		createEnvironment();
+		sb.Channel = {
+			data: channels
+		};
+		sb.Platform = {
+			get: (identifier) => platforms.find(i => i.ID === identifier) ?? null
+		};
+		sb.Filter.execute = async ({ channel }) => {
+			if (channel.ID === 4) {
+				throw new Error("Channel is broken");
+			}
+
+			return { success: true };
+		};
+
+		sent.length = 0;
+		executions = [];
+		user = createUser(1);
+
+		Command.data = [
+			createCommand({
+				Code: async (context, ...args) => {
+					executions.push({ channel: context.channel.ID, time: Date.now() });
+
+					// Keeps the execution running, so that parallel executions of the same user overlap
+					await new Promise(resolve => setImmediate(resolve));
+
+					if (context.channel.ID === 3) {
+						return { success: false, reply: "Failed!" };
+					}
+
+					return { reply: `test ${args.join(" ")}` };
+				}
+			})
+		];
+	});
+
+	afterEach(() => {
+		Command.data = [];
+	});
+
+	it("reports the result for each selected channel", async () => {
+		const result = await Command.executeBatch({
+			command: "test",
+			args: ["foo"],
+			user,
+			concurrency: 4,
+			platformDelay: 0
+		});
+
+		assert.strictEqual(result.total, 4);
+		assert.strictEqual(result.succeeded, 2);
+		assert.strictEqual(result.failed, 2);
+		assert.strictEqual(result.results.find(i => i.channel === 4).error, "Channel is broken");
+		assert.deepStrictEqual(sent.map(i => [i.channel, i.message]), [
+			[1, "test foo"],
+			[2, "test foo"]
+		]);
+	});
+
+	it("ignores the user's pending status, but not cooldowns", async () => {
+		await sb.CooldownManager.setPending(user.ID, "pending");
+		await sb.CooldownManager.set(2, user.ID, "test", 10000);
+
+		const result = await Command.executeBatch({
+			command: "test",
+			user,
+			channels: channels.slice(0, 2),
+			platformDelay: 0
+		});
+
+		assert.strictEqual(result.results.find(i => i.channel === 1).success, true);
+
+		const cooldown = result.results.find(i => i.channel === 2);
+		assert.strictEqual(cooldown.success, false);
+		assert.strictEqual(cooldown.reason, "cooldown");
+		assert.deepStrictEqual(sent.map(i => i.channel), [1]);
+	});
+
+	it("keeps the user's pending status of another running command", async () => {
+		await sb.CooldownManager.setPending(user.ID, "pending");
+
+		const result = await Command.executeBatch({
+			command: "test",
+			user,
+			channels: channels.slice(0, 2),
+			concurrency: 2,
+			platformDelay: 0
+		});
+
+		assert.strictEqual(result.succeeded, 2);
+		assert.strictEqual((await sb.CooldownManager.fetchPending(user.ID)).description, "pending");
+	});
+
+	it("does not send pending rejections as replies", async () => {
+		Command.data[0] = createCommand({ Code: () => ({ reply: "pending", reason: "pending" }) });
+
+		const result = await Command.executeBatch({
+			command: "test",
+			user,
+			channels: channels.slice(0, 1),
+			platformDelay: 0
+		});
+
+		assert.strictEqual(result.succeeded, 0);
+		assert.strictEqual(result.results[0].reason, "pending");
+		assert.strictEqual(sent.length, 0);
+	});
+
+	it("sends additional replies, attachments and embeds", async () => {
+		const attachments = [{ url: "https://example.com/a.png" }];
+		Command.data[0] = createCommand({
+			Code: () => ({
+				reply: "foo",
+				replies: ["bar"],
+				attachments,
+				embeds: []
+			})
+		});
+
+		await Command.executeBatch({
+			command: "test",
+			user,
+			channels: channels.slice(0, 1),
+			platformDelay: 0
+		});
+
+		assert.deepStrictEqual(sent.map(i => i.message), ["foo", "bar"]);
+		assert.deepStrictEqual(sent[0].options.attachments, attachments);
+	});
+
+	it("selects channels by platform and predicate", async () => {
+		const result = await Command.executeBatch({
+			command: "test",
+			user,
+			platform: 2,
+			filter: (channel) => channel.ID !== 4,
+			platformDelay: 0,
+			send: false
+		});
+
+		assert.deepStrictEqual(result.results.map(i => i.channel), [3]);
+		assert.strictEqual(sent.length, 0);
+	});
+
+	it("paces executions on the same platform", async () => {
+		await Command.executeBatch({
+			command: "test",
+			user,
+			channels: channels.slice(0, 2),
+			concurrency: 2,
+			platformDelay: 50
+		});
+
+		const [first, second] = executions;
+		assert.ok(second.time - first.time >= 45);
+	});
+});
@@ -0,0 +1,189 @@
+const assert = require("assert");
+const Command = require("../../../classes/command");
+const Platform = require("../../../classes/platform");
+
+describe("Command conversations", () => {
+	let command;
+	let platform;
+	let sent;
+	const user = { ID: 1, Name: "foo" };
+
+	// Answers each message sent by the context with the next provided reply, or lets it time out
+	const createContext = (replies) => {
+		platform.pm = async (message) => {
+			sent.push(message);
+
+			const reply = replies.shift();
+			if (typeof reply === "string") {
+				setImmediate(() => platform.resolveUserMessage(null, user, reply));
+			}
+		};
+
+		return Command.createFakeContext(command, { platform, user });
+	};
+
+	beforeEach(() => {
+		globalThis.sb = {
+			Config: {
+				get: () => null
+			},
+			Error: require("../../../objects/error"),
+			Promise: require("../../../objects/promise"),
+			Filter: {
+				getFlags: () => ({})
+			},
+			Localization: {
+				translate: async (key) => key
+			},
+			Utils: {
+				convertCase: (string) => string,
+				deepFreeze: (object) => Object.freeze(object)
+			}
+		};
+
+		sent = [];
+		platform = new Platform({
+			ID: 1,
+			Name: "test",
+			Message_Limit: 500,
+			Self_Name: null,
+			Self_ID: null,
+			Defaults: "{}",
+			Data: "{}"
+		});
+
+		command = new Command({
+			Name: "test",
+			Aliases: [],
+			Cooldown: 0,
+			Flags: [],
+			Params: [],
+			Code: () => ({}),
+			Dynamic_Description: null
+		});
+	});
+
+	it("resolves with the user's answer and cleans up the awaiter", async () => {
+		const context = createContext(["bar"]);
+		const result = await context.prompt("Question?");
+
+		assert.deepStrictEqual(result, { success: true, reason: null, value: "bar" });
+		assert.deepStrictEqual(sent, ["Question?"]);
+		assert.strictEqual(platform.userMessagePromises.size, 0);
+	});
+
+	it("asks again after an invalid answer", async () => {
+		const context = createContext(["abc", "123"]);
+		const result = await context.prompt("Number?", {
+			retries: 1,
+			validate: (answer) => /^\d+$/.test(answer) || "Not a number!"
+		});
+
+		assert.strictEqual(result.value, "123");
+		assert.deepStrictEqual(sent, ["Number?", "Not a number!"]);
+	});
+
+	it("ends on cancellation words and timeouts", async () => {
+		const cancelled = await createContext(["Cancel"]).prompt("Question?");
+		assert.strictEqual(cancelled.reason, "cancelled");
+
+		const timedOut = await createContext([]).prompt("Question?", { timeout: 10 });
+		assert.strictEqual(timedOut.reason, "timeout");
+		assert.strictEqual(platform.userMessagePromises.size, 0);
+	});
+
+	it("confirms only on a positive answer", async () => {
+		assert.strictEqual(await createContext(["yes"]).confirm("Sure?"), true);
+		assert.strictEqual(await createContext(["no"]).confirm("Sure?"), false);
+		assert.strictEqual(await createContext(["maybe", "y"]).confirm("Sure?", { retries: 1 }), true);
+	});
+
+	it("asks multiple questions in sequence", async () => {
+		const context = createContext(["foo", "cancel"]);
+		const result = await context.converse([
+			{ name: "first", question: "First?" },
+			{ name: "second", question: "Second?" }
+		]);
+
+		assert.strictEqual(result.success, false);
+		assert.strictEqual(result.failedQuestion, "second");
+		assert.deepStrictEqual(result.answers, { first: "foo" });
+	});
+
+	it("cancels the awaiter once the context is aborted", async () => {
+		const controller = new AbortController();
+		platform.pm = async () => setImmediate(() => controller.abort());
+
+		const context = Command.createFakeContext(command, { platform, user }, { signal: controller.signal });
+		const result = await context.prompt("Question?");
+
+		assert.strictEqual(result.reason, "aborted");
+		assert.strictEqual(platform.userMessagePromises.size, 0);
+	});
+
+	it("only cancels awaiters created with the provided signal", async () => {
+		const first = new AbortController();
+		const second = new AbortController();
+		const promise = platform.waitForUserMessage(null, user, { signal: first.signal });
+
+		assert.strictEqual(platform.cancelUserMessage(null, user, { signal: second.signal }), false);
+		assert.strictEqual(platform.userMessagePromises.size, 1);
+
+		assert.strictEqual(platform.cancelUserMessage(null, user, { signal: first.signal }), true);
+		assert.strictEqual(await promise, null);
+	});
+
+	describe("in checkAndExecute", () => {
+		const { createChannel, createEnvironment, createUser } = require("./fixture.js");
+		const executor = createUser(1);
+
+		let channel;
+		beforeEach(() => {
+			createEnvironment();
+			channel = createChannel(1, platform);
+			channel.send = async () => {};
+			channel.mirror = async () => {};
+
+			Command.data = [
+				new Command({
+					Name: "ask",
+					Aliases: [],
+					Cooldown: 0,
+					Flags: [],
+					Params: [],
+					Code: async (context) => {
+						// Not awaited on purpose - the awaiter outlives the execution
+						context.prompt("Question?");
+						await new Promise(resolve => setImmediate(resolve));
+
+						return { reply: "asked" };
+					},
+					Dynamic_Description: null
+				}),
+				command
+			];
+		});
+
+		afterEach(() => {
+			Command.data = [];
+		});
+
+		it("cancels the awaiter left over by the execution", async () => {
+			const result = await Command.checkAndExecute("ask", [], channel, executor, { platform });
+			assert.strictEqual(result.reply, "asked");
+			assert.strictEqual(platform.userMessagePromises.size, 0);
+		});
+
+		it("keeps awaiters created by other executions", async () => {
+			const other = new AbortController();
+			const promise = platform.waitForUserMessage(channel, executor, { signal: other.signal });
+
+			const result = await Command.checkAndExecute("test", [], channel, executor, { platform });
+			assert.strictEqual(result.success, true);
+			assert.strictEqual(platform.userMessagePromises.size, 1);
+
+			platform.resolveUserMessage(channel, executor, "answer");
+			assert.deepStrictEqual(await promise, { message: "answer" });
+		});
+	});
+});
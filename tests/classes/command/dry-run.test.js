@@ -0,0 +1,123 @@
+const assert = require("assert");
+const Command = require("../../../classes/command");
+const {
+	createChannel,
+	createCommand,
+	createEnvironment,
+	createPlatform,
+	createUser
+} = require("./fixture.js");
+
+const getGate = (result, name) => result.gates.find(i => i.name === name);
+
+describe("Command dry runs", () => {
+	const platform = createPlatform();
+	const channel = createChannel(1, platform);
+	const user = createUser(1);
+
+	let executions;
+	beforeEach(() => {
+		createEnvironment();
+		executions = 0;
+
+		Command.data = [
+			createCommand({
+				Name: "echo",
+				Cooldown: 10000,
+				Code: (context, ...args) => {
+					executions++;
+					return { reply: args.join(" ") };
+				}
+			})
+		];
+	});
+
+	afterEach(() => {
+		Command.data = [];
+	});
+
+	it("reports all gates as passed without any side effects", async () => {
+		const result = await Command.checkAndExecute("echo", ["foo"], channel, user, { dryRun: true });
+
+		assert.strictEqual(result.success, true);
+		assert.strictEqual(result.dryRun, true);
+		assert.strictEqual(result.command, "echo");
+		assert.ok(result.gates.every(i => i.passed));
+
+		assert.strictEqual(executions, 0);
+		assert.strictEqual(await sb.CooldownManager.fetchPending(user.ID), null);
+		assert.strictEqual(await sb.CooldownManager.check(channel.ID, user.ID, "echo"), true);
+	});
+
+	it("reports active cooldowns and pending statuses", async () => {
+		await sb.CooldownManager.set(channel.ID, user.ID, "echo", 10000);
+		await sb.CooldownManager.setPending(user.ID, "pending");
+
+		const result = await Command.checkAndExecute("echo", [], channel, user, { dryRun: true });
+		assert.strictEqual(result.success, false);
+		assert.strictEqual(result.reason, "cooldown");
+		assert.strictEqual(getGate(result, "cooldown").passed, false);
+		assert.strictEqual(getGate(result, "pending").passed, false);
+		assert.strictEqual(getGate(result, "pending").detail.description, "pending");
+
+		const skipped = await Command.checkAndExecute("echo", [], channel, createUser(2), { dryRun: true });
+		assert.strictEqual(skipped.success, true);
+		assert.strictEqual(executions, 0);
+	});
+
+	it("checks the invocation against banphrases", async () => {
+		const checked = [];
+		sb.Banphrase.execute = async (string) => {
+			checked.push(string);
+			const passed = !string.includes("forbidden");
+			return { passed, privateMessage: null, string: (passed) ? string : "[banphrased]" };
+		};
+
+		const passing = await Command.checkAndExecute("echo", ["hello"], channel, user, { dryRun: true });
+		assert.strictEqual(getGate(passing, "banphrase").passed, true);
+
+		const failing = await Command.checkAndExecute("echo", ["forbidden"], channel, user, { dryRun: true });
+		const gate = getGate(failing, "banphrase");
+		assert.strictEqual(failing.success, false);
+		assert.strictEqual(failing.reason, "banphrase");
+		assert.strictEqual(gate.passed, false);
+		assert.strictEqual(gate.detail.message, "echo forbidden");
+		assert.strictEqual(gate.detail.result, "[banphrased]");
+
+		const custom = await Command.checkAndExecute("echo", ["hello"], channel, user, {
+			dryRun: true,
+			dryRunReply: "forbidden reply"
+		});
+		assert.strictEqual(getGate(custom, "banphrase").passed, false);
+
+		const skipped = await Command.checkAndExecute("echo", ["forbidden"], channel, user, {
+			dryRun: true,
+			skipBanphrases: true
+		});
+		assert.strictEqual(getGate(skipped, "banphrase").passed, true);
+		assert.strictEqual(getGate(skipped, "banphrase").detail.applies, false);
+
+		assert.deepStrictEqual(checked, ["echo hello", "echo forbidden", "forbidden reply"]);
+		assert.strictEqual(executions, 0);
+	});
+
+	it("checks the filter's rejection reply against banphrases", async () => {
+		sb.Filter.execute = async () => ({
+			success: false,
+			reason: "blacklist",
+			reply: "forbidden reason",
+			filter: { ID: 1, Response: "Reason" }
+		});
+		sb.Banphrase.execute = async (string) => ({
+			passed: !string.includes("forbidden"),
+			privateMessage: null,
+			string
+		});
+
+		const result = await Command.checkAndExecute("echo", ["hello"], channel, user, { dryRun: true });
+		assert.strictEqual(result.reason, "blacklist");
+		assert.strictEqual(getGate(result, "filter").passed, false);
+		assert.strictEqual(getGate(result, "banphrase").passed, false);
+		assert.strictEqual(getGate(result, "banphrase").detail.message, "forbidden reason");
+	});
+});
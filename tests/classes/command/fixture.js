@@ -0,0 +1,143 @@
+const config = {
+	WHITESPACE_REGEX: /[\u034f\u2800\u{E0000}\u180e\ufeff\u2000-\u200d\u206D]/gu,
+	COMMAND_ERROR_GENERIC: (errorID) => `An error occurred! (${errorID})`,
+	COMMAND_ERROR_DEVELOPER: (errorID, error) => `${error.message} (${errorID})`
+};
+
+/**
+ * Creates a fake database transaction, which records the calls made to it.
+ * @returns {{ state: string|null, ended: boolean, commit: Function, rollback: Function, end: Function }}
+ */
+const createTransaction = () => ({
+	state: null,
+	ended: false,
+	async commit () { this.state = "commit"; },
+	async rollback () { this.state = "rollback"; },
+	async end () { this.ended = true; }
+});
+
+const createUser = (ID, data = {}) => ({
+	ID,
+	Name: `user${ID}`,
+	getDataProperty: async (name) => data[name] ?? null
+});
+
+const createChannel = (ID, platform, data = {}) => ({
+	ID,
+	Name: `channel${ID}`,
+	Mode: "Write",
+	Mention: false,
+	Platform: platform,
+	getDataProperty: async (name) => data[name] ?? null,
+	isUserChannelOwner: () => false
+});
+
+const createPlatform = (ID = 1) => ({
+	ID,
+	Name: `platform${ID}`,
+	cancelUserMessage: () => false
+});
+
+/**
+ * Sets up the `sb` global with everything `Command.checkAndExecute` needs.
+ * Cooldowns, pending statuses and localization use the real in-memory modules, while filters, banphrases and logging
+ * are permissive stubs that can be replaced in individual tests.
+ * @param {Object} [configValues] Config values, in addition to the default ones
+ * @returns {Object} The created `sb` global
+ */
+const createEnvironment = (configValues = {}) => {
+	globalThis.sb = {
+		Error: require("../../../objects/error"),
+		Date: require("../../../objects/date"),
+		Promise: require("../../../objects/promise"),
+		Config: {
+			get: (name) => configValues[name] ?? config[name] ?? null
+		},
+		Cron: class {
+			start () { return this; }
+		},
+		Got: {
+			RequestError: class RequestError extends Error {}
+		},
+		Utils: {
+			convertCase: (string) => string.replace(/-(\w)/g, (total, match) => match.toUpperCase()),
+			deepFreeze: (object) => Object.freeze(object),
+			formatTime: (seconds) => `${seconds}s`,
+			isValidInteger: (input, min = 0) => Number.isInteger(input) && input >= min,
+			round: (number, places = 0) => Math.round(number * (10 ** places)) / (10 ** places),
+			timeDelta: (date) => `${date.valueOf()}ms`,
+			wrapString: (string) => string
+		}
+	};
+
+	sb.errors = {
+		CommandTimeoutError: require("../../../objects/errors/command-timeout"),
+		GenericRequestError: require("../../../objects/errors/generic-request")
+	};
+
+	const CooldownManager = require("../../../singletons/cooldown-manager.js");
+	const Localization = require("../../../singletons/localization");
+
+	sb.CooldownManager = new CooldownManager();
+	sb.Localization = new Localization();
+	sb.Filter = {
+		execute: async () => ({ success: true }),
+		getCooldownModifiers: () => null,
+		getQuotas: () => [],
+		getLocals: () => [],
+		getFlags: () => ({}),
+		getMentionStatus: () => true,
+		applyUnping: async ({ string }) => string
+	};
+	sb.Banphrase = {
+		execute: async (string) => ({ passed: true, privateMessage: null, string })
+	};
+	sb.Runtime = {
+		incrementCommandsCounter: async () => {},
+		incrementRejectedCommands: async () => {}
+	};
+	sb.Logger = {
+		errors: [],
+		log: async () => {},
+		logCommandExecution: () => {},
+		async logError (tag, error) {
+			this.errors.push(error);
+			return this.errors.length;
+		}
+	};
+	sb.Query = {
+		getTransaction: async () => createTransaction()
+	};
+
+	return sb;
+};
+
+/**
+ * Creates a command with a minimal valid definition, overridden by the provided properties.
+ * @param {Object} [data]
+ * @returns {Command}
+ */
+const createCommand = (data = {}) => {
+	const Command = require("../../../classes/command");
+	return new Command({
+		Name: "test",
+		Aliases: [],
+		Description: null,
+		Cooldown: 0,
+		Flags: [],
+		Params: [],
+		Whitelist_Response: null,
+		Code: () => ({ reply: "test" }),
+		Dynamic_Description: null,
+		...data
+	});
+};
+
+module.exports = {
+	createChannel,
+	createCommand,
+	createEnvironment,
+	createPlatform,
+	createTransaction,
+	createUser
+};
@@ -0,0 +1,85 @@
+const assert = require("assert");
+const { createCommand, createEnvironment } = require("./fixture.js");
+
+describe("Command usage and help", () => {
+	let command;
+
+	beforeEach(() => {
+		createEnvironment({
+			COMMAND_PREFIX: "$",
+			COMMAND_DETAIL_URL: "https://example.com/command"
+		});
+
+		command = createCommand({
+			Name: "weather",
+			Aliases: ["w"],
+			Description: "Fetches the weather.",
+			Cooldown: 10000,
+			Flags: ["mention", "pipe"],
+			Params: [
+				{ name: "location", type: "string", required: true },
+				{ name: "units", type: "string", enum: ["metric", "imperial"], default: "metric" },
+				{ name: "days", type: "number", min: 1, max: 7 },
+				{ name: "tag", type: "string", list: true }
+			],
+			Subcommands: [
+				{ name: "alert", description: "Shows weather alerts.", cooldown: 30000, code: () => ({}) }
+			]
+		});
+	});
+
+	it("creates the usage line from the params definition", () => {
+		assert.strictEqual(
+			command.getUsage(),
+			"$weather <location:string> [units:string=metric] [days:number] [tag:string...]"
+		);
+		assert.strictEqual(command.getUsage("alert"), "$weather alert");
+	});
+
+	it("creates the plain help text", async () => {
+		const help = await command.getHelp();
+		assert.strictEqual(help, [
+			"weather (aliases: w): Fetches the weather.",
+			"Usage: $weather <location:string> [units:string=metric] [days:number] [tag:string...]",
+			"Parameters:",
+			"  location (string, required)",
+			"  units (string, default: metric, one of: metric, imperial)",
+			"  days (number, range: 1 to 7)",
+			"  tag (string, repeatable)",
+			"Subcommands:",
+			"  $weather alert - Shows weather alerts.",
+			"Flags: [mention] [pipe]",
+			"Cooldown: 10s",
+			"More info: https://example.com/command/weather"
+		].join("\n"));
+	});
+
+	it("creates the markdown help text", async () => {
+		const help = await command.getHelp({ format: "markdown" });
+		const lines = help.split("\n");
+
+		assert.strictEqual(lines[0], "### weather");
+		assert.ok(lines.includes("**Aliases:** `w`"));
+		assert.ok(lines.includes("- `units` (string, default: metric, one of: metric, imperial)"));
+		assert.ok(lines.includes("**Flags:** `mention` `pipe`"));
+	});
+
+	it("creates the JSON help data, also for subcommands", async () => {
+		const help = await command.getHelp({ format: "json" });
+		assert.strictEqual(help.name, "weather");
+		assert.deepStrictEqual(help.flags, ["mention", "pipe"]);
+		assert.strictEqual(help.params.length, 4);
+		assert.deepStrictEqual(help.subcommands.map(i => i.usage), ["$weather alert"]);
+		assert.strictEqual(help.dynamicDescription, null);
+
+		const subcommandHelp = await command.getHelp({ format: "json", subcommand: "alert" });
+		assert.strictEqual(subcommandHelp.name, "weather alert");
+		assert.strictEqual(subcommandHelp.cooldown, 30000);
+		assert.deepStrictEqual(subcommandHelp.subcommands, []);
+	});
+
+	it("rejects unknown formats and subcommands", async () => {
+		await assert.rejects(() => command.getHelp({ format: "html" }), /Invalid help format/);
+		await assert.rejects(() => command.getHelp({ subcommand: "foo" }), /Subcommand does not exist/);
+	});
+});
@@ -0,0 +1,123 @@
+const assert = require("assert");
+const Command = require("../../../classes/command");
+const {
+	createChannel,
+	createCommand,
+	createEnvironment,
+	createPlatform,
+	createTransaction,
+	createUser
+} = require("./fixture.js");
+
+describe("Command middleware", () => {
+	const platform = createPlatform();
+	const channel = createChannel(1, platform);
+	const user = createUser(1);
+
+	let executed;
+	let transaction;
+	let unregisters;
+
+	const register = (stage, handler) => unregisters.push(Command.registerMiddleware(stage, handler));
+	const execute = (args = []) => Command.checkAndExecute("test", args, channel, user, { platform });
+
+	beforeEach(() => {
+		const sb = createEnvironment();
+		transaction = createTransaction();
+		sb.Query.getTransaction = async () => transaction;
+
+		executed = [];
+		unregisters = [];
+		Command.data = [
+			createCommand({
+				Cooldown: 10000,
+				Flags: ["rollback"],
+				Code: (context, ...args) => {
+					executed.push(args);
+					return { reply: args.join(" ") || "empty" };
+				}
+			})
+		];
+	});
+
+	afterEach(() => {
+		for (const unregister of unregisters) {
+			unregister();
+		}
+
+		Command.data = [];
+	});
+
+	it("runs handlers in order, letting them change the arguments", async () => {
+		const stages = [];
+		for (const stage of Command.middlewareStages) {
+			register(stage, (state) => {
+				stages.push(state.stage);
+			});
+		}
+
+		register("before-filter", (state) => {
+			state.args = [...state.args, "bar"];
+		});
+
+		const result = await execute(["foo"]);
+		assert.strictEqual(result.reply, "foo bar");
+		assert.deepStrictEqual(stages, Command.middlewareStages);
+	});
+
+	it("short-circuits the execution with a returned object", async () => {
+		register("before-execute", () => ({ success: false, reply: "stopped" }));
+
+		const result = await execute();
+		assert.strictEqual(result.reply, "stopped");
+		assert.strictEqual(executed.length, 0);
+		assert.strictEqual(await sb.CooldownManager.fetchPending(user.ID), null);
+		assert.strictEqual(transaction.state, "rollback");
+	});
+
+	it("uses the filter result replaced in the after-filter stage", async () => {
+		register("after-filter", (state) => {
+			state.filterData = {
+				success: false,
+				reason: "middleware",
+				reply: "filtered",
+				filter: { Active: true, Response: "Auto" }
+			};
+		});
+
+		const result = await execute();
+		assert.strictEqual(result.reason, "middleware");
+		assert.strictEqual(executed.length, 0);
+	});
+
+	it("applies the cooldown when the after-execute stage short-circuits", async () => {
+		register("after-execute", () => ({ reply: "replaced" }));
+
+		const result = await execute();
+		assert.strictEqual(result.reply, "replaced");
+		assert.strictEqual(await sb.CooldownManager.check(channel.ID, user.ID, "test", true), false);
+	});
+
+	it("releases the pending status and the transaction if a handler throws", async () => {
+		register("before-execute", () => {
+			throw new Error("Middleware failed");
+		});
+
+		await assert.rejects(() => execute(), /Middleware failed/);
+		assert.strictEqual(executed.length, 0);
+		assert.strictEqual(await sb.CooldownManager.fetchPending(user.ID), null);
+		assert.strictEqual(transaction.state, "rollback");
+		assert.strictEqual(transaction.ended, true);
+	});
+
+	it("does not run unregistered handlers", async () => {
+		const handler = () => ({ reply: "middleware" });
+		Command.registerMiddleware("before-filter", handler);
+		assert.strictEqual(Command.unregisterMiddleware("before-filter", handler), true);
+		assert.strictEqual(Command.unregisterMiddleware("before-filter", handler), false);
+
+		const result = await execute();
+		assert.strictEqual(result.reply, "empty");
+		assert.throws(() => Command.registerMiddleware("foo", handler), /Invalid middleware stage/);
+	});
+});
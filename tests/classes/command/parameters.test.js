@@ -367,4 +367,108 @@ describe("Command parameter parsing", () => {
 			}
 		});
 	});
+
+	describe("parameter schema", () => {
+		it("applies default values for missing parameters", () => {
+			const result = Command.parseParametersFromArguments(
+				[
+					{ name: "count", type: "number", default: 5 },
+					{ name: "mode", type: "string", default: "fast" }
+				],
+				["mode:slow"]
+			);
+
+			assert.strictEqual(result.success, true, `Param parsing must not fail: ${JSON.stringify(result)}`);
+			assert.deepStrictEqual(result.parameters, { count: 5, mode: "slow" }, "Defaults must only fill in missing params");
+		});
+
+		it("fails for a missing required parameter", () => {
+			const definition = [{ name: "user", type: "string", required: true }];
+			const result = Command.parseParametersFromArguments(definition, ["foo"]);
+
+			assert.strictEqual(result.success, false, `Param parsing must fail: ${JSON.stringify(result)}`);
+			assert.match(result.reply, /"user" is required/, "Error message must be specific");
+
+			const delimitedResult = Command.parseParametersFromArguments(definition, ["--", "user:foo"]);
+			assert.strictEqual(delimitedResult.success, false, "Required params must be checked when the delimiter is used");
+		});
+
+		it("checks enum values", () => {
+			const definition = [{ name: "mode", enum: ["fast", "slow"], type: "string" }];
+
+			const valid = Command.parseParametersFromArguments(definition, ["mode:fast"]);
+			assert.strictEqual(valid.success, true, `Param parsing must not fail: ${JSON.stringify(valid)}`);
+
+			const invalid = Command.parseParametersFromArguments(definition, ["mode:medium"]);
+			assert.strictEqual(invalid.success, false, `Param parsing must fail: ${JSON.stringify(invalid)}`);
+			assert.match(invalid.reply, /must be one of: fast, slow/, "Error message must list the allowed values");
+		});
+
+		it("checks numeric ranges", () => {
+			const definition = [{ name: "amount", type: "number", min: 1, max: 10 }];
+			for (const value of ["1", "5", "10"]) {
+				const result = Command.parseParametersFromArguments(definition, [`amount:${value}`]);
+				assert.strictEqual(result.success, true, `Param parsing must not fail: ${JSON.stringify(result)}`);
+			}
+
+			const low = Command.parseParametersFromArguments(definition, ["amount:0"]);
+			assert.match(low.reply, /must be at least 1/, "Error message must be specific");
+
+			const high = Command.parseParametersFromArguments(definition, ["amount:11"]);
+			assert.match(high.reply, /must be at most 10/, "Error message must be specific");
+		});
+
+		it("checks string length and pattern", () => {
+			const definition = [{ name: "code", type: "string", minLength: 2, maxLength: 4, pattern: "^[a-z]+$" }];
+
+			const valid = Command.parseParametersFromArguments(definition, ["code:abc"]);
+			assert.strictEqual(valid.success, true, `Param parsing must not fail: ${JSON.stringify(valid)}`);
+
+			const short = Command.parseParametersFromArguments(definition, ["code:a"]);
+			assert.match(short.reply, /at least 2 characters/, "Error message must be specific");
+
+			const long = Command.parseParametersFromArguments(definition, ["code:abcde"]);
+			assert.match(long.reply, /at most 4 characters/, "Error message must be specific");
+
+			const format = Command.parseParametersFromArguments(definition, ["code:AB1"]);
+			assert.match(format.reply, /not in the correct format/, "Error message must be specific");
+		});
+
+		it("collects repeated list parameters into an array", () => {
+			const result = Command.parseParametersFromArguments(
+				[{ name: "tag", type: "string", list: true }],
+				["tag:foo", "bar", "tag:\"baz buz\""]
+			);
+
+			assert.strictEqual(result.success, true, `Param parsing must not fail: ${JSON.stringify(result)}`);
+			assert.deepStrictEqual(result.parameters.tag, ["foo", "baz buz"], "All values must be collected in order");
+			assert.deepStrictEqual(result.args, ["bar"], "Remaining args must be returned");
+		});
+
+		it("fails for mutually exclusive parameters", () => {
+			const definition = [
+				{ name: "user", type: "string", exclusive: "target" },
+				{ name: "channel", type: "string", exclusive: "target" },
+				{ name: "limit", type: "number" }
+			];
+
+			const valid = Command.parseParametersFromArguments(definition, ["user:foo", "limit:5"]);
+			assert.strictEqual(valid.success, true, `Param parsing must not fail: ${JSON.stringify(valid)}`);
+
+			const invalid = Command.parseParametersFromArguments(definition, ["user:foo", "channel:bar"]);
+			assert.strictEqual(invalid.success, false, `Param parsing must fail: ${JSON.stringify(invalid)}`);
+			assert.match(invalid.reply, /"user" and "channel" cannot be used together/, "Error message must be specific");
+		});
+
+		it("uses the custom error message if provided", () => {
+			const error = "Amount must be a small positive number!";
+			const definition = [{ name: "amount", type: "number", min: 1, error }];
+
+			for (const value of ["foo", "0"]) {
+				const result = Command.parseParametersFromArguments(definition, [`amount:${value}`]);
+				assert.strictEqual(result.success, false, `Param parsing must fail: ${JSON.stringify(result)}`);
+				assert.strictEqual(result.reply, error, "Custom error message must be used");
+			}
+		});
+	});
 });
@@ -0,0 +1,48 @@
+const assert = require("assert");
+const Command = require("../../../classes/command");
+const {
+	createChannel,
+	createCommand,
+	createEnvironment,
+	createPlatform,
+	createUser
+} = require("./fixture.js");
+
+describe("Command pending status", () => {
+	const platform = createPlatform();
+	const channel = createChannel(1, platform);
+
+	let executions;
+	beforeEach(() => {
+		createEnvironment();
+		executions = 0;
+
+		Command.data = [
+			createCommand({
+				Code: async () => {
+					executions++;
+					await new Promise(resolve => setImmediate(resolve));
+					return { reply: "test" };
+				}
+			})
+		];
+	});
+
+	afterEach(() => {
+		Command.data = [];
+	});
+
+	it("lets only one of simultaneous executions of the same user run", async () => {
+		const user = createUser(1);
+		const results = await Promise.all([
+			Command.checkAndExecute("test", [], channel, user, { platform }),
+			Command.checkAndExecute("test", [], channel, user, { platform, privateMessage: true })
+		]);
+
+		assert.strictEqual(results[0].reply, "test");
+		assert.strictEqual(results[1].reason, "pending");
+		assert.match(results[1].reply, /You have a pending command: "test"/);
+		assert.strictEqual(executions, 1);
+		assert.strictEqual(await sb.CooldownManager.fetchPending(user.ID), null);
+	});
+});
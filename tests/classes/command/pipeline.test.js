@@ -0,0 +1,150 @@
+const assert = require("assert");
+const Command = require("../../../classes/command");
+const {
+	createChannel,
+	createCommand,
+	createEnvironment,
+	createPlatform,
+	createUser
+} = require("./fixture.js");
+
+describe("Command pipelines", () => {
+	const platform = createPlatform();
+	const channel = createChannel(1, platform);
+	const user = createUser(1);
+
+	beforeEach(() => {
+		createEnvironment();
+		Command.data = [
+			createCommand({
+				Name: "echo",
+				Flags: ["pipe"],
+				Code: (context, ...args) => ({ reply: args.join(" ") })
+			}),
+			createCommand({
+				Name: "upper",
+				Flags: ["pipe"],
+				Code: (context, ...args) => ({ reply: args.join(" ").toUpperCase() })
+			}),
+			createCommand({
+				Name: "fail",
+				Flags: ["pipe"],
+				Code: () => ({ success: false, reply: "nope" })
+			}),
+			createCommand({
+				Name: "nopipe",
+				Code: () => ({ reply: "nopipe" })
+			})
+		];
+	});
+
+	afterEach(() => {
+		Command.data = [];
+	});
+
+	it("passes each step's reply to the next step", async () => {
+		const result = await Command.executePipeline([
+			{ args: ["foo", "bar"], identifier: "echo" },
+			{ identifier: "upper" }
+		], channel, user, { platform });
+
+		assert.strictEqual(result.success, true);
+		assert.strictEqual(result.reply, "FOO BAR");
+		assert.deepStrictEqual(result.trace.map(i => i.args), [["foo", "bar"], ["foo", "bar"]]);
+		assert.strictEqual(await sb.CooldownManager.fetchPending(user.ID), null);
+	});
+
+	it("reports the failed step with a localized message", async () => {
+		const result = await Command.executePipeline([
+			{ args: ["foo"], identifier: "echo" },
+			{ identifier: "fail" },
+			{ identifier: "upper" }
+		], channel, user, { platform });
+
+		assert.strictEqual(result.success, false);
+		assert.strictEqual(result.trace.length, 2);
+		assert.strictEqual(result.reply, "Pipeline step 2 (fail) failed: nope");
+
+		const unpipeable = await Command.executePipeline([{ identifier: "nopipe" }], channel, user, { platform });
+		assert.strictEqual(unpipeable.reason, "pipe-unsupported");
+		assert.strictEqual(unpipeable.reply, "Pipeline step 1 (nopipe) failed: Command \"nopipe\" cannot be used in a pipeline!");
+	});
+
+	it("keeps the pipeline's pending status during all of its steps", async () => {
+		const pendings = [];
+		Command.data.push(createCommand({
+			Name: "peek",
+			Flags: ["pipe"],
+			Code: async (context, ...args) => {
+				const pending = await sb.CooldownManager.fetchPending(user.ID);
+				pendings.push(pending?.description ?? null);
+				return { reply: args.join(" ") };
+			}
+		}));
+
+		const result = await Command.executePipeline([
+			{ args: ["foo"], identifier: "peek" },
+			{ identifier: "echo" },
+			{ identifier: "peek" }
+		], channel, user, { platform });
+
+		assert.strictEqual(result.success, true);
+		assert.strictEqual(pendings.length, 2);
+		assert.ok(pendings.every(i => i?.includes("peek | echo | peek")));
+		assert.strictEqual(await sb.CooldownManager.fetchPending(user.ID), null);
+	});
+
+	it("checks cooldowns before the pipeline, and sets them once it has finished", async () => {
+		const cooldownUser = createUser(2);
+		Command.data[0] = createCommand({
+			Name: "echo",
+			Cooldown: 5000,
+			Flags: ["pipe"],
+			Code: (context, ...args) => ({ reply: args.join(" ") })
+		});
+
+		const result = await Command.executePipeline([
+			{ args: ["foo"], identifier: "echo" },
+			{ identifier: "echo" }
+		], channel, cooldownUser, { platform });
+
+		assert.strictEqual(result.success, true);
+		assert.strictEqual(result.reply, "foo");
+		assert.strictEqual(await sb.CooldownManager.check(channel.ID, cooldownUser.ID, "echo", true), false);
+
+		const repeated = await Command.executePipeline([
+			{ args: ["foo"], identifier: "upper" },
+			{ identifier: "echo" }
+		], channel, cooldownUser, { platform });
+
+		assert.strictEqual(repeated.success, false);
+		assert.strictEqual(repeated.reason, "cooldown");
+		assert.deepStrictEqual(repeated.trace, []);
+	});
+
+	it("rejects the pipeline while the user has a pending command", async () => {
+		await sb.CooldownManager.setPending(user.ID, "pending");
+
+		const result = await Command.executePipeline([{ identifier: "echo" }], channel, user, { platform });
+		assert.strictEqual(result.success, false);
+		assert.strictEqual(result.reason, "pending");
+	});
+
+	it("releases the pending status if a step throws", async () => {
+		Command.data.push(createCommand({ Flags: ["pipe"], Name: "explode" }));
+		sb.Filter.execute = async ({ command }) => {
+			if (command.Name === "explode") {
+				throw new Error("Filters are down");
+			}
+
+			return { success: true };
+		};
+
+		await assert.rejects(
+			() => Command.executePipeline([{ identifier: "echo" }, { identifier: "explode" }], channel, user, { platform }),
+			/Filters are down/
+		);
+
+		assert.strictEqual(await sb.CooldownManager.fetchPending(user.ID), null);
+	});
+});
@@ -0,0 +1,87 @@
+const assert = require("assert");
+const Command = require("../../../classes/command");
+const {
+	createChannel,
+	createCommand,
+	createEnvironment,
+	createPlatform,
+	createUser
+} = require("./fixture.js");
+
+describe("Command quotas", () => {
+	const platform = createPlatform();
+	const channel = createChannel(1, platform);
+
+	beforeEach(() => {
+		createEnvironment();
+
+		const QuotaManager = require("../../../singletons/quota-manager.js");
+		sb.QuotaManager = new QuotaManager();
+
+		Command.data = [
+			createCommand({
+				Name: "limited",
+				Quota: { limit: 1, window: "day" },
+				Code: (context, mode) => {
+					if (mode === "fail") {
+						throw new Error("Command failed");
+					}
+
+					return { reply: "ok" };
+				}
+			})
+		];
+	});
+
+	afterEach(() => {
+		Command.data = [];
+	});
+
+	it("rejects executions over the quota", async () => {
+		const user = createUser(1);
+		const first = await Command.checkAndExecute("limited", [], channel, user, { platform });
+		assert.strictEqual(first.reply, "ok");
+
+		await sb.CooldownManager.unset(channel.ID, user.ID, "limited");
+
+		const second = await Command.checkAndExecute("limited", [], channel, user, { platform });
+		assert.strictEqual(second.success, false);
+		assert.strictEqual(second.reason, "quota");
+	});
+
+	it("gives the quota back if the command fails", async () => {
+		const user = createUser(2);
+		const failed = await Command.checkAndExecute("limited", ["fail"], channel, user, { platform });
+		assert.match(failed.reply, /An error occurred!/);
+
+		const [quota] = Command.get("limited").Quota;
+		const check = await sb.QuotaManager.check("limited", [quota], { user, channel, platform });
+		assert.strictEqual(check.success, true);
+	});
+
+	it("does not limit administrators", async () => {
+		const user = createUser(3, { administrator: true });
+		for (let i = 0; i < 3; i++) {
+			const result = await Command.checkAndExecute("limited", [], channel, user, { platform });
+			assert.strictEqual(result.reply, "ok");
+
+			await sb.CooldownManager.unset(channel.ID, user.ID, "limited");
+		}
+	});
+
+	it("ignores quota definitions if the quota manager is not available", () => {
+		const originalWarn = console.warn;
+		const warnings = [];
+		console.warn = (...args) => warnings.push(args);
+
+		try {
+			delete sb.QuotaManager;
+			const command = createCommand({ Name: "unmanaged", Quota: { limit: 1, window: "day" } });
+			assert.deepStrictEqual(command.Quota, []);
+			assert.strictEqual(warnings.length, 1);
+		}
+		finally {
+			console.warn = originalWarn;
+		}
+	});
+});
@@ -0,0 +1,110 @@
+const assert = require("assert");
+const Command = require("../../../classes/command");
+const { createEnvironment } = require("./fixture.js");
+
+// Parameter of an unknown type, which makes the definition invalid
+const invalidParams = {
+	Params: [{ name: "x", type: "foo" }]
+};
+
+const createDefinition = (Name, Aliases = [], data = {}) => ({
+	Name,
+	Aliases,
+	Description: null,
+	Cooldown: 0,
+	Flags: [],
+	Params: [],
+	Whitelist_Response: null,
+	Code: () => ({ reply: Name }),
+	Dynamic_Description: null,
+	...data
+});
+
+describe("Command reloading", () => {
+	beforeEach(() => {
+		const sb = createEnvironment({ COMMAND_PREFIX: "$" });
+		sb.Query.getRow = async () => ({
+			loaded: true,
+			load: async () => {}
+		});
+
+		Command.data = [];
+		Command.definitions = [];
+	});
+
+	afterEach(() => {
+		Command.data = [];
+		Command.definitions = [];
+	});
+
+	it("swaps in the provided definitions and reports the difference", async () => {
+		await Command.reloadData([createDefinition("foo"), createDefinition("bar")]);
+		const previousFoo = Command.get("foo");
+
+		const result = await Command.reloadData([createDefinition("foo"), createDefinition("baz")]);
+		assert.strictEqual(result.success, true);
+		assert.deepStrictEqual(result.diff, {
+			added: ["baz"],
+			removed: ["bar"],
+			changed: ["foo"],
+			failed: []
+		});
+
+		assert.deepStrictEqual(Command.data.map(i => i.Name), ["foo", "baz"]);
+		assert.notStrictEqual(Command.get("foo"), previousFoo);
+		assert.deepStrictEqual(Command.definitions.map(i => i.Name), ["foo", "baz"]);
+	});
+
+	it("keeps previous instances of commands that fail to load", async () => {
+		await Command.reloadData([createDefinition("foo"), createDefinition("bar")]);
+		const previousFoo = Command.get("foo");
+
+		const result = await Command.reloadData([
+			createDefinition("foo", [], invalidParams),
+			createDefinition("bar")
+		]);
+
+		assert.strictEqual(result.success, false);
+		assert.strictEqual(result.reason, "partial-failure");
+		assert.deepStrictEqual(result.failed.map(i => [i.identifier, i.reason]), [["foo", "invalid-definition"]]);
+		assert.strictEqual(Command.get("foo"), previousFoo);
+	});
+
+	it("reports a failure if every command fails to load", async () => {
+		await Command.reloadData([createDefinition("foo"), createDefinition("bar")]);
+		const previousData = [...Command.data];
+
+		const result = await Command.reloadData([
+			createDefinition("foo", [], invalidParams),
+			createDefinition("bar", [], invalidParams)
+		]);
+
+		assert.strictEqual(result.success, false);
+		assert.strictEqual(result.reason, "all-failed");
+		assert.deepStrictEqual(result.diff.failed, ["foo", "bar"]);
+		assert.deepStrictEqual(Command.data, previousData);
+	});
+
+	it("detects name collisions between newly created commands", async () => {
+		await Command.reloadData([createDefinition("foo")]);
+		const previousFoo = Command.get("foo");
+
+		const result = await Command.reloadData([
+			createDefinition("bar", ["b"]),
+			createDefinition("baz", ["b"]),
+			createDefinition("foo"),
+			createDefinition("foo", ["f"])
+		]);
+
+		assert.strictEqual(result.success, false);
+		assert.deepStrictEqual(result.failed.map(i => [i.identifier, i.reason]), [
+			["baz", "name-collision"],
+			["foo", "name-collision"]
+		]);
+
+		assert.deepStrictEqual(Command.data.map(i => i.Name), ["bar", "foo"]);
+		assert.notStrictEqual(Command.get("foo"), previousFoo);
+		assert.strictEqual(Command.get("b").Name, "bar");
+		assert.strictEqual(Command.get("f"), undefined);
+	});
+});
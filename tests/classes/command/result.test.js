@@ -0,0 +1,115 @@
+const assert = require("assert");
+const Command = require("../../../classes/command");
+const {
+	createChannel,
+	createCommand,
+	createEnvironment,
+	createPlatform,
+	createUser
+} = require("./fixture.js");
+
+describe("Command result normalization", () => {
+	it("passes through nullish results", () => {
+		assert.deepStrictEqual(Command.normalizeResult(undefined).result, undefined);
+		assert.deepStrictEqual(Command.normalizeResult(null).result, null);
+		assert.strictEqual(Command.normalizeResult(null).issues.length, 0);
+	});
+
+	it("fills in defaults for a valid result", () => {
+		const { result, issues } = Command.normalizeResult({ reply: "foo" });
+		assert.deepStrictEqual(issues, []);
+		assert.deepStrictEqual(result, {
+			reply: "foo",
+			success: true,
+			replies: [],
+			attachments: [],
+			embeds: []
+		});
+	});
+
+	it("removes and reports mistyped properties, passes unknown ones through", () => {
+		class Embed {
+			title = "foo";
+		}
+
+		const embed = new Embed();
+		const { result, issues } = Command.normalizeResult({
+			reply: "foo",
+			success: "yes",
+			unknownProperty: 1,
+			discord: embed
+		});
+
+		assert.strictEqual(result.success, true);
+		assert.strictEqual(result.unknownProperty, 1);
+		assert.strictEqual(result.discord, embed);
+		assert.strictEqual(issues.length, 1);
+	});
+
+	it("reports non-object results", () => {
+		const { result, issues } = Command.normalizeResult("foo");
+		assert.strictEqual(result.reply, null);
+		assert.strictEqual(issues.length, 1);
+	});
+
+	it("filters invalid list items", () => {
+		const { result, issues } = Command.normalizeResult({
+			reply: null,
+			replies: ["foo", 1, "bar"],
+			partialReplies: [{ message: "baz", bancheck: true }, "qux"],
+			attachments: [{ url: "https://example.com/a.png" }, { name: "no-content" }]
+		});
+
+		assert.deepStrictEqual(result.replies, ["foo", "bar"]);
+		assert.strictEqual(result.partialReplies.length, 1);
+		assert.strictEqual(result.attachments.length, 1);
+		assert.strictEqual(issues.length, 3);
+	});
+
+	describe("in checkAndExecute", () => {
+		const platform = createPlatform();
+		const channel = createChannel(1, platform);
+		const user = createUser(1);
+		const originalWarn = console.warn;
+
+		let warnings;
+		let code;
+
+		beforeEach(() => {
+			createEnvironment();
+			warnings = [];
+			console.warn = (...args) => warnings.push(args);
+
+			code = () => ({ reply: "foo", success: "yes" });
+			Command.data = [createCommand({ Code: () => code() })];
+		});
+
+		afterEach(() => {
+			console.warn = originalWarn;
+			Command.data = [];
+		});
+
+		it("warns about invalid results once per command", async () => {
+			const first = await Command.checkAndExecute("test", [], channel, user, { platform });
+			const second = await Command.checkAndExecute("test", [], channel, createUser(2), { platform });
+
+			assert.strictEqual(first.success, true);
+			assert.strictEqual(second.reply, "foo");
+			assert.strictEqual(warnings.length, 1);
+			assert.strictEqual(sb.Logger.errors.length, 0);
+		});
+
+		it("normalizes error results", async () => {
+			code = () => {
+				throw new Error("Command failed");
+			};
+
+			const result = await Command.checkAndExecute("test", [], channel, user, { platform });
+			assert.strictEqual(result.reason, "error");
+			assert.strictEqual(result.reply, "An error occurred! (1)");
+			assert.deepStrictEqual(result.replies, []);
+			assert.deepStrictEqual(result.attachments, []);
+			assert.deepStrictEqual(result.embeds, []);
+		});
+	});
+});
@@ -0,0 +1,65 @@
+const assert = require("assert");
+const Command = require("../../../classes/command");
+
+const createCommand = (subcommands) => new Command({
+	Name: "test",
+	Aliases: [],
+	Description: null,
+	Cooldown: 5000,
+	Flags: ["pipe"],
+	Params: [],
+	Whitelist_Response: null,
+	Code: () => ({ reply: "test" }),
+	Dynamic_Description: null,
+	Subcommands: subcommands
+});
+
+describe("Command subcommands", () => {
+	beforeEach(() => {
+		globalThis.sb = {
+			Config: {
+				get: () => null
+			},
+			Utils: {
+				convertCase: (string) => string.replace(/-(\w)/g, (total, match) => match.toUpperCase()),
+				deepFreeze: (object) => Object.freeze(object)
+			}
+		};
+	});
+
+	it("finds subcommands by name or alias, case-insensitively", () => {
+		const command = createCommand([
+			{ name: "add", aliases: ["new"], code: () => ({ reply: "add" }) },
+			{ name: "remove", code: () => ({ reply: "remove" }) }
+		]);
+
+		assert.strictEqual(command.Subcommands.length, 2);
+		assert.strictEqual(command.getSubcommand("ADD").name, "add");
+		assert.strictEqual(command.getSubcommand("new").name, "add");
+		assert.strictEqual(command.getSubcommand("remove").name, "remove");
+		assert.strictEqual(command.getSubcommand("foo"), null);
+		assert.strictEqual(command.getSubcommand(null), null);
+	});
+
+	it("combines the subcommand flags with the command's ones", () => {
+		const command = createCommand([
+			{ name: "add", flags: ["mention"], code: () => ({}) },
+			{ name: "remove", flags: { pipe: false }, code: () => ({}) }
+		]);
+
+		assert.strictEqual(command.getSubcommand("add").flags.pipe, true);
+		assert.strictEqual(command.getSubcommand("add").flags.mention, true);
+		assert.strictEqual(command.getSubcommand("remove").flags.pipe, false);
+	});
+
+	it("skips invalid and duplicate subcommand definitions", () => {
+		const command = createCommand([
+			{ name: "add", code: () => ({}) },
+			{ name: "add", code: () => ({}) },
+			{ name: "has space", code: () => ({}) },
+			{ name: "no-code" }
+		]);
+
+		assert.strictEqual(command.Subcommands.length, 1);
+	});
+});
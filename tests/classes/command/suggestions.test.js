@@ -0,0 +1,60 @@
+const assert = require("assert");
+const Command = require("../../../classes/command");
+const { createCommand, createEnvironment } = require("./fixture.js");
+
+describe("Command suggestions", () => {
+	let filters;
+	let lookups;
+
+	beforeEach(() => {
+		const sb = createEnvironment();
+		sb.Utils.selectClosestString = (identifier, invocations) => invocations
+			.map(original => ({
+				original,
+				score: (original.startsWith(identifier.slice(0, 2))) ? 0.9 : 0.1
+			}))
+			.sort((a, b) => b.score - a.score);
+
+		filters = [];
+		lookups = 0;
+		sb.Filter.getLocals = (type, options) => {
+			lookups++;
+			assert.strictEqual(options.anyCommand, true);
+			return filters.filter(i => !type || i.Type === type);
+		};
+
+		Command.data = [
+			createCommand({ Aliases: ["w"], Name: "weather" }),
+			createCommand({ Name: "weekday" }),
+			createCommand({ Flags: ["whitelist"], Name: "wealth" }),
+			createCommand({ Flags: ["developer"], Name: "weasel" }),
+			createCommand({ Name: "ping" })
+		];
+	});
+
+	afterEach(() => {
+		Command.data = [];
+	});
+
+	it("suggests similar commands, skipping hidden and non-whitelisted ones", () => {
+		const suggestions = Command.getSuggestions("weathr");
+		assert.deepStrictEqual(suggestions.map(i => i.name), ["weather", "weekday"]);
+		assert.strictEqual(lookups, 1);
+	});
+
+	it("skips blacklisted commands and includes whitelisted ones", () => {
+		filters.push(
+			{ Type: "Blacklist", Command: "weekday" },
+			{ Type: "Whitelist", Command: "wealth" }
+		);
+
+		const suggestions = Command.getSuggestions("weathr", { limit: 5 });
+		assert.deepStrictEqual(suggestions.map(i => i.name), ["weather", "wealth"]);
+		assert.strictEqual(lookups, 1);
+	});
+
+	it("suggests nothing if the user is banned from all commands", () => {
+		filters.push({ Type: "Blacklist", Command: null });
+		assert.deepStrictEqual(Command.getSuggestions("weathr"), []);
+	});
+});
@@ -0,0 +1,63 @@
+const assert = require("assert");
+const Command = require("../../../classes/command");
+const {
+	createChannel,
+	createCommand,
+	createEnvironment,
+	createPlatform,
+	createTransaction,
+	createUser
+} = require("./fixture.js");
+
+describe("Command execution timeout", () => {
+	const platform = createPlatform();
+	const channel = createChannel(1, platform);
+	const user = createUser(1);
+
+	let command;
+	let signals;
+	let transaction;
+
+	beforeEach(() => {
+		const sb = createEnvironment();
+		transaction = createTransaction();
+		sb.Query.getTransaction = async () => transaction;
+
+		signals = [];
+		command = createCommand({
+			Timeout: 20,
+			Flags: ["rollback"],
+			// Never finishes on its own, only records the signal it was given
+			Code: (context) => {
+				signals.push(context.signal);
+				return new Promise(() => {});
+			}
+		});
+
+		Command.data = [command];
+	});
+
+	afterEach(() => {
+		Command.data = [];
+	});
+
+	it("aborts the context's signal and rolls back the transaction", async () => {
+		const result = await Command.checkAndExecute("test", [], channel, user, { platform });
+
+		assert.strictEqual(result.reason, "timeout");
+		assert.strictEqual(signals[0].aborted, true);
+		assert.ok(signals[0].reason instanceof sb.errors.CommandTimeoutError);
+		assert.strictEqual(transaction.state, "rollback");
+		assert.strictEqual(transaction.ended, true);
+	});
+
+	it("aborts the signal of a provided context as well", async () => {
+		const context = Command.createFakeContext(command, { platform, user, channel, transaction });
+		const result = await Command.checkAndExecute("test", [], channel, user, { platform, context });
+
+		assert.strictEqual(result.reason, "timeout");
+		assert.strictEqual(signals[0], context.signal);
+		assert.strictEqual(context.signal.aborted, true);
+		assert.strictEqual(transaction.state, "rollback");
+	});
+});
@@ -0,0 +1,83 @@
+const assert = require("assert");
+const { createEnvironment, createFilter, muteWarnings } = require("./fixture.js");
+
+describe("Filter arguments matching", () => {
+	const createArgumentsFilter = (args) => createFilter({
+		ID: 1,
+		Type: "Arguments",
+		Data: { args }
+	});
+
+	muteWarnings();
+	beforeEach(() => {
+		createEnvironment();
+	});
+
+	it("keeps matching positional arguments", () => {
+		const filter = createArgumentsFilter([
+			{ index: 0, string: "foo" },
+			{ range: "2..", regex: "/^ba[rz]$/" }
+		]);
+
+		assert.strictEqual(filter.applyData(["foo"]), true);
+		assert.strictEqual(filter.applyData(["x", "bar"]), false);
+		assert.strictEqual(filter.applyData({
+			args: ["x", "y", "z", "baz"]
+		}), true);
+	});
+
+	it("matches parsed parameters and the full argument string", () => {
+		const filter = createArgumentsFilter([
+			{ param: "type", string: "nsfw" },
+			{
+				full: true,
+				regex: ["forsen\\s+bajs"]
+			}
+		]);
+
+		assert.strictEqual(filter.applyData({ args: [], params: { type: "nsfw" } }), true);
+		assert.strictEqual(filter.applyData({ args: ["nsfw"], params: {} }), false);
+		assert.strictEqual(filter.applyData({
+			args: ["hello", "forsen", "bajs"]
+		}), true);
+	});
+
+	it("supports case-insensitive and negated matching", () => {
+		const filter = createArgumentsFilter([
+			{ index: 0, string: "Foo", ignoreCase: true },
+			{ param: "lang", regex: /^en$/, negate: true }
+		]);
+
+		assert.strictEqual(filter.applyData({ args: ["FOO"], params: { lang: "en" } }), true);
+		assert.strictEqual(filter.applyData({ args: ["bar"], params: { lang: "de" } }), true);
+		assert.strictEqual(filter.applyData({ args: ["bar"], params: { lang: "en" } }), false);
+	});
+
+	it("rejects malformed definitions as a whole", () => {
+		const filter = createArgumentsFilter([
+			{ index: 0, string: "foo" },
+			{ index: 1, param: "x", string: "bar" },
+			{ range: [3, 1], string: "baz" },
+			{ full: true, regex: "/(/" }
+		]);
+
+		assert.strictEqual(filter.dataErrors.length, 3);
+		assert.strictEqual(filter.applyData(["foo"]), false);
+		assert.deepStrictEqual(createArgumentsFilter(null).dataErrors, ["Data must contain a non-empty args array"]);
+	});
+
+	it("keeps the precedence of legacy items with both string and regex, or both index and range", () => {
+		const warnings = [];
+		console.warn = (...args) => warnings.push(args);
+
+		const filter = createArgumentsFilter([
+			{ index: 0, range: [2, 3], string: "foo", regex: "/^ba[rz]$/" }
+		]);
+
+		assert.deepStrictEqual(filter.dataErrors, []);
+		assert.strictEqual(filter.applyData(["bar"]), true);
+		assert.strictEqual(filter.applyData(["foo"]), false);
+		assert.strictEqual(filter.applyData(["x", "y", "baz"]), false);
+		assert.strictEqual(warnings.length, 1);
+	});
+});
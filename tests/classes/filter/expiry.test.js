@@ -0,0 +1,65 @@
+const assert = require("assert");
+const Filter = require("../../../classes/filter");
+const { createEnvironment, createFilter: createBaseFilter } = require("./fixture.js");
+
+describe("Filter expiry and scheduled activation", () => {
+	const createFilter = (data) => createBaseFilter({
+		User_Alias: 1,
+		...data
+	});
+
+	beforeEach(() => {
+		createEnvironment();
+	});
+
+	afterEach(() => {
+		Filter.events.removeAllListeners();
+	});
+
+	it("is only enforced between its start and expiry", () => {
+		const now = Date.now();
+		const filter = createFilter({
+			ID: 1,
+			Starts: now - 1000,
+			Expires: now + 1000
+		});
+
+		assert.strictEqual(filter.isEnforced(now), true);
+		assert.strictEqual(filter.isEnforced(now - 2000), false);
+		assert.strictEqual(filter.isEnforced(now + 1000), false);
+	});
+
+	it("ignores scheduled and expired filters in local lookups", () => {
+		const now = Date.now();
+		Filter.data = [
+			createFilter({ ID: 1 }),
+			createFilter({ ID: 2, Starts: now + 60_000 }),
+			createFilter({ ID: 3, Expires: now - 1 })
+		];
+
+		const locals = Filter.getLocals("Blacklist", { user: { ID: 1 } });
+		assert.deepStrictEqual(locals.map(i => i.ID), [1]);
+	});
+
+	it("deactivates expired filters and emits the expire event", async () => {
+		const expired = createFilter({ ID: 1, Expires: Date.now() - 1 });
+		const active = createFilter({ ID: 2, Expires: Date.now() + 60_000 });
+		for (const filter of [expired, active]) {
+			filter.setActive = async (active) => {
+				filter.Active = active;
+				return true;
+			};
+		}
+
+		Filter.data = [expired, active];
+
+		const emitted = [];
+		Filter.events.on("expire", (filter) => emitted.push(filter.ID));
+
+		const result = await Filter.deactivateExpired();
+		assert.deepStrictEqual(result.map(i => i.ID), [1]);
+		assert.deepStrictEqual(emitted, [1]);
+		assert.strictEqual(expired.Active, false);
+		assert.strictEqual(active.Active, true);
+	});
+});
@@ -0,0 +1,77 @@
+const assert = require("assert");
+const Filter = require("../../../classes/filter");
+const { createEnvironment, createFilter } = require("./fixture.js");
+
+describe("Filter explanation", () => {
+	const command = {
+		Name: "foo",
+		Cooldown: 10_000,
+		Flags: {}
+	};
+
+	beforeEach(() => {
+		createEnvironment();
+
+		Filter.data = [
+			createFilter({ Type: "Blacklist", Channel: 1 }),
+			createFilter({ Type: "Blacklist", User_Alias: 1, Command: "foo" }),
+			createFilter({ Type: "Blacklist", User_Alias: 2 }),
+			createFilter({ Type: "Cooldown", Command: "foo", Data: { override: 5000 } }),
+			createFilter({ Type: "Cooldown", User_Alias: 1, Command: "foo", Data: { multiplier: 2 } }),
+			createFilter({ Type: "Flags", Channel: 1, Data: { mention: false, pipe: false } }),
+			createFilter({ Type: "Flags", Channel: 1, Command: "foo", Data: { mention: true } })
+		];
+	});
+
+	it("groups applicable filters by type and ordered by priority", async () => {
+		const explanation = await Filter.explain({
+			command,
+			user: { ID: 1 },
+			channel: { ID: 1 }
+		});
+
+		const blacklists = explanation.groups.Blacklist;
+		assert.deepStrictEqual(blacklists.filters.map(i => i.filter.ID), [2, 1]);
+		assert.deepStrictEqual(blacklists.filters.map(i => i.priority), [0b0010_0100, 0b0000_0010]);
+		assert.strictEqual(blacklists.winner.ID, 1);
+
+		assert.deepStrictEqual(explanation.decision, {
+			success: false,
+			reason: "blacklist",
+			filter: 1,
+			reply: "filter.blacklist.channel"
+		});
+	});
+
+	it("explains cooldown modifiers and flag merges", async () => {
+		const explanation = await Filter.explain({
+			command,
+			user: { ID: 1 },
+			channel: { ID: 1 }
+		});
+
+		assert.deepStrictEqual(explanation.cooldown, {
+			base: 10_000,
+			result: 20_000,
+			filter: 5
+		});
+		assert.deepStrictEqual(explanation.flags, {
+			result: { mention: true, pipe: false },
+			filters: [6, 7]
+		});
+		assert.strictEqual(explanation.groups.Flags.winner, null);
+	});
+
+	it("only includes filters that apply to the user", async () => {
+		const explanation = await Filter.explain({
+			command,
+			user: { ID: 3 },
+			channel: { ID: 2 }
+		});
+
+		assert.strictEqual(explanation.groups.Blacklist, undefined);
+		assert.deepStrictEqual(explanation.groups.Cooldown.filters.map(i => i.filter.ID), [4]);
+		assert.strictEqual(explanation.cooldown.result, 5000);
+		assert.strictEqual(explanation.decision.success, true);
+	});
+});
@@ -0,0 +1,169 @@
+const Filter = require("../../../classes/filter");
+
+let nextID = 1;
+
+/**
+ * Returns the next sequential filter ID. The sequence restarts with every {@link createEnvironment} call.
+ * @returns {number}
+ */
+const nextFilterID = () => nextID++;
+
+/**
+ * Creates an active, global Blacklist filter, overridden by the provided properties.
+ * @param {Object} [data]
+ * @returns {Filter}
+ */
+const createFilter = (data = {}) => new Filter({
+	ID: nextFilterID(),
+	User_Alias: null,
+	Channel: null,
+	Command: null,
+	Platform: null,
+	Invocation: null,
+	Type: "Blacklist",
+	Data: null,
+	Response: "Auto",
+	Reason: null,
+	Blocked_User: null,
+	Active: true,
+	Issued_By: null,
+	...data
+});
+
+/**
+ * Sets up the `sb` global with the modules filters commonly need, resets the static state of the Filter module
+ * and restarts the filter ID sequence.
+ * @param {Object} [modules] Additional modules, or replacements of the default ones
+ * @returns {Object} The created `sb` global
+ */
+const createEnvironment = (modules = {}) => {
+	Filter.destroy();
+
+	nextID = 1;
+	globalThis.sb = {
+		Channel: class Channel {},
+		Config: {
+			get: () => null
+		},
+		Date: require("../../../objects/date"),
+		Error: require("../../../objects/error"),
+		Localization: {
+			translate: async (key) => key
+		},
+		User: class User {},
+		Utils: {
+			convertCase: (string) => string.replace(/-(\w)/g, (total, match) => match.toUpperCase()),
+			deepFreeze: (object) => Object.freeze(object),
+			isValidInteger: (input, minLimit = 0) => Number.isInteger(input) && input >= minLimit
+		},
+		...modules
+	};
+
+	return sb;
+};
+
+/**
+ * Creates an in-memory replacement of `sb.Query` database rows. Saved rows of the Filter table are kept in `rows`
+ * by their ID - new ones are assigned the next filter ID. Saved rows of the Filter_History table are added to `history`.
+ * Rows saved within a transaction are only stored once it is committed. Created transactions are kept in `transactions`.
+ * @param {Object} [options]
+ * @param {boolean} [options.historyTable] If false, the Filter_History table is reported as missing. Default: true
+ * @returns {{ rows: Map<number, Object>, history: Object[], transactions: Object[], Query: Object }}
+ */
+const createRowStore = (options = {}) => {
+	const historyTable = options.historyTable ?? true;
+	const store = {
+		rows: new Map(),
+		history: [],
+		transactions: [],
+		Query: {
+			isRow: () => true,
+			isTablePresent: async (database, table) => (table !== "Filter_History" || historyTable),
+			getRow: async (database, table) => createRow(table),
+			getTransaction: async () => {
+				const pending = [];
+				const transaction = {
+					state: "open",
+					pending,
+					query: async () => {
+						throw new Error("Raw queries are not supported by the row store");
+					},
+					commit: async () => {
+						transaction.state = "commit";
+						for (const apply of pending.splice(0)) {
+							apply();
+						}
+					},
+					rollback: async () => {
+						transaction.state = "rollback";
+						pending.length = 0;
+					},
+					end: async () => {}
+				};
+
+				store.transactions.push(transaction);
+				return transaction;
+			}
+		}
+	};
+
+	const createRow = (table) => {
+		const row = {
+			loaded: true,
+			values: {},
+			hasProperty: () => true,
+			setValues: (values) => Object.assign(row.values, values),
+			load: async (ID) => {
+				row.values = { ...store.rows.get(ID) };
+				row.valuesObject = row.values;
+			},
+			save: async (saveOptions = {}) => {
+				const values = { ...row.values };
+				let apply;
+				if (table === "Filter_History") {
+					apply = () => store.history.push(values);
+				}
+				else {
+					row.values.ID ??= nextFilterID();
+					values.ID = row.values.ID;
+					apply = () => store.rows.set(values.ID, values);
+				}
+
+				if (saveOptions.transaction) {
+					saveOptions.transaction.pending.push(apply);
+				}
+				else {
+					apply();
+				}
+			}
+		};
+
+		return row;
+	};
+
+	return store;
+};
+
+/**
+ * Silences `console.warn` for every test of the current `describe` block - invalid filter definitions are reported
+ * there, and some tests create them on purpose.
+ */
+const muteWarnings = () => {
+	let warn;
+	beforeEach(() => {
+		warn = console.warn;
+		console.warn = () => {};
+	});
+
+	afterEach(() => {
+		console.warn = warn;
+	});
+};
+
+module.exports = {
+	createEnvironment,
+	createFilter,
+	createRowStore,
+	muteWarnings,
+	nextFilterID
+};
@@ -0,0 +1,141 @@
+const assert = require("assert");
+const Filter = require("../../../classes/filter");
+const { createEnvironment, createRowStore, muteWarnings } = require("./fixture.js");
+
+describe("Filter history", () => {
+	muteWarnings();
+
+	let store;
+	beforeEach(() => {
+		store = createRowStore();
+		createEnvironment({ Query: store.Query });
+
+		Filter.data = [];
+	});
+
+	it("records filter creation with its author", async () => {
+		const filter = await Filter.create({ User_Alias: 5, Issued_By: 2 });
+
+		assert.strictEqual(store.history.length, 1);
+		assert.strictEqual(store.history[0].Filter, filter.ID);
+		assert.strictEqual(store.history[0].Action, "Create");
+		assert.strictEqual(store.history[0].Issued_By, 2);
+		assert.strictEqual(JSON.parse(store.history[0].New_Value).User_Alias, 5);
+	});
+
+	it("records activation changes, but not repeated ones", async () => {
+		const filter = await Filter.create({ User_Alias: 5, Issued_By: 2 });
+		store.history.length = 0;
+
+		assert.strictEqual(await filter.setActive(false, { issuedBy: 3 }), true);
+		assert.strictEqual(await filter.setActive(false, { issuedBy: 3 }), false);
+		await filter.toggle({ issuedBy: { ID: 4 } });
+
+		assert.deepStrictEqual(store.history.map(i => [i.Action, i.Issued_By]), [["Deactivate", 3], ["Activate", 4]]);
+		assert.strictEqual(filter.Active, true);
+	});
+
+	it("records each changed property on update, and rejects invalid changes", async () => {
+		const filter = await Filter.create({ Type: "Cooldown", Data: { multiplier: 2 } });
+		store.history.length = 0;
+
+		const changed = await filter.update({
+			Data: { override: 5000 },
+			Reason: null
+		}, { issuedBy: 1 });
+
+		assert.deepStrictEqual(changed, ["Data"]);
+		assert.strictEqual(filter.Data.override, 5000);
+		assert.deepStrictEqual(JSON.parse(store.history[0].Old_Value), { multiplier: 2 });
+		assert.deepStrictEqual(JSON.parse(store.history[0].New_Value), { override: 5000 });
+
+		await assert.rejects(() => filter.update({ Data: { multiplier: 1, override: 1 } }));
+		await assert.rejects(() => filter.update({ Type: "Blacklist" }));
+		assert.strictEqual(store.history.length, 1);
+	});
+
+	it("saves changes and their history in one transaction, changing nothing if it fails", async () => {
+		const filter = await Filter.create({ User_Alias: 5 });
+		store.history.length = 0;
+
+		const { getRow } = store.Query;
+		store.Query.getRow = async (database, table) => {
+			const row = await getRow(database, table);
+			if (table === "Filter_History") {
+				row.save = async () => {
+					throw new Error("History is down");
+				};
+			}
+
+			return row;
+		};
+
+		await assert.rejects(() => filter.update({ Reason: "spam", Response: "Reason" }), /History is down/);
+		await assert.rejects(() => filter.setActive(false), /History is down/);
+
+		assert.deepStrictEqual(store.transactions.map(i => i.state), ["rollback", "rollback"]);
+		assert.strictEqual(store.rows.get(filter.ID).Reason, null);
+		assert.strictEqual(store.rows.get(filter.ID).Active, true);
+		assert.strictEqual(filter.Reason, null);
+		assert.strictEqual(filter.Response, "Auto");
+		assert.strictEqual(filter.Active, true);
+
+		store.Query.getRow = getRow;
+		assert.deepStrictEqual(await filter.update({ Reason: "spam", Response: "Reason" }), ["Reason", "Response"]);
+		assert.strictEqual(store.rows.get(filter.ID).Reason, "spam");
+		assert.strictEqual(store.transactions.at(-1).state, "commit");
+		assert.strictEqual(store.history.length, 2);
+	});
+
+	it("rejects clearing the Data of a filter type that requires it", async () => {
+		const args = [{ index: 0, string: "foo" }];
+		const filter = await Filter.create({ Type: "Arguments", Data: { args } });
+		store.history.length = 0;
+
+		await assert.rejects(() => filter.update({ Data: null }));
+		assert.deepStrictEqual(filter.Data, { args });
+		assert.strictEqual(store.history.length, 0);
+	});
+
+	it("does not keep parsed Data once it is cleared in the database", async () => {
+		const args = [{ index: 0, string: "foo" }];
+		const filter = await Filter.create({ Type: "Arguments", Data: { args } });
+		assert.strictEqual(filter.applyData(["foo"]), true);
+
+		store.rows.get(filter.ID).Data = null;
+		await Filter.reloadSpecific(filter.ID);
+
+		const reloaded = Filter.get(filter.ID);
+		assert.strictEqual(reloaded.Data, null);
+		assert.strictEqual(reloaded.applyData(["foo"]), false);
+		assert.deepStrictEqual(reloaded.dataErrors, ["Arguments filter is missing Data"]);
+	});
+
+	it("changes filters without recording them if the history table does not exist", async () => {
+		store = createRowStore({ historyTable: false });
+		sb.Query = store.Query;
+
+		const filter = await Filter.create({ User_Alias: 5, Issued_By: 2 });
+		assert.strictEqual(await filter.setActive(false), true);
+		await filter.toggle();
+
+		assert.strictEqual(filter.Active, true);
+		assert.strictEqual(store.rows.get(filter.ID).Active, true);
+		assert.strictEqual(store.history.length, 0);
+		assert.deepStrictEqual(await Filter.getHistory(filter), []);
+	});
+
+	it("records changes made directly in the database when reloading", async () => {
+		const filter = await Filter.create({ User_Alias: 5 });
+		store.history.length = 0;
+
+		store.rows.get(filter.ID).Active = false;
+		store.rows.get(filter.ID).Reason = "spam";
+		await Filter.reloadSpecific(filter.ID);
+
+		assert.deepStrictEqual(store.history.map(i => [i.Action, i.Property, i.Issued_By]), [
+			["Deactivate", "Active", null],
+			["Update", "Reason", null]
+		]);
+	});
+});
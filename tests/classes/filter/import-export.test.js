@@ -0,0 +1,167 @@
+const assert = require("assert");
+const Filter = require("../../../classes/filter");
+const { createEnvironment, createFilter: createBaseFilter, createRowStore } = require("./fixture.js");
+
+describe("Filter import and export", () => {
+	const platform = { ID: 1, Name: "twitch", Host: null };
+	const channels = [{ ID: 10, Name: "forsen", Platform: platform }];
+	const users = [{ ID: 1, Name: "alice" }, { ID: 2, Name: "bob" }];
+
+	let store;
+
+	const createFilter = (data) => createBaseFilter({
+		Issued_By: 1,
+		...data
+	});
+
+	beforeEach(() => {
+		store = createRowStore();
+		createEnvironment({
+			Channel: {
+				get: (identifier) => channels.find(i => i.ID === identifier || i.Name === identifier) ?? null
+			},
+			Command: {
+				get: (name) => ((name === "foo") ? { Name: "foo" } : null)
+			},
+			Platform: {
+				get: (identifier) => ((identifier === platform.ID || identifier === platform.Name) ? platform : null)
+			},
+			User: {
+				get: async (identifier) => users.find(i => i.ID === identifier || i.Name === identifier) ?? null
+			},
+			Query: store.Query
+		});
+
+		Filter.data = [
+			createFilter({ Channel: 10, User_Alias: 2, Command: "foo", Reason: "spam", Response: "Reason" }),
+			createFilter({ Channel: 10, Type: "Cooldown", Data: { multiplier: 2 } }),
+			createFilter({ Channel: 10, User_Alias: 99 }),
+			createFilter({ Channel: 11 })
+		];
+
+		for (const filter of Filter.data) {
+			store.rows.set(filter.ID, { ...filter });
+		}
+	});
+
+	it("exports filters with names instead of IDs, omitting unresolvable ones", async () => {
+		const document = await Filter.export({ channel: 10 });
+
+		assert.strictEqual(document.filters.length, 2);
+		assert.deepStrictEqual(document.omitted, [3]);
+		assert.deepStrictEqual(document.filters[0].Channel, {
+			Name: "forsen",
+			Platform: { Name: "twitch", Host: null }
+		});
+		assert.strictEqual(document.filters[0].User_Alias, "bob");
+		assert.strictEqual(document.filters[0].Issued_By, "alice");
+		assert.deepStrictEqual(document.filters[1].Data, { multiplier: 2 });
+	});
+
+	it("skips or updates conflicting filters in one transaction, along with their history", async () => {
+		const document = await Filter.export({ channel: 10 });
+		document.filters[1].Data = { multiplier: 3 };
+		document.filters.push({ ...document.filters[0], Command: null });
+
+		const skipped = await Filter.import(document);
+		assert.strictEqual(skipped.success, true);
+		assert.deepStrictEqual(skipped.items.map(i => i.action), ["skip", "skip", "create"]);
+		assert.strictEqual(skipped.items[2].filter, 5);
+		assert.deepStrictEqual(skipped.conflicts, [{ index: 0, filter: 1 }, { index: 1, filter: 2 }]);
+		assert.deepStrictEqual(store.transactions.map(i => i.state), ["commit"]);
+		assert.strictEqual(Filter.data.at(-1).ID, 5);
+		assert.strictEqual(store.rows.get(5).Command, null);
+		assert.deepStrictEqual(store.history.map(i => [i.Filter, i.Action]), [[5, "Create"]]);
+
+		store.history.length = 0;
+		const updated = await Filter.import(document, { conflict: "update", issuedBy: 2 });
+		assert.deepStrictEqual(updated.items.map(i => i.action), ["update", "update", "update"]);
+		assert.deepStrictEqual(store.transactions.map(i => i.state), ["commit", "commit"]);
+		assert.deepStrictEqual(Filter.get(2).Data, { multiplier: 3 });
+		assert.strictEqual(store.rows.get(2).Data, JSON.stringify({ multiplier: 3 }));
+		assert.deepStrictEqual(store.history.map(i => [i.Filter, i.Action, i.Property, i.Issued_By]), [
+			[2, "Update", "Data", 2]
+		]);
+	});
+
+	it("rolls back all changes, including their history, if saving fails", async () => {
+		const document = await Filter.export({ channel: 10 });
+		document.filters[1].Data = { multiplier: 3 };
+		document.filters.push({ ...document.filters[0], Command: null });
+
+		const { getRow } = store.Query;
+		store.Query.getRow = async (database, table) => {
+			const row = await getRow(database, table);
+			if (table === "Filter" && store.transactions.length !== 0) {
+				const { save } = row;
+				row.save = async (options) => {
+					if (row.values.ID === 2) {
+						throw new Error("Saving failed");
+					}
+
+					return await save(options);
+				};
+			}
+
+			return row;
+		};
+
+		const filters = [...Filter.data];
+		await assert.rejects(() => Filter.import(document, { conflict: "update" }), /Saving failed/);
+
+		assert.deepStrictEqual(store.transactions.map(i => i.state), ["rollback"]);
+		assert.deepStrictEqual(Filter.data, filters);
+		assert.deepStrictEqual(Filter.get(2).Data, { multiplier: 2 });
+		assert.strictEqual(store.rows.size, 4);
+		assert.strictEqual(store.history.length, 0);
+	});
+
+	it("replaces filters reloaded during the import, and destroys the replaced instances", async () => {
+		const document = await Filter.export({ channel: 10 });
+		document.filters[1].Data = { multiplier: 3 };
+
+		// Simulates a reload of the filter made while the import is running
+		const reloaded = new Filter({ ...Filter.data[1] });
+		const destroyed = [];
+		reloaded.destroy = () => destroyed.push(reloaded.ID);
+
+		const { getTransaction } = store.Query;
+		store.Query.getTransaction = async () => {
+			Filter.data[1] = reloaded;
+			return await getTransaction();
+		};
+
+		await Filter.import(document, { conflict: "update" });
+
+		assert.strictEqual(Filter.data.length, 4);
+		assert.deepStrictEqual(Filter.data.map(i => i.ID), [1, 2, 3, 4]);
+		assert.deepStrictEqual(Filter.get(2).Data, { multiplier: 3 });
+		assert.notStrictEqual(Filter.get(2), reloaded);
+		assert.deepStrictEqual(destroyed, [2]);
+		assert.deepStrictEqual(Filter.getLocals("Cooldown", { channel: { ID: 10 } }).map(i => i.Data), [{ multiplier: 3 }]);
+	});
+
+	it("changes nothing in dry runs, on conflict errors or with invalid entries", async () => {
+		const document = await Filter.export({ channel: 10 });
+
+		const dryRun = await Filter.import(document, { dryRun: true, conflict: "update" });
+		assert.strictEqual(dryRun.success, true);
+
+		const conflicting = await Filter.import(document, { conflict: "error" });
+		assert.strictEqual(conflicting.success, false);
+
+		document.filters.push(
+			{ ...document.filters[0], User_Alias: "nobody" },
+			{ ...document.filters[1], Data: { multiplier: 1, override: 1 } }
+		);
+
+		const invalid = await Filter.import(document, { conflict: "update" });
+		assert.strictEqual(invalid.success, false);
+		assert.deepStrictEqual(invalid.items.map(i => i.action), ["update", "update", "error", "error"]);
+		assert.match(invalid.items[2].error, /User could not be resolved/);
+		assert.match(invalid.items[3].error, /Invalid filter data provided/);
+
+		assert.strictEqual(store.transactions.length, 0);
+		assert.strictEqual(store.history.length, 0);
+	});
+});
@@ -0,0 +1,125 @@
+const assert = require("assert");
+const Filter = require("../../../classes/filter");
+const { createEnvironment, createFilter, nextFilterID } = require("./fixture.js");
+
+// Reference implementation - a linear scan over all filters, as used before the lookup index existed
+const getLocalsLinear = (type, options) => {
+	const now = Date.now();
+	return Filter.data.filter(row => (
+		row.isEnforced(now)
+		&& (!type || type === row.Type)
+		&& (options.skipUserCheck || (row.User_Alias === (options.user?.ID ?? null) || row.User_Alias === null))
+		&& (row.Channel === (options.channel?.ID ?? null) || row.Channel === null)
+		&& (row.Invocation === (options.invocation ?? null) || row.Invocation === null)
+		&& (row.Subcommand === (options.subcommand ?? null) || row.Subcommand === null)
+		&& (row.Platform === (options.platform?.ID ?? null) || row.Platform === null)
+		&& (
+			options.anyCommand
+			|| (typeof options.command === "string" && row.Command === options.command)
+			|| (row.Command === (options.command?.Name ?? null)
+				|| row.Command === null)
+		)
+	));
+};
+
+// Deterministic pseudo-random generator, so that failures are reproducible
+const createRandom = (seed) => () => {
+	seed = (seed * 1_103_515_245 + 12345) % 2_147_483_648;
+	return seed / 2_147_483_648;
+};
+
+describe("Filter lookup index", () => {
+	const types = ["Blacklist", "Whitelist", "Opt-out", "Block", "Unping", "Unmention", "Cooldown", "Flags"];
+	const commands = ["foo", "bar", "baz", "qux", "quux", "corge", "grault", "garply"];
+	const userIDs = Array.from({ length: 1000 }, (v, i) => i + 1);
+	const channelIDs = Array.from({ length: 50 }, (v, i) => i + 1);
+	const random = createRandom(42);
+	const pick = (list, nullChance = 0.5) => (
+		(random() < nullChance) ? null : list[Math.floor(random() * list.length)]
+	);
+
+	const createRandomFilter = () => {
+		const type = pick(types, 0);
+		return createFilter({
+			User_Alias: pick(userIDs, 0.2),
+			Channel: pick(channelIDs, 0.3),
+			Command: pick(commands, 0.3),
+			Platform: pick([1, 2]),
+			Invocation: pick(["foo", "f"], 0.9),
+			Subcommand: pick(["add"], 0.9),
+			Type: type,
+			Data: (type === "Cooldown") ? { multiplier: 2 } : null,
+			Active: (random() > 0.1)
+		});
+	};
+
+	const createOptions = () => {
+		const commandName = pick(commands, 0.1);
+		const channelID = pick(channelIDs, 0.2);
+		return {
+			user: (random() < 0.9) ? { ID: pick(userIDs, 0) } : null,
+			command: (random() < 0.5) ? commandName : { Name: commandName },
+			channel: (channelID === null) ? Symbol("private-message") : { ID: channelID },
+			platform: { ID: pick([1, 2], 0) },
+			invocation: pick(["foo", "f"], 0.5),
+			subcommand: pick(["add"], 0.5),
+			skipUserCheck: (random() < 0.3),
+			anyCommand: (random() < 0.1)
+		};
+	};
+
+	const assertEquivalence = (queries) => {
+		for (const [type, options] of queries) {
+			const indexed = Filter.getLocals(type, options).map(i => i.ID);
+			const linear = getLocalsLinear(type, options).map(i => i.ID);
+			assert.deepStrictEqual(indexed, linear);
+		}
+	};
+
+	beforeEach(() => {
+		createEnvironment({
+			Query: {
+				isRow: () => true,
+				isTablePresent: async () => false,
+				getRow: async () => {
+					const row = {
+						loaded: true,
+						values: {},
+						hasProperty: () => true,
+						setValues: (values) => Object.assign(row.values, values),
+						load: async (ID) => {
+							const filter = createRandomFilter();
+							row.values = { ...filter, ID };
+							row.valuesObject = row.values;
+						},
+						save: async () => {
+							row.values.ID ??= nextFilterID();
+						}
+					};
+
+					return row;
+				}
+			}
+		});
+
+		Filter.data = Array.from({ length: 20_000 }, () => createRandomFilter());
+	});
+
+	it("returns the same filters in the same order as a linear scan", () => {
+		const queries = Array.from({ length: 300 }, () => [pick(types, 0.2), createOptions()]);
+		assertEquivalence(queries);
+	});
+
+	it("stays equivalent after filters are created, reloaded and changed", async () => {
+		await Filter.create({ Type: "Blacklist", Command: "foo", User_Alias: 1 });
+		await Filter.create({ Type: "Opt-out", User_Alias: 2 });
+		await Filter.reloadSpecific(Filter.data[0].ID, Filter.data[10].ID, Filter.data[20].ID);
+
+		await Filter.data[5].saveProperty("Command", "bar");
+
+		Filter.data.push(createRandomFilter());
+
+		const queries = Array.from({ length: 100 }, () => [pick(types, 0.2), createOptions()]);
+		assertEquivalence(queries);
+	});
+});
@@ -0,0 +1,121 @@
+const assert = require("assert");
+const Filter = require("../../../classes/filter");
+const { createEnvironment, createFilter: createBaseFilter, muteWarnings } = require("./fixture.js");
+
+describe("Filter schedules", () => {
+	// 2024-01-15 is a Monday
+	const mondayNight = Date.UTC(2024, 0, 15, 23, 30);
+	const tuesdayNoon = Date.UTC(2024, 0, 16, 12, 0);
+	const saturdayNight = Date.UTC(2024, 0, 20, 23, 30);
+
+	const createFilter = (data) => createBaseFilter({
+		Type: "Schedule",
+		...data
+	});
+
+	muteWarnings();
+	beforeEach(() => {
+		createEnvironment();
+	});
+
+	it("evaluates windows in the schedule's timezone, including over midnight", () => {
+		const quietHours = createFilter({
+			Data: {
+				timezone: "Europe/Prague",
+				windows: [{ start: "00:00", end: "06:00" }]
+			}
+		});
+
+		assert.strictEqual(quietHours.isWithinSchedule(mondayNight), true);
+		assert.strictEqual(quietHours.isWithinSchedule(tuesdayNoon), false);
+
+		const weekend = createFilter({
+			Data: {
+				windows: [{ days: ["sat"], start: "22:00", end: "02:00" }]
+			}
+		});
+
+		assert.strictEqual(weekend.isWithinSchedule(saturdayNight), true);
+		assert.strictEqual(weekend.isWithinSchedule(saturdayNight + 2 * 3_600_000), true);
+		assert.strictEqual(weekend.isWithinSchedule(saturdayNight + 3 * 3_600_000), false);
+		assert.strictEqual(weekend.isWithinSchedule(mondayNight), false);
+	});
+
+	it("blocks commands outside of allow windows and within deny windows", async () => {
+		Filter.data = [
+			createFilter({
+				Channel: 1,
+				Data: {
+					mode: "allow",
+					windows: [{ days: [1, 2, 3, 4, 5], start: "09:00", end: "17:00" }]
+				}
+			})
+		];
+
+		const options = {
+			command: { Name: "foo", Flags: {} },
+			user: { ID: 1 },
+			channel: { ID: 1 }
+		};
+
+		const originalNow = Date.now;
+		try {
+			Date.now = () => tuesdayNoon;
+			assert.strictEqual((await Filter.execute(options)).success, true);
+
+			Date.now = () => mondayNight;
+			const result = await Filter.execute(options);
+			assert.strictEqual(result.reason, "schedule");
+			assert.strictEqual(result.reply, "filter.schedule.command");
+		}
+		finally {
+			Date.now = originalNow;
+		}
+	});
+
+	it("modifies cooldowns within its windows", () => {
+		Filter.data = [
+			createFilter({
+				Type: "Cooldown",
+				Data: { multiplier: 2 }
+			}),
+			createFilter({
+				Data: {
+					windows: [{ start: "20:00", end: "24:00" }],
+					multiplier: 0.5
+				}
+			})
+		];
+
+		const originalNow = Date.now;
+		try {
+			Date.now = () => mondayNight;
+			assert.strictEqual(Filter.getCooldownModifiers({}).applyData(10_000), 5000);
+
+			Date.now = () => tuesdayNoon;
+			assert.strictEqual(Filter.getCooldownModifiers({}).applyData(10_000), 20_000);
+		}
+		finally {
+			Date.now = originalNow;
+		}
+	});
+
+	it("rejects invalid schedules", () => {
+		const window = { start: "01:00", end: "02:00" };
+		const invalid = [
+			null,
+			{ windows: [], mode: "deny" },
+			{ windows: [window], timezone: "Mars/Olympus" },
+			{ windows: [{ ...window, start: "25:00" }], mode: "deny" },
+			{ windows: [{ days: ["someday"], ...window }], mode: "deny" },
+			{ windows: [window], mode: "allow", multiplier: 2 }
+		];
+
+		for (const Data of invalid) {
+			const filter = createFilter({ Data });
+			assert.strictEqual(filter.dataErrors.length, 1);
+			assert.strictEqual(filter.scheduleMode, null);
+			assert.strictEqual(filter.isScheduleBlocking(mondayNight), false);
+		}
+	});
+});
@@ -0,0 +1,85 @@
+const assert = require("assert");
+const Command = require("../../../classes/command");
+const Filter = require("../../../classes/filter");
+const { createEnvironment, createFilter, muteWarnings } = require("./fixture.js");
+
+describe("Filter user targets", () => {
+	const users = new Map([
+		["alice", { ID: 1, Name: "alice" }],
+		["bob", { ID: 2, Name: "bob" }],
+		["carol", { ID: 3, Name: "carol" }]
+	]);
+
+	const createCommand = (targets) => new Command({
+		Name: "foo",
+		Aliases: [],
+		Description: null,
+		Cooldown: 5000,
+		Flags: ["opt-out", "block"],
+		Params: [{ name: "user", type: "string" }],
+		Targets: targets,
+		Whitelist_Response: null,
+		Code: () => ({ reply: "foo" }),
+		Dynamic_Description: null
+	});
+
+	muteWarnings();
+	beforeEach(() => {
+		createEnvironment({
+			User: class User {
+				static async get (name) {
+					return users.get(name.replace(/^@/, "").toLowerCase()) ?? null;
+				}
+			}
+		});
+
+		Filter.data = [
+			createFilter({ Type: "Opt-out", User_Alias: 2 }),
+			createFilter({ Type: "Block", User_Alias: 3, Blocked_User: 1 })
+		];
+	});
+
+	it("resolves targets from argument positions, params and mentions", () => {
+		assert.deepStrictEqual(createCommand(null).getUserTargets(["bob", "carol"]), ["bob"]);
+
+		const command = createCommand([1, "user", { mentions: true }]);
+		const targets = command.getUserTargets(["hi", "@Carol", "and", "@carol", "@bob"], { user: "alice" });
+		assert.deepStrictEqual(targets, ["@Carol", "alice", "@bob"]);
+	});
+
+	it("rejects targets referring to undefined params", () => {
+		const command = createCommand(["nope"]);
+		assert.deepStrictEqual(command.Targets, [{ index: 0 }]);
+	});
+
+	it("checks opt-outs and blocks against all targets", async () => {
+		const command = createCommand(["user", { mentions: true }]);
+		const user = users.get("alice");
+
+		const optOut = await Filter.execute({
+			command,
+			user,
+			targetUsers: command.getUserTargets(["hey", "@bob"], { user: "carol" })
+		});
+
+		assert.strictEqual(optOut.reason, "opt-out");
+		assert.strictEqual(optOut.targetUser.ID, 2);
+
+		const block = await Filter.execute({
+			command,
+			user,
+			targetUsers: command.getUserTargets(["@nobody"], { user: "carol" })
+		});
+
+		assert.strictEqual(block.reason, "block");
+		assert.strictEqual(block.targetUser.ID, 3);
+
+		const passed = await Filter.execute({
+			command,
+			user,
+			targetUsers: ["alice", "nobody"]
+		});
+
+		assert.strictEqual(passed.success, true);
+	});
+});
@@ -0,0 +1,108 @@
+const assert = require("assert");
+const Filter = require("../../../classes/filter");
+const { createEnvironment, createFilter } = require("./fixture.js");
+
+describe("Filter user groups", () => {
+	const createUser = (ID, trusted = false) => ({
+		ID,
+		getDataProperty: async (name) => ((name === "trusted") ? trusted : null)
+	});
+
+	beforeEach(() => {
+		createEnvironment({
+			User: {
+				bots: new Map([[3, {}]])
+			}
+		});
+
+		Filter.registerUserGroup("trusted", { dataProperty: "trusted" });
+		Filter.data = [
+			createFilter({ Type: "Blacklist", User_Group: "bots" }),
+			createFilter({ Type: "Cooldown", User_Group: "trusted", Data: { multiplier: 0.5 } }),
+			createFilter({ Type: "Cooldown", User_Alias: 2, Data: { multiplier: 3 } }),
+			createFilter({ Type: "Opt-out", User_Group: "trusted" })
+		];
+	});
+
+	it("applies group filters only to the group's members", async () => {
+		const bot = createUser(3);
+		const trusted = createUser(1, true);
+		await Filter.loadUserGroups(bot);
+		await Filter.loadUserGroups(trusted);
+
+		assert.deepStrictEqual(Filter.getLocals("Blacklist", { user: bot }).map(i => i.ID), [1]);
+		assert.deepStrictEqual(Filter.getLocals("Blacklist", { user: trusted }).map(i => i.ID), []);
+		assert.strictEqual(Filter.getCooldownModifiers({ user: trusted }).ID, 2);
+		assert.strictEqual(Filter.getCooldownModifiers({ user: bot }), null);
+	});
+
+	it("prioritizes user filters over group filters", async () => {
+		const user = createUser(2, true);
+		await Filter.loadUserGroups(user);
+
+		assert.deepStrictEqual([...Filter.getUserGroups(user)], ["trusted"]);
+		assert.strictEqual(Filter.getCooldownModifiers({ user }).ID, 3);
+	});
+
+	it("prunes expired cached groups", async () => {
+		const user = createUser(4, true);
+		await Filter.loadUserGroups(user);
+
+		const originalNow = Date.now;
+		try {
+			Date.now = () => originalNow() + 120_000;
+			Filter.pruneUserGroupCache();
+		}
+		finally {
+			Date.now = originalNow;
+		}
+
+		assert.deepStrictEqual([...Filter.getUserGroups(user)], []);
+
+		await Filter.loadUserGroups(user);
+		Filter.pruneUserGroupCache();
+		assert.deepStrictEqual([...Filter.getUserGroups(user)], ["trusted"]);
+	});
+
+	it("treats users as non-members if a group resolver fails, and skips resolvers for administrators", async () => {
+		const resolved = [];
+		Filter.registerUserGroup("trusted", async (userData) => {
+			resolved.push(userData.ID);
+			throw new Error("Data properties are down");
+		});
+
+		const warn = console.warn;
+		const warnings = [];
+		console.warn = (...args) => warnings.push(args);
+
+		try {
+			const user = createUser(5, true);
+			const groups = await Filter.loadUserGroups(user);
+			assert.deepStrictEqual([...groups], []);
+			assert.strictEqual(warnings.length, 1);
+
+			sb.User = class User {
+				static bots = new Map();
+			};
+
+			const command = { Name: "foo", Flags: {} };
+			const result = await Filter.execute({ command, user: createUser(6, true) });
+			assert.strictEqual(result.success, true);
+
+			const administrator = Object.assign(new sb.User(), createUser(7), {
+				getDataProperty: async (name) => (name === "administrator")
+			});
+
+			assert.strictEqual((await Filter.execute({ command, user: administrator })).success, true);
+			assert.deepStrictEqual(resolved, [5, 6]);
+		}
+		finally {
+			console.warn = warn;
+			Filter.registerUserGroup("trusted", { dataProperty: "trusted" });
+		}
+	});
+
+	it("ignores user groups for unsupported filter types", () => {
+		assert.strictEqual(Filter.data[3].User_Group, null);
+	});
+});
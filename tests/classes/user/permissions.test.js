@@ -0,0 +1,132 @@
+const assert = require("assert");
+const User = require("../../../classes/user");
+const Command = require("../../../classes/command");
+
+describe("Custom user permissions", () => {
+	// Permission levels are registered globally, so every test removes the ones it has added
+	const originalPermissions = { ...User.permissions };
+	afterEach(() => {
+		for (const name of Object.keys(User.permissions)) {
+			if (!Object.hasOwn(originalPermissions, name)) {
+				delete User.permissions[name];
+				User.permissionResolvers.delete(name);
+			}
+		}
+	});
+
+	beforeEach(() => {
+		globalThis.sb = {
+			Error: require("../../../objects/error"),
+			Filter: {
+				getFlags: () => ({})
+			},
+			User,
+			Utils: {
+				convertCase: (string) => string,
+				deepFreeze: (object) => Object.freeze(object)
+			}
+		};
+	});
+
+	it("registers permission levels on unused bits", () => {
+		const bit = User.registerPermission("moderator", ({ user }) => user.ID === 1);
+		assert.strictEqual(bit, 0b0000_1000);
+		assert.strictEqual(User.permissions.moderator, bit);
+
+		assert.throws(() => User.registerPermission("moderator", () => true));
+		assert.throws(() => User.registerPermission("administrator", () => true));
+		assert.throws(() => User.registerPermission("invalid"));
+	});
+
+	it("includes custom permissions in the context's user permissions", async () => {
+		User.registerPermission("moderator", ({ user }) => user.ID === 1);
+
+		const command = new Command({
+			Name: "test",
+			Aliases: [],
+			Cooldown: 0,
+			Flags: [],
+			Params: [],
+			Permissions: "moderator",
+			Code: () => ({}),
+			Dynamic_Description: null
+		});
+
+		const createUser = (ID) => ({
+			ID,
+			getDataProperty: async () => null
+		});
+
+		const moderator = await Command.createFakeContext(command, { user: createUser(1) }).getUserPermissions();
+		const regular = await Command.createFakeContext(command, { user: createUser(2) }).getUserPermissions();
+
+		assert.deepStrictEqual(command.Permissions, ["moderator"]);
+		assert.strictEqual(moderator.is("moderator"), true);
+		assert.strictEqual(regular.is("moderator"), false);
+		assert.strictEqual(regular.is("regular"), true);
+	});
+
+	describe("in checkAndExecute", () => {
+		const { createChannel, createCommand, createEnvironment, createPlatform, createUser } = require("../command/fixture.js");
+
+		const platform = createPlatform();
+		platform.isUserChannelOwner = async () => false;
+
+		const channel = createChannel(1, platform);
+		channel.isUserAmbassador = async () => false;
+
+		let logs;
+		beforeEach(() => {
+			createEnvironment();
+			sb.User = User;
+
+			logs = [];
+			sb.Logger.log = async (tag, description) => logs.push(description);
+
+			User.registerPermission("moderator", ({ user }) => user.ID === 1);
+			Command.data = [
+				createCommand({
+					Name: "manage",
+					Subcommands: [
+						{ name: "view", permissions: [], code: () => ({ reply: "view" }) },
+						{ name: "edit", code: () => ({ reply: "edit" }) }
+					],
+					Permissions: "moderator"
+				})
+			];
+		});
+
+		afterEach(() => {
+			Command.data = [];
+		});
+
+		it("applies the subcommand's own permissions", async () => {
+			const moderator = createUser(1);
+			const regular = createUser(2);
+
+			const edit = await Command.checkAndExecute("manage", ["edit"], channel, moderator, { platform });
+			assert.strictEqual(edit.reply, "edit");
+
+			const rejected = await Command.checkAndExecute("manage", ["edit"], channel, regular, { platform });
+			assert.strictEqual(rejected.reason, "permissions");
+			assert.deepStrictEqual(rejected.permissions, ["moderator"]);
+
+			const view = await Command.checkAndExecute("manage", ["view"], channel, regular, { platform });
+			assert.strictEqual(view.reply, "view");
+		});
+
+		it("logs repeated rejections of the same user only once", async () => {
+			const regular = createUser(3);
+			for (let i = 0; i < 3; i++) {
+				const result = await Command.checkAndExecute("manage", [], channel, regular, { platform });
+				assert.strictEqual(result.reason, "permissions");
+			}
+
+			await Command.checkAndExecute("manage", ["edit"], channel, createUser(4), { platform });
+			assert.deepStrictEqual(logs, [
+				"Command manage requires one of: moderator",
+				"Command manage edit requires one of: moderator"
+			]);
+		});
+	});
+});
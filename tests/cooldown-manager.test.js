@@ -0,0 +1,135 @@
+const assert = require("assert");
+
+describe("CooldownManager", () => {
+	let manager;
+	let redis;
+
+	const createRedis = () => {
+		const data = new Map();
+		const isAlive = (key) => data.has(key) && data.get(key).expires > Date.now();
+
+		return {
+			data,
+			exists: async (...keys) => keys.filter(isAlive).length,
+			get: async (key) => ((isAlive(key)) ? data.get(key).value : null),
+			set: async (key, value, mode, length, condition) => {
+				if (condition === "NX" && isAlive(key)) {
+					return null;
+				}
+
+				data.set(key, { value: String(value), expires: Date.now() + length });
+				return "OK";
+			},
+			// Emulates the cooldown extension script - only replaces cooldowns that expire sooner
+			eval: async (script, keyCount, key, expires, length) => {
+				if (isAlive(key) && Number(data.get(key).value) >= expires) {
+					return 0;
+				}
+
+				data.set(key, { value: String(expires), expires: Date.now() + length });
+				return 1;
+			},
+			del: async (key) => Number(data.delete(key))
+		};
+	};
+
+	const backends = {
+		memory: () => ({ active: false }),
+		redis: () => ({ active: true, server: redis })
+	};
+
+	for (const [name, createCache] of Object.entries(backends)) {
+		describe(`${name} backend`, () => {
+			beforeEach(() => {
+				redis = createRedis();
+				globalThis.sb = {
+					Cache: createCache(),
+					Config: {
+						get: () => null
+					},
+					Cron: class {
+						start () { return this; }
+					}
+				};
+
+				const CooldownManager = require("../singletons/cooldown-manager.js");
+				manager = new CooldownManager();
+			});
+
+			it("applies cooldowns, including ones with wildcard identifiers", async () => {
+				await manager.set(1, 2, "foo", 10_000);
+				await manager.set(null, 3, null, 10_000);
+
+				assert.strictEqual(await manager.check(1, 2, "foo", true), false);
+				assert.strictEqual(await manager.check(1, 2, "bar", true), true);
+				assert.strictEqual(await manager.check(5, 3, "bar", true), false);
+
+				await manager.unset(1, 2, "foo");
+				assert.strictEqual(await manager.check(1, 2, "foo", true), true);
+			});
+
+			it("tracks pending statuses", async () => {
+				await manager.setPending(2, "pending foo");
+
+				assert.strictEqual(await manager.check(1, 2, "foo", true), true);
+				assert.strictEqual(await manager.check(1, 2, "foo", false), false);
+				assert.strictEqual((await manager.fetchPending(2)).description, "pending foo");
+
+				await manager.unsetPending(2);
+				assert.strictEqual(await manager.fetchPending(2), null);
+				assert.strictEqual(await manager.check(1, 2, "foo", false), true);
+			});
+
+			it("keeps private message cooldowns separate from channel ones", async () => {
+				const privateMessageChannel = Symbol("private-message-channel");
+				await manager.set(privateMessageChannel, 2, "foo", 10_000);
+
+				assert.strictEqual(await manager.check(privateMessageChannel, 2, "foo", true), false);
+				assert.strictEqual(await manager.check(1, 2, "foo", true), true);
+			});
+
+			it("honours cooldown options", async () => {
+				const expires = Date.now() + 10_000;
+				await manager.set(1, 2, "foo", 0, { expires });
+				assert.strictEqual(await manager.check(1, 2, "foo", true), false);
+
+				await manager.unset(1, 2, "foo", { expires: expires + 1 });
+				assert.strictEqual(await manager.check(1, 2, "foo", true), false);
+
+				await manager.unset(1, 2, "foo", { expires });
+				assert.strictEqual(await manager.check(1, 2, "foo", true), true);
+			});
+
+			it("never shortens a running cooldown", async () => {
+				await manager.set(1, 2, "foo", 10_000);
+				await manager.set(1, 2, "foo", 1);
+				await new Promise(resolve => setTimeout(resolve, 5));
+
+				assert.strictEqual(await manager.check(1, 2, "foo", true), false);
+			});
+
+			it("lets only one of simultaneous executions take the pending status", async () => {
+				const results = await Promise.all([
+					manager.setPending(2, "first"),
+					manager.setPending(2, "second")
+				]);
+
+				assert.deepStrictEqual(results, [true, false]);
+				assert.strictEqual((await manager.fetchPending(2)).description, "first");
+
+				await manager.unsetPending(2);
+				assert.strictEqual(await manager.setPending(2, "third"), true);
+			});
+
+			if (name === "redis") {
+				it("stores cooldowns in Redis with key expiry, instead of in memory", async () => {
+					await manager.set(1, 2, "foo", 10_000);
+					await manager.set(1, 2, "bar", 0);
+
+					assert.strictEqual(manager.data.length, 0);
+					assert.strictEqual(redis.data.size, 1);
+				});
+			}
+		});
+	}
+});
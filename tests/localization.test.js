@@ -0,0 +1,56 @@
+const assert = require("assert");
+const Localization = require("../singletons/localization");
+
+describe("Localization", () => {
+	let localization;
+	const createTarget = (language) => ({
+		getDataProperty: async (name) => ((name === "language") ? language : null)
+	});
+
+	beforeEach(() => {
+		globalThis.sb = {
+			Config: {
+				get: () => null
+			},
+			Utils: {
+				modules: {
+					languageISO: {
+						getCode: (value) => ((value.toLowerCase() === "german") ? "de" : null)
+					}
+				}
+			}
+		};
+
+		localization = new Localization();
+		localization.register("de", {
+			"filter.whitelist": "Du kannst diesen Befehl nicht benutzen!",
+			"filter.arguments": "Dieses Argument ist für {target} nicht erlaubt!"
+		});
+	});
+
+	it("interpolates parameters", () => {
+		const message = localization.get("filter.arguments", "en", { target: "this command" });
+		assert.strictEqual(message, "You cannot use this argument on this position for this command!");
+	});
+
+	it("falls back to English for missing messages and languages", () => {
+		const english = localization.get("filter.block", "en", { target: "this command" });
+		assert.strictEqual(localization.get("filter.block", "de", { target: "this command" }), english);
+		assert.strictEqual(localization.get("filter.block", "xx", { target: "this command" }), english);
+	});
+
+	it("returns the key for unknown messages", () => {
+		assert.strictEqual(localization.get("unknown.key", "en"), "unknown.key");
+	});
+
+	it("prefers the user's language over the channel's one", async () => {
+		assert.strictEqual(await localization.getLanguage({ user: createTarget("de"), channel: createTarget("en") }), "de");
+		assert.strictEqual(await localization.getLanguage({ user: createTarget(null), channel: createTarget("German") }), "de");
+		assert.strictEqual(await localization.getLanguage({ user: createTarget(null), channel: null }), "en");
+	});
+
+	it("translates for the preferred language", async () => {
+		const message = await localization.translate("filter.whitelist", { user: createTarget("de") });
+		assert.strictEqual(message, "Du kannst diesen Befehl nicht benutzen!");
+	});
+});
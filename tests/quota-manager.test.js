@@ -0,0 +1,119 @@
+const assert = require("assert");
+
+describe("QuotaManager", () => {
+	let manager;
+	const user = { ID: 1 };
+	const otherUser = { ID: 2 };
+
+	beforeEach(() => {
+		globalThis.sb = {
+			Cache: { active: false },
+			Cron: class {
+				start () { return this; }
+			},
+			Utils: {
+				isValidInteger: (input, minLimit = 0) => (
+					typeof input === "number" && Number.isInteger(input) && input >= minLimit
+				)
+			}
+		};
+
+		if (!manager) {
+			const QuotaManager = require("../singletons/quota-manager.js");
+			manager = new QuotaManager();
+		}
+	});
+
+	it("validates quota definitions", () => {
+		assert.strictEqual(manager.parseDefinition({ limit: 0, window: "day" }).error !== null, true);
+		assert.strictEqual(manager.parseDefinition({ limit: 5, window: "fortnight" }).error !== null, true);
+		assert.strictEqual(manager.parseDefinition({ limit: 5, window: "day", scope: "galaxy" }).error !== null, true);
+
+		const { quota, error } = manager.parseDefinition({ limit: 5, window: "day" });
+		assert.strictEqual(error, null);
+		assert.strictEqual(quota.scope, "user");
+		assert.strictEqual(quota.window, 86_400_000);
+	});
+
+	it("aligns weekly windows to Mondays", () => {
+		const { quota } = manager.parseDefinition({ limit: 1, window: "week" });
+		const { start, end } = manager.getWindow(quota, Date.UTC(2022, 5, 16, 12));
+
+		assert.strictEqual(start, Date.UTC(2022, 5, 13));
+		assert.strictEqual(end, Date.UTC(2022, 5, 20));
+	});
+
+	it("consumes uses until the limit is reached", async () => {
+		const { quota } = manager.parseDefinition({ limit: 2, window: "hour" });
+
+		assert.strictEqual((await manager.consume("test", [quota], { user })).success, true);
+		assert.strictEqual((await manager.consume("test", [quota], { user })).success, true);
+
+		const result = await manager.consume("test", [quota], { user });
+		assert.strictEqual(result.success, false);
+		assert.strictEqual(result.used, 2);
+		assert.strictEqual(result.resetsAt, manager.getWindow(quota).end);
+
+		assert.strictEqual((await manager.check("test", [quota], { user: otherUser })).success, true);
+
+		await manager.reset("test", quota, { user });
+		assert.strictEqual((await manager.check("test", [quota], { user })).success, true);
+	});
+
+	it("does not consume any quota if one of them is exhausted", async () => {
+		const { quota: first } = manager.parseDefinition({ name: "first", limit: 5, window: "day" });
+		const { quota: second } = manager.parseDefinition({ name: "second", limit: 1, window: "day", scope: "global" });
+
+		await manager.consume("other", [first, second], { user });
+		const result = await manager.consume("other", [first, second], { user });
+
+		assert.strictEqual(result.success, false);
+		assert.strictEqual(result.quota.name, "second");
+		assert.strictEqual((await manager.consume("other", [first], { user })).success, true);
+	});
+
+	it("gives back refunded uses", async () => {
+		const { quota } = manager.parseDefinition({ name: "refund", limit: 1, window: "day" });
+
+		const { success, timestamp } = await manager.consume("refund", [quota], { user });
+		assert.strictEqual(success, true);
+		assert.strictEqual((await manager.check("refund", [quota], { user })).success, false);
+
+		await manager.refund("refund", [quota], { user }, timestamp);
+		assert.strictEqual((await manager.check("refund", [quota], { user })).success, true);
+	});
+
+	it("does not exceed the limit with concurrent consumption in Redis", async () => {
+		const values = new Map();
+		const delay = () => new Promise(resolve => setImmediate(resolve));
+		sb.Cache = {
+			active: true,
+			server: {
+				get: async (key) => {
+					await delay();
+					return values.get(key) ?? null;
+				},
+				incr: async (key) => {
+					await delay();
+					values.set(key, (values.get(key) ?? 0) + 1);
+					return values.get(key);
+				},
+				decr: async (key) => {
+					await delay();
+					values.set(key, (values.get(key) ?? 0) - 1);
+					return values.get(key);
+				},
+				del: async (key) => values.delete(key),
+				pexpireat: async () => {}
+			}
+		};
+
+		const { quota } = manager.parseDefinition({ limit: 3, window: "day", scope: "global" });
+		const results = await Promise.all(
+			Array.from({ length: 10 }, () => manager.consume("concurrent", [quota], {}))
+		);
+
+		assert.strictEqual(results.filter(i => i.success).length, 3);
+		assert.deepStrictEqual([...values.values()], [3]);
+	});
+});